@@ -0,0 +1,187 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const crypto = require('crypto');
+// [EXTERNAL — INSTALL REQUIRED] CORS - Cross-Origin Resource Sharing middleware
+const cors = require('cors');
+const { createAuthRouter } = require('./routes/auth');
+const { createImportRouter } = require('./routes/import');
+const { createExportRouter } = require('./routes/export');
+const { createLedgerRouter } = require('./routes/ledger');
+const { createStatsRouter } = require('./routes/stats');
+const { createCoursesRouter } = require('./routes/courses');
+const { createSchemaRouter } = require('./routes/schema');
+const { createAttendanceRouter } = require('./routes/attendance');
+const { createCustomFieldsRouter } = require('./routes/customFields');
+const { createEventsRouter } = require('./routes/events');
+const { createBulkRouter } = require('./routes/bulk');
+const { createViewsRouter } = require('./routes/views');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createRecordsRouter } = require('./routes/records');
+const { BODY_LIMIT, corsOptions, securityHeaders, sanitizeInput, writeRateLimits } = require('./middleware/security');
+const { requestLogger } = require('./middleware/requestLogger');
+const { requireDatabase } = require('./middleware/availability');
+const { logger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+
+// [EXTERNAL — CONFIGURE VALUE] When set, GET /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+function hasMetricsToken(req) {
+    const given = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Readiness fails if the database does not answer a ping within this time
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+async function pingStorage(storage) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Ping timed out')), READINESS_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([storage.ping(), timeout]);
+        return true;
+    } catch (error) {
+        logger.debug('Readiness ping failed', { error });
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// ===== APP FACTORY =====
+// Builds the Express app around a storage adapter and a notification
+// transport. Connecting the storage and listening are left to the caller
+// (server.js), so tests can run the app in-process against memory storage.
+// `rateLimits` overrides the write limits from the environment. server.js sets
+// app.locals.shuttingDown on SIGTERM so readiness fails while requests drain.
+function createApp({ storage, transport, rateLimits }) {
+    const app = express();
+    const metrics = createMetrics();
+    app.locals.shuttingDown = false;
+    app.disable('x-powered-by');
+
+    // [EXTERNAL — CONFIGURE VALUE] Behind a proxy (Railway, nginx) set TRUST_PROXY to the
+    // number of proxies so req.ip, and with it the per-IP rate limit, sees the client address
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+    }
+
+    // ===== MIDDLEWARE =====
+    // First, so every response (including rejected ones) has a request ID and is measured
+    app.use(requestLogger(metrics));
+    app.use(securityHeaders());
+
+    // Configure CORS for the frontend; origins come from CORS_ORIGINS
+    app.use(cors(corsOptions()));
+
+    // Counted before the body is parsed, so rejected requests cost little
+    app.use(writeRateLimits(rateLimits));
+
+    // Parse JSON request bodies
+    app.use(express.json({ limit: BODY_LIMIT }));
+    app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT }));
+
+    // Drop $operators and dotted keys from the query string and body
+    app.use(sanitizeInput());
+
+    // ===== HEALTH CHECK ENDPOINTS =====
+    // Summary for people; probes should use /health/live and /health/ready
+    app.get('/health', (req, res) => {
+        const connected = storage.isConnected();
+        res.status(200).json({
+            status: connected ? 'healthy' : 'degraded',
+            timestamp: new Date().toISOString(),
+            database: connected ? 'connected' : 'disconnected',
+            storage: storage.driver,
+            uptime: process.uptime()
+        });
+    });
+
+    // Liveness: the process is up and serving. Never checks the database, so an
+    // outage does not get the container restarted.
+    app.get('/health/live', (req, res) => {
+        res.status(200).json({ status: 'alive', uptime: process.uptime() });
+    });
+
+    // Readiness: send traffic here only if the database answers a ping and the
+    // server is not shutting down
+    app.get('/health/ready', async (req, res) => {
+        const database = await pingStorage(storage) ? 'connected' : 'disconnected';
+        const status = app.locals.shuttingDown ? 'shutting_down' : database === 'connected' ? 'ready' : 'not_ready';
+
+        res.status(status === 'ready' ? 200 : 503).json({
+            status,
+            timestamp: new Date().toISOString(),
+            database,
+            storage: storage.driver
+        });
+    });
+
+    // ===== METRICS ENDPOINT =====
+    // Prometheus scrape target: request counts, 5xx errors, latency histograms,
+    // memory and, with MongoDB, connection pool usage
+    app.get('/metrics', (req, res) => {
+        if (METRICS_TOKEN && !hasMetricsToken(req)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+        res.type('text/plain; version=0.0.4').send(metrics.render({ pool: storage.poolStats() }));
+    });
+
+    // Every API route needs the database
+    app.use('/api', requireDatabase(storage));
+
+    // ===== AUTHENTICATION ENDPOINTS =====
+    app.use('/api', createAuthRouter(storage));
+
+    // ===== API ENDPOINTS =====
+    app.use('/api', createImportRouter(storage));
+    app.use('/api', createBulkRouter(storage));
+    app.use('/api', createExportRouter(storage));
+    app.use('/api', createLedgerRouter(storage));
+    app.use('/api', createStatsRouter(storage));
+    app.use('/api', createCoursesRouter(storage));
+    app.use('/api', createSchemaRouter(storage));
+    app.use('/api', createAttendanceRouter(storage));
+    app.use('/api', createCustomFieldsRouter(storage));
+    app.use('/api', createEventsRouter(storage));
+    app.use('/api', createViewsRouter(storage));
+    app.use('/api', createNotificationsRouter(storage, transport));
+    // Registered last so the /records/bulk, /records/import and /records/export routes above win over /records/:id
+    app.use('/api', createRecordsRouter(storage, transport));
+
+    // ===== ERROR HANDLING MIDDLEWARE =====
+    app.use((req, res) => {
+        res.status(404).json({
+            success: false,
+            message: 'Endpoint not found'
+        });
+    });
+
+    app.use((err, req, res, next) => {
+        // Body parser errors (malformed JSON, oversized uploads) carry a 4xx status
+        if (err.status >= 400 && err.status < 500) {
+            return res.status(err.status).json({
+                success: false,
+                message: err.expose ? err.message : 'Bad request'
+            });
+        }
+        
+        logger.error('Unhandled error', { error: err });
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,102 @@
+// ===== ATTENDANCE =====
+// A course runs sessions (one per class date) and each session holds at most
+// one mark per student. The per-student totals are copied onto the student as
+// `attendance` so listings can show the rate next to the fee status.
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent'];
+const MAX_MARKS = 1000;
+
+function isValidDate(value) {
+    return !!value && !isNaN(new Date(value).getTime());
+}
+
+// ===== VALIDATION FUNCTIONS =====
+function validateSession(data) {
+    const errors = [];
+
+    if (!isValidDate(data.date)) {
+        errors.push('A valid session date is required');
+    }
+
+    if (data.topic !== undefined && data.topic !== null
+        && (typeof data.topic !== 'string' || data.topic.trim().length > 200)) {
+        errors.push('Topic must be text of at most 200 characters');
+    }
+
+    return errors;
+}
+
+function validateMarks(marks) {
+    const errors = [];
+
+    if (!Array.isArray(marks) || marks.length === 0 || marks.length > MAX_MARKS) {
+        errors.push(`Marks must be a list of 1-${MAX_MARKS} entries`);
+        return errors;
+    }
+
+    const seen = new Set();
+    marks.forEach((mark, i) => {
+        if (!mark || typeof mark.studentId !== 'string' || !mark.studentId) {
+            errors.push(`Mark ${i + 1}: studentId is required`);
+        } else if (seen.has(mark.studentId)) {
+            errors.push(`Mark ${i + 1}: student is marked more than once`);
+        } else {
+            seen.add(mark.studentId);
+        }
+
+        if (!mark || !ATTENDANCE_STATUSES.includes(mark.status)) {
+            errors.push(`Mark ${i + 1}: status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+        }
+    });
+
+    return errors;
+}
+
+function toSessionFields(data) {
+    const date = new Date(data.date);
+    return {
+        // Sessions are whole days; keep them at UTC midnight so they sort and compare cleanly
+        date: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())),
+        topic: typeof data.topic === 'string' ? data.topic.trim() : ''
+    };
+}
+
+// ===== DERIVED VALUES =====
+// Late still counts as attended; the rate is null until the student has a mark
+function summarizeMarks(counts = {}) {
+    const present = counts.present || 0;
+    const late = counts.late || 0;
+    const absent = counts.absent || 0;
+    const total = present + late + absent;
+
+    return {
+        present,
+        late,
+        absent,
+        total,
+        rate: total > 0 ? Math.round(((present + late) / total) * 1000) / 10 : null
+    };
+}
+
+// Recomputes the attendance summary stored on each of the given students
+async function refreshStudentAttendance(storage, studentIds) {
+    if (studentIds.length === 0) return;
+
+    const counts = new Map(studentIds.map(id => [String(id), {}]));
+    (await storage.attendance.summarize(studentIds)).forEach(({ studentId, status, count }) => {
+        counts.get(studentId)[status] = count;
+    });
+
+    await storage.students.setAttendance([...counts].map(([studentId, byStatus]) => ({
+        studentId,
+        attendance: summarizeMarks(byStatus)
+    })));
+}
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    validateSession,
+    validateMarks,
+    toSessionFields,
+    summarizeMarks,
+    refreshStudentAttendance
+};
@@ -0,0 +1,83 @@
+const { logger } = require('./logger');
+
+// ===== AUDIT TRAIL =====
+// Bookkeeping fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', 'createdAt', 'updatedAt', 'version'];
+
+function normalize(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value === undefined || value === '') return null;
+    return value;
+}
+
+// Custom field values are diffed one by one, as `custom.<key>`
+function flattenCustom(record) {
+    if (!record || !record.custom) return record;
+    const { custom, ...rest } = record;
+    Object.entries(custom).forEach(([key, value]) => { rest[`custom.${key}`] = value; });
+    return rest;
+}
+
+// Returns a field-level diff between two versions of a record.
+// Either side may be null (create/delete), producing a change for every field.
+function diffRecords(before, after) {
+    before = flattenCustom(before);
+    after = flattenCustom(after);
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const from = normalize(before ? before[field] : undefined);
+        const to = normalize(after ? after[field] : undefined);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    });
+
+    return changes;
+}
+
+// `details` carries context that is not a field change, e.g. the payment behind a fee status change
+function buildEntry({ entityType, entityId, action, before = null, after = null, actor, details }) {
+    const entry = {
+        entityType,
+        entityId: String(entityId),
+        action,
+        changes: diffRecords(before, after),
+        actor: actor ? { id: String(actor._id), username: actor.username } : null,
+        timestamp: new Date()
+    };
+    if (details) entry.details = details;
+    return entry;
+}
+
+// Writes one audit entry. Failures are logged rather than thrown so a
+// successful change is never reported back to the client as an error.
+async function recordAudit(storage, event) {
+    const entry = buildEntry(event);
+    if (entry.action === 'update' && entry.changes.length === 0) return;
+
+    try {
+        await storage.audit.create(entry);
+    } catch (error) {
+        logger.error('Error writing audit entry', { error });
+    }
+}
+
+// Batch variant of recordAudit for bulk operations such as imports
+async function recordAudits(storage, events) {
+    const entries = events
+        .map(buildEntry)
+        .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+    if (entries.length === 0) return;
+
+    try {
+        await storage.audit.createMany(entries);
+    } catch (error) {
+        logger.error('Error writing audit entries', { error });
+    }
+}
+
+module.exports = { diffRecords, recordAudit, recordAudits };
@@ -0,0 +1,129 @@
+const { roundMoney } = require('./ledger');
+const { logger } = require('./logger');
+
+// ===== COURSE CATALOGUE =====
+// Students reference a course by `courseId` and keep a copy of its name in
+// `course`, so search, exports and stats keep working off the student alone.
+
+// "Web  Development" and "web development" are the same course
+function toNameKey(name) {
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isWholeNumber(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// ===== VALIDATION FUNCTIONS =====
+function validateCourse(data) {
+    const errors = [];
+
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length < 2 || data.name.trim().length > 100) {
+        errors.push('Course name is required and must be 2-100 characters');
+    }
+
+    if (!data.code || typeof data.code !== 'string' || !/^[A-Za-z0-9-]{2,20}$/.test(data.code.trim())) {
+        errors.push('Course code is required and must be 2-20 letters, numbers or dashes');
+    }
+
+    if (data.durationMonths !== undefined && data.durationMonths !== null && !isWholeNumber(data.durationMonths, 1, 120)) {
+        errors.push('Duration must be a whole number of months between 1 and 120');
+    }
+
+    if (data.fee !== undefined && data.fee !== null
+        && (typeof data.fee !== 'number' || !Number.isFinite(data.fee) || data.fee < 0)) {
+        errors.push('Fee must be a non-negative number');
+    }
+
+    if (data.capacity !== undefined && data.capacity !== null && !isWholeNumber(data.capacity, 1, 100000)) {
+        errors.push('Capacity must be a positive whole number, or empty for no limit');
+    }
+
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+        errors.push('Active must be true or false');
+    }
+
+    return errors;
+}
+
+function toCourseFields(data) {
+    const name = data.name.trim().replace(/\s+/g, ' ');
+    return {
+        name,
+        nameKey: toNameKey(name),
+        code: data.code.trim().toUpperCase(),
+        durationMonths: data.durationMonths ?? null,
+        fee: data.fee === undefined || data.fee === null ? null : roundMoney(data.fee),
+        capacity: data.capacity ?? null,
+        active: data.active !== false
+    };
+}
+
+// ===== ENROLMENT RULES =====
+// Checks that a student may be placed on the course. Students already on the
+// course may stay even when it has since filled up or been deactivated.
+// Returns { course } or { status, message } for the caller to send back.
+async function checkEnrolment(storage, courseId, { currentStudent = null } = {}) {
+    const course = storage.courses.isValidId(courseId) ? await storage.courses.findById(courseId) : null;
+    if (!course) {
+        return { status: 400, message: 'Selected course does not exist' };
+    }
+
+    if (currentStudent && currentStudent.courseId === String(course._id)) {
+        return { course };
+    }
+
+    if (!course.active) {
+        return { status: 409, message: `${course.name} is not accepting enrolments` };
+    }
+
+    if (course.capacity && await storage.students.countByCourse(course._id) >= course.capacity) {
+        return { status: 409, message: `${course.name} is full (capacity ${course.capacity})` };
+    }
+
+    return { course };
+}
+
+// ===== MIGRATION =====
+// Builds a short unique code from the course name, e.g. "Web Development" -> "WD"
+async function generateCourseCode(storage, name) {
+    const words = name.toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+    let base = words.length > 1 ? words.map(w => w[0]).join('') : (words[0] || 'COURSE').slice(0, 4);
+    if (base.length < 2) base = `${base}X`;
+
+    let code = base.slice(0, 16);
+    for (let n = 2; await storage.courses.findByCode(code); n++) {
+        code = `${base.slice(0, 16)}-${n}`;
+    }
+    return code;
+}
+
+// Links students saved before the catalogue existed to a course, creating one
+// per distinct name. Names differing only in case or spacing share a course.
+async function backfillCourses(storage) {
+    const names = (await storage.students.unlinkedCourseNames()).filter(name => typeof name === 'string' && name.trim());
+    if (names.length === 0) return;
+
+    let linked = 0;
+    for (const name of names) {
+        let course = await storage.courses.findByNameKey(toNameKey(name));
+        if (!course) {
+            course = await storage.courses.create({
+                ...toCourseFields({ name, code: await generateCourseCode(storage, name) }),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+        }
+        linked += await storage.students.linkCourse(name, course);
+    }
+
+    logger.info('Linked students to the course catalogue', { linked });
+}
+
+module.exports = {
+    toNameKey,
+    validateCourse,
+    toCourseFields,
+    checkEnrolment,
+    backfillCourses
+};
@@ -0,0 +1,71 @@
+// ===== CSV PARSING =====
+// RFC 4180 parser: quoted fields, escaped quotes ("") and line breaks inside
+// quotes are supported. Returns an array of rows, each an array of strings.
+function parseCsv(text) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// ===== CSV WRITING =====
+// Cells starting with these characters are treated as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIXES.includes(text[0])) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvRow };
@@ -0,0 +1,261 @@
+const { STUDENT_FIELDS, resolveSchema } = require('./schema');
+
+// ===== CUSTOM FIELDS =====
+// Admins define extra student fields at runtime. Definitions live in the
+// `custom_fields` collection and values are stored on the student under
+// `custom.<key>`. Each definition is turned into schema rules, so the server
+// and the frontend validate custom values exactly like the built-in fields.
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox'];
+const MAX_OPTIONS = 50;
+const MAX_TEXT_LENGTH = 1000;
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9]{0,39}$/;
+
+// Rule names each type accepts besides the common ones
+const TYPE_RULES = {
+    text: ['minLength', 'maxLength', 'pattern'],
+    number: ['min', 'max', 'integer'],
+    date: [],
+    select: ['options'],
+    checkbox: []
+};
+const TYPED_RULES = ['minLength', 'maxLength', 'pattern', 'min', 'max', 'integer', 'options'];
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+function isWholeNumber(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// ===== VALIDATION FUNCTIONS =====
+// `current` is the stored definition when updating; key and type cannot change
+// because existing student values were validated against them.
+function validateCustomField(data, { current = null } = {}) {
+    const errors = [];
+
+    if (current) {
+        if (isSet(data.key) && data.key !== current.key) {
+            errors.push('Key cannot be changed once the field exists');
+        }
+        if (isSet(data.type) && data.type !== current.type) {
+            errors.push('Type cannot be changed once the field exists; create a new field instead');
+        }
+    } else if (typeof data.key !== 'string' || !KEY_PATTERN.test(data.key)) {
+        errors.push('Key is required and must be 1-40 letters or digits, starting with a lower-case letter (e.g. guardianName)');
+    } else if (Object.prototype.hasOwnProperty.call(STUDENT_FIELDS, data.key)) {
+        errors.push(`Key "${data.key}" is a built-in student field`);
+    }
+
+    if (typeof data.label !== 'string' || data.label.trim().length < 1 || data.label.trim().length > 60) {
+        errors.push('Label is required and must be 1-60 characters');
+    }
+
+    const type = current ? current.type : data.type;
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+        errors.push(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+        return errors;
+    }
+
+    TYPED_RULES.filter(rule => isSet(data[rule]) && !TYPE_RULES[type].includes(rule)).forEach(rule => {
+        errors.push(`${rule} does not apply to ${type} fields`);
+    });
+
+    if (data.required !== undefined && typeof data.required !== 'boolean') {
+        errors.push('Required must be true or false');
+    } else if (data.required && type === 'checkbox') {
+        errors.push('Checkbox fields cannot be required');
+    }
+
+    if (type === 'text') {
+        ['minLength', 'maxLength'].forEach(rule => {
+            if (isSet(data[rule]) && !isWholeNumber(data[rule], 0, MAX_TEXT_LENGTH)) {
+                errors.push(`${rule} must be a whole number between 0 and ${MAX_TEXT_LENGTH}`);
+            }
+        });
+        if (isSet(data.minLength) && isSet(data.maxLength) && data.minLength > data.maxLength) {
+            errors.push('minLength cannot be greater than maxLength');
+        }
+        if (isSet(data.pattern)) {
+            if (typeof data.pattern !== 'string' || data.pattern.length > 200) {
+                errors.push('Pattern must be a regular expression of at most 200 characters');
+            } else {
+                try {
+                    new RegExp(data.pattern);
+                } catch (error) {
+                    errors.push(`Pattern is not a valid regular expression: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    if (type === 'number') {
+        ['min', 'max'].forEach(rule => {
+            if (isSet(data[rule]) && (typeof data[rule] !== 'number' || !Number.isFinite(data[rule]))) {
+                errors.push(`${rule} must be a number`);
+            }
+        });
+        if (typeof data.min === 'number' && typeof data.max === 'number' && data.min > data.max) {
+            errors.push('min cannot be greater than max');
+        }
+        if (isSet(data.integer) && typeof data.integer !== 'boolean') {
+            errors.push('integer must be true or false');
+        }
+    }
+
+    if (type === 'select') {
+        const options = data.options;
+        if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+            errors.push(`Select fields need a list of 1-${MAX_OPTIONS} options`);
+        } else if (options.some(o => typeof o !== 'string' || !o.trim() || o.trim().length > 100)) {
+            errors.push('Options must be non-empty text of at most 100 characters');
+        } else if (new Set(options.map(o => o.trim())).size !== options.length) {
+            errors.push('Options must be unique');
+        }
+    }
+
+    if (data.showInTable !== undefined && typeof data.showInTable !== 'boolean') {
+        errors.push('showInTable must be true or false');
+    }
+
+    if (data.order !== undefined && !isWholeNumber(data.order, 0, 1000)) {
+        errors.push('Order must be a whole number between 0 and 1000');
+    }
+
+    return errors;
+}
+
+function toCustomFieldFields(data, current = null) {
+    const type = current ? current.type : data.type;
+    const fields = {
+        key: current ? current.key : data.key,
+        label: data.label.trim(),
+        type,
+        required: data.required === true,
+        showInTable: data.showInTable === true,
+        order: data.order ?? 0
+    };
+
+    // Keep only the rules that apply to the type so definitions stay tidy
+    TYPE_RULES[type].forEach(rule => {
+        fields[rule] = isSet(data[rule]) ? data[rule] : null;
+    });
+    if (type === 'select') {
+        fields.options = data.options.map(o => o.trim());
+    }
+    if (type === 'number') {
+        fields.integer = data.integer === true;
+    }
+
+    return fields;
+}
+
+// ===== SCHEMA =====
+// Converts a definition into the rules understood by lib/schema.js. `control`
+// and `showInTable` are carried along for the frontend.
+function toSchemaRules(definition) {
+    const rules = {
+        label: definition.label,
+        control: definition.type,
+        required: definition.required,
+        showInTable: definition.showInTable
+    };
+
+    switch (definition.type) {
+        case 'text':
+            rules.type = 'string';
+            rules.trim = true;
+            if (isSet(definition.minLength)) rules.minLength = definition.minLength;
+            // Unbounded text would let a single field bloat every record
+            rules.maxLength = definition.maxLength ?? MAX_TEXT_LENGTH;
+            if (isSet(definition.pattern)) rules.pattern = definition.pattern;
+            break;
+        case 'number':
+            rules.type = 'number';
+            if (definition.integer) rules.integer = true;
+            if (isSet(definition.min)) rules.min = definition.min;
+            if (isSet(definition.max)) rules.max = definition.max;
+            break;
+        case 'date':
+            rules.type = 'date';
+            break;
+        case 'select':
+            rules.type = 'string';
+            rules.trim = true;
+            rules.enum = definition.options;
+            break;
+        case 'checkbox':
+            rules.type = 'boolean';
+            break;
+    }
+
+    return rules;
+}
+
+// Definitions sorted by `order`, then label
+function sortDefinitions(definitions) {
+    return [...definitions].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+}
+
+function buildStudentSchema(definitions) {
+    return resolveSchema(
+        'student',
+        STUDENT_FIELDS,
+        Object.fromEntries(sortDefinitions(definitions).map(d => [d.key, toSchemaRules(d)]))
+    );
+}
+
+// The student schema with the current custom fields
+async function loadStudentSchema(storage) {
+    return buildStudentSchema(await storage.customFields.list());
+}
+
+// Keys of custom fields matched by free-text search
+function searchableKeys(schema) {
+    return Object.entries(schema.custom)
+        .filter(([, rules]) => rules.control === 'text' || rules.control === 'select')
+        .map(([key]) => key);
+}
+
+// ===== VALUES =====
+// Normalises validated custom values for storage; unknown keys and empty values are dropped
+function toCustomValues(schema, raw = {}) {
+    const values = {};
+    Object.entries(schema.custom).forEach(([key, rules]) => {
+        let value = raw?.[key];
+        if (typeof value === 'string' && rules.trim) value = value.trim();
+        if (value === undefined || value === null || value === '') return;
+
+        values[key] = rules.type === 'date' ? new Date(value) : value;
+    });
+    return values;
+}
+
+// Converts a CSV cell into the value type a custom field expects. Values that
+// cannot be converted are returned as-is so validation reports them.
+function parseCustomValue(rules, text) {
+    const value = text.trim();
+    if (value === '') return undefined;
+
+    switch (rules.type) {
+        case 'number':
+            return isNaN(Number(value)) ? value : Number(value);
+        case 'boolean':
+            if (['yes', 'y', 'true', '1', 'x'].includes(value.toLowerCase())) return true;
+            if (['no', 'n', 'false', '0'].includes(value.toLowerCase())) return false;
+            return value;
+        default:
+            return rules.enum ? rules.enum.find(o => o.toLowerCase() === value.toLowerCase()) || value : value;
+    }
+}
+
+module.exports = {
+    CUSTOM_FIELD_TYPES,
+    validateCustomField,
+    toCustomFieldFields,
+    buildStudentSchema,
+    loadStudentSchema,
+    searchableKeys,
+    toCustomValues,
+    parseCustomValue
+};
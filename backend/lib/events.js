@@ -0,0 +1,43 @@
+const { EventEmitter } = require('events');
+
+// ===== LIVE EVENTS =====
+// In-process hub for change notifications pushed to open dashboards over
+// Server-Sent Events (GET /api/events). Event types:
+//   record.created / record.updated  { record }
+//   record.deleted                   { id }
+//   records.changed                  { reason } - many students changed; reload the page
+//   schema.changed                   - custom fields changed; reload the schema
+// Events only reach clients connected to this process.
+const hub = new EventEmitter();
+// One listener per open stream
+hub.setMaxListeners(0);
+
+function subscribe(listener) {
+    hub.on('change', listener);
+    return () => hub.off('change', listener);
+}
+
+// `req` identifies who made the change. `origin` echoes the X-Client-Id header
+// so the browser tab that made the change can skip its own events.
+function publish(req, type, data = {}) {
+    hub.emit('change', {
+        type,
+        ...data,
+        actor: req.user ? { id: String(req.user._id), username: req.user.username } : null,
+        origin: req.get('X-Client-Id') || null,
+        at: new Date()
+    });
+}
+
+// Streams never finish on their own, so shutdown ends them to let the server
+// drain; clients reconnect after the retry delay
+function onStreamsClosed(listener) {
+    hub.on('close', listener);
+    return () => hub.off('close', listener);
+}
+
+function closeStreams() {
+    hub.emit('close');
+}
+
+module.exports = { subscribe, publish, onStreamsClosed, closeStreams };
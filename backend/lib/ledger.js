@@ -0,0 +1,171 @@
+// ===== FEE LEDGER =====
+// A student's ledger is the fee plan stored on the student (`fees`) plus the
+// payments collection. Fee status, amount paid and balance are derived from it.
+const PAYMENT_METHODS = ['Cash', 'Card', 'Bank Transfer', 'UPI', 'Cheque', 'Other'];
+const MAX_INSTALLMENTS = 24;
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function isMoney(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1e9;
+}
+
+function isValidDate(value) {
+    return !!value && !isNaN(new Date(value).getTime());
+}
+
+// ===== VALIDATION FUNCTIONS =====
+function validateFeePlan(data) {
+    const errors = [];
+
+    if (!isMoney(data.totalFee)) {
+        errors.push('Total fee is required and must be a non-negative number');
+    }
+
+    if (data.discount !== undefined && !isMoney(data.discount)) {
+        errors.push('Discount must be a non-negative number');
+    } else if (isMoney(data.totalFee) && (data.discount || 0) > data.totalFee) {
+        errors.push('Discount cannot exceed the total fee');
+    }
+
+    if (data.installments !== undefined) {
+        if (!Array.isArray(data.installments) || data.installments.length > MAX_INSTALLMENTS) {
+            errors.push(`Installments must be a list of at most ${MAX_INSTALLMENTS} entries`);
+        } else {
+            data.installments.forEach((installment, i) => {
+                if (!installment || !isValidDate(installment.dueDate)) {
+                    errors.push(`Installment ${i + 1}: a valid due date is required`);
+                }
+                if (!installment || !isMoney(installment.amount) || installment.amount === 0) {
+                    errors.push(`Installment ${i + 1}: amount must be a positive number`);
+                }
+            });
+
+            if (errors.length === 0 && isMoney(data.totalFee)) {
+                const scheduled = roundMoney(data.installments.reduce((sum, i) => sum + i.amount, 0));
+                const netFee = roundMoney(data.totalFee - (data.discount || 0));
+                if (data.installments.length > 0 && scheduled !== netFee) {
+                    errors.push(`Installments add up to ${scheduled} but the fee after discount is ${netFee}`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+function validatePayment(data) {
+    const errors = [];
+
+    if (!isMoney(data.amount) || data.amount === 0) {
+        errors.push('Amount is required and must be a positive number');
+    }
+
+    if (data.date !== undefined && !isValidDate(data.date)) {
+        errors.push('Invalid payment date format');
+    }
+
+    if (!PAYMENT_METHODS.includes(data.method)) {
+        errors.push(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    if (data.receiptNumber !== undefined && (typeof data.receiptNumber !== 'string' || !/^[\w-]{1,40}$/.test(data.receiptNumber.trim()))) {
+        errors.push('Receipt number must be 1-40 letters, numbers, dashes or underscores');
+    }
+
+    if (data.note !== undefined && (typeof data.note !== 'string' || data.note.length > 200)) {
+        errors.push('Note must be text of at most 200 characters');
+    }
+
+    return errors;
+}
+
+function toFeePlan(data) {
+    return {
+        totalFee: roundMoney(data.totalFee),
+        discount: roundMoney(data.discount || 0),
+        installments: (data.installments || [])
+            .map(i => ({ dueDate: new Date(i.dueDate), amount: roundMoney(i.amount) }))
+            .sort((a, b) => a.dueDate - b.dueDate)
+    };
+}
+
+function generateReceiptNumber(date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = Math.random().toString(36).slice(2, 8).toUpperCase();
+    return `RCPT-${day}-${suffix}`;
+}
+
+// ===== DERIVED VALUES =====
+function deriveFeeStatus({ netFee, amountPaid, discount }) {
+    if (netFee <= 0 && discount > 0) return 'Scholarship';
+    if (amountPaid >= netFee) return 'Paid';
+    if (amountPaid > 0) return 'Partial';
+    return 'Pending';
+}
+
+// Summarises a fee plan against its payments. Payments are applied to
+// installments oldest first to work out what is paid, due and overdue.
+function computeLedger(plan, payments, now = new Date()) {
+    const totalFee = plan.totalFee;
+    const discount = plan.discount || 0;
+    const netFee = roundMoney(totalFee - discount);
+    const amountPaid = roundMoney(payments.reduce((sum, p) => sum + p.amount, 0));
+    const balance = roundMoney(Math.max(netFee - amountPaid, 0));
+
+    let remaining = amountPaid;
+    const installments = (plan.installments || []).map(installment => {
+        const covered = roundMoney(Math.min(remaining, installment.amount));
+        remaining = roundMoney(remaining - covered);
+
+        let status = 'upcoming';
+        if (covered >= installment.amount) status = 'paid';
+        else if (new Date(installment.dueDate) < now) status = 'overdue';
+        else if (covered > 0) status = 'partial';
+
+        return { ...installment, paid: covered, status };
+    });
+
+    const nextDue = installments.find(i => i.status !== 'paid') || null;
+    const overdueAmount = roundMoney(installments
+        .filter(i => i.status === 'overdue')
+        .reduce((sum, i) => sum + (i.amount - i.paid), 0));
+
+    return {
+        totalFee,
+        discount,
+        netFee,
+        amountPaid,
+        balance,
+        overdueAmount,
+        feeStatus: deriveFeeStatus({ netFee, amountPaid, discount }),
+        nextDue: nextDue ? { dueDate: nextDue.dueDate, amount: roundMoney(nextDue.amount - nextDue.paid) } : null,
+        installments
+    };
+}
+
+// Fields written back onto the student so listings, filters and stats can use them
+function toStudentLedgerFields(plan, summary) {
+    return {
+        fees: {
+            ...plan,
+            netFee: summary.netFee,
+            amountPaid: summary.amountPaid,
+            balance: summary.balance
+        },
+        feeStatus: summary.feeStatus
+    };
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    roundMoney,
+    validateFeePlan,
+    validatePayment,
+    toFeePlan,
+    generateReceiptNumber,
+    computeLedger,
+    toStudentLedgerFields
+};
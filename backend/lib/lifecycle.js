@@ -0,0 +1,47 @@
+const { setTimeout: delay } = require('timers/promises');
+const { logger } = require('./logger');
+
+// ===== RETRY WITH BACKOFF =====
+// Runs `task` until it succeeds, waiting `initialDelayMs` after the first
+// failure and doubling up to `maxDelayMs`. Aborting `signal` stops the retries
+// and rejects with an AbortError.
+async function retryWithBackoff(task, { name, initialDelayMs = 1000, maxDelayMs = 30000, signal } = {}) {
+    let wait = initialDelayMs;
+
+    for (let attempt = 1; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await task();
+        } catch (error) {
+            logger.warn(`${name} failed, retrying`, { attempt, retryInMs: wait, error });
+        }
+
+        await delay(wait, undefined, { signal });
+        wait = Math.min(wait * 2, maxDelayMs);
+    }
+}
+
+// ===== GRACEFUL DRAIN =====
+// Stops `server` accepting connections and waits for in-flight requests to
+// finish. Connections still open after `timeoutMs` are cut. Resolves to true
+// when everything finished in time.
+const DRAIN_SWEEP_MS = 100;
+
+async function drainServer(server, { timeoutMs }) {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        server.closeAllConnections();
+    }, timeoutMs);
+
+    // close() only ends connections idle at the time; keep-alive connections
+    // whose request finishes afterwards are swept up as they go idle
+    const sweep = setInterval(() => server.closeIdleConnections(), DRAIN_SWEEP_MS);
+    await new Promise(resolve => server.close(resolve));
+
+    clearInterval(sweep);
+    clearTimeout(timer);
+    return !timedOut;
+}
+
+module.exports = { retryWithBackoff, drainServer };
@@ -0,0 +1,86 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ===== STRUCTURED LOGGING =====
+// Every log line is one JSON object: time, level, msg, the request ID when the
+// line was written while handling a request, and any extra fields. Personal
+// data is redacted before anything is written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Field names whose values never reach the logs, matched case-insensitively at any depth
+const REDACTED_FIELDS = new Set([
+    'email', 'phone', 'to', 'notes',
+    'password', 'passwordhash', 'currentpassword', 'newpassword',
+    'token', 'authorization', 'cookie'
+]);
+const REDACTED = '[redacted]';
+// Email addresses inside free text, e.g. a duplicate key error from MongoDB
+const EMAIL_PATTERN = /[^\s@"'<>(){}[\]:,;]+@[^\s@"'<>(){}[\]:,;]+\.[a-z]{2,}/gi;
+const MAX_DEPTH = 6;
+
+// Holds { requestId } for the request being handled, across awaits
+const requestContext = new AsyncLocalStorage();
+
+function redactText(text) {
+    return text.replace(EMAIL_PATTERN, '[email]');
+}
+
+// A copy of `value` that is safe to log: redacted, errors expanded, cycles cut
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH || seen.has(value)) return '[truncated]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactText(value.message),
+            ...(value.code !== undefined && { code: value.code }),
+            stack: value.stack && redactText(value.stack)
+        };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) && item !== undefined && item !== null
+            ? REDACTED
+            : redact(item, depth + 1, seen);
+    });
+    return copy;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const context = requestContext.getStore();
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: redactText(msg),
+        ...(context && { requestId: context.requestId }),
+        ...redact(fields)
+    });
+
+    // Warnings and errors go to stderr; Railway and most collectors split on the stream
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = { logger, redact, requestContext };
@@ -0,0 +1,102 @@
+// ===== METRICS =====
+// Request counters and latency histograms kept in memory per app and rendered
+// in the Prometheus text exposition format by GET /metrics.
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetrics() {
+    // Keyed by the JSON of the labels so each label set is one series
+    const requests = new Map();
+    const errors = new Map();
+    const durations = new Map();
+    let inFlight = 0;
+
+    function increment(series, labels) {
+        const key = JSON.stringify(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += 1;
+        series.set(key, entry);
+    }
+
+    return {
+        requestStarted() {
+            inFlight += 1;
+        },
+
+        // `route` is the matched route pattern (/api/records/:id), never the raw path,
+        // so IDs do not create a series each
+        requestFinished({ method, route, status, seconds }) {
+            inFlight -= 1;
+            increment(requests, { method, route, status: String(status) });
+            if (status >= 500) {
+                increment(errors, { method, route });
+            }
+
+            const key = JSON.stringify({ method, route });
+            const histogram = durations.get(key) || {
+                labels: { method, route },
+                buckets: DURATION_BUCKETS.map(() => 0),
+                sum: 0,
+                count: 0
+            };
+            DURATION_BUCKETS.forEach((bound, index) => {
+                if (seconds <= bound) histogram.buckets[index] += 1;
+            });
+            histogram.sum += seconds;
+            histogram.count += 1;
+            durations.set(key, histogram);
+        },
+
+        // `pool` is storage.poolStats(), or null for drivers without a connection pool
+        render({ pool = null } = {}) {
+            const lines = [];
+            const metric = (name, type, help, samples) => {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+                samples.forEach(([labels, value, suffix = '']) => {
+                    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+                });
+            };
+
+            metric('http_requests_total', 'counter', 'HTTP requests by method, route and status.',
+                [...requests.values()].map(entry => [entry.labels, entry.value]));
+            metric('http_request_errors_total', 'counter', 'HTTP requests answered with a 5xx status.',
+                [...errors.values()].map(entry => [entry.labels, entry.value]));
+            metric('http_requests_in_flight', 'gauge', 'HTTP requests being handled.', [[{}, inFlight]]);
+            metric('http_request_duration_seconds', 'histogram', 'HTTP request latency in seconds.',
+                [...durations.values()].flatMap(histogram => [
+                    ...DURATION_BUCKETS.map((bound, index) => [{ ...histogram.labels, le: bound }, histogram.buckets[index], '_bucket']),
+                    [{ ...histogram.labels, le: '+Inf' }, histogram.count, '_bucket'],
+                    [histogram.labels, histogram.sum, '_sum'],
+                    [histogram.labels, histogram.count, '_count']
+                ]));
+
+            const memory = process.memoryUsage();
+            metric('process_uptime_seconds', 'gauge', 'Seconds since the process started.', [[{}, process.uptime()]]);
+            metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[{}, memory.rss]]);
+            metric('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use in bytes.', [[{}, memory.heapUsed]]);
+
+            if (pool) {
+                metric('mongodb_pool_connections', 'gauge', 'Open MongoDB connections by state.', [
+                    [{ state: 'in_use' }, pool.inUse],
+                    [{ state: 'idle' }, Math.max(0, pool.open - pool.inUse)]
+                ]);
+                metric('mongodb_pool_max_size', 'gauge', 'Configured maximum MongoDB pool size per server.', [[{}, pool.maxPoolSize]]);
+                metric('mongodb_pool_wait_queue', 'gauge', 'Operations waiting for a MongoDB connection.', [[{}, pool.waiting]]);
+                metric('mongodb_pool_checkout_failures_total', 'counter', 'Failed MongoDB connection checkouts.', [[{}, pool.checkOutFailures]]);
+                metric('mongodb_pool_cleared_total', 'counter', 'Times a MongoDB pool was cleared after an error.', [[{}, pool.cleared]]);
+            }
+
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = { createMetrics };
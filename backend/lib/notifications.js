@@ -0,0 +1,265 @@
+const { logger } = require('./logger');
+
+// ===== NOTIFICATIONS =====
+// Templated email and SMS messages to students, sent through a pluggable
+// transport (see transports/). Templates have built-in defaults that admins
+// can override; every send attempt is kept in the `notifications` collection
+// as the student's send history.
+const CHANNELS = ['email', 'sms'];
+const REMINDER_STATUSES = ['Pending', 'Partial'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = { email: 5000, sms: 480 };
+const MERGE_FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const CUSTOM_KEY_PATTERN = /^custom\.[a-z][a-zA-Z0-9]{0,39}$/;
+
+// [EXTERNAL — CONFIGURE VALUE] Name used to sign messages
+const ORGANISATION_NAME = process.env.ORGANISATION_NAME || 'Student Office';
+
+// `enabled` only controls automatic sends (welcome on create, reminder runs);
+// a template can always be sent by hand.
+const DEFAULT_TEMPLATES = {
+    welcome: {
+        label: 'Welcome',
+        description: 'Sent when a student is added',
+        enabled: true,
+        email: {
+            subject: 'Welcome to {{course}}, {{firstName}}',
+            body: 'Hi {{firstName}},\n\nWelcome aboard! You are enrolled on {{course}}, starting {{joinDate}}.\n\nIf any of your details are wrong, just reply to this email.\n\n{{organisation}}'
+        },
+        sms: {
+            body: 'Hi {{firstName}}, welcome to {{course}}! Your enrolment starting {{joinDate}} is confirmed. - {{organisation}}'
+        }
+    },
+    feeReminder: {
+        label: 'Fee reminder',
+        description: 'Sent to Pending and Partial students by reminder runs',
+        enabled: true,
+        email: {
+            subject: 'Fee reminder for {{course}}',
+            body: 'Hi {{firstName}},\n\nOur records show that your fees for {{course}} are {{feeStatus}}. Please settle the outstanding amount at your earliest convenience, or get in touch if you have already paid.\n\n{{organisation}}'
+        },
+        sms: {
+            body: 'Hi {{firstName}}, a reminder that your {{course}} fees are {{feeStatus}}. Please contact us if you have already paid. - {{organisation}}'
+        }
+    }
+};
+
+function formatDay(date) {
+    return date ? new Date(date).toISOString().split('T')[0] : '';
+}
+
+function formatMoney(amount) {
+    return typeof amount === 'number' ? amount.toFixed(2) : '';
+}
+
+// Values available as {{field}}; ledger amounts are blank for students without a fee plan
+const MERGE_FIELDS = {
+    name: student => student.name,
+    firstName: student => student.name.trim().split(/\s+/)[0],
+    email: student => student.email,
+    phone: student => student.phone || '',
+    course: student => student.course,
+    feeStatus: student => student.feeStatus,
+    joinDate: student => formatDay(student.joinDate),
+    netFee: student => formatMoney(student.fees?.netFee),
+    amountPaid: student => formatMoney(student.fees?.amountPaid),
+    balance: student => formatMoney(student.fees?.balance),
+    organisation: () => ORGANISATION_NAME
+};
+
+// Fills {{field}} and {{custom.key}} placeholders; unknown or empty values become ''
+function renderTemplateText(text, student) {
+    return text.replace(MERGE_FIELD_PATTERN, (match, field) => {
+        if (field.startsWith('custom.')) {
+            const value = student.custom?.[field.slice('custom.'.length)];
+            if (value instanceof Date) return formatDay(value);
+            if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+            return value ?? '';
+        }
+        return Object.prototype.hasOwnProperty.call(MERGE_FIELDS, field) ? MERGE_FIELDS[field](student) ?? '' : '';
+    });
+}
+
+// ===== VALIDATION FUNCTIONS =====
+function unknownMergeFields(text) {
+    return [...text.matchAll(MERGE_FIELD_PATTERN)]
+        .map(([, field]) => field)
+        .filter(field => !Object.prototype.hasOwnProperty.call(MERGE_FIELDS, field) && !CUSTOM_KEY_PATTERN.test(field));
+}
+
+// An override replaces the whole template, so both channels are required
+function validateTemplate(data) {
+    const errors = [];
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    CHANNELS.forEach(channel => {
+        const content = data[channel];
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            errors.push(`${channel} is required and must be an object`);
+            return;
+        }
+
+        const parts = channel === 'email' ? ['subject', 'body'] : ['body'];
+        parts.forEach(part => {
+            const text = content[part];
+            const maxLength = part === 'subject' ? MAX_SUBJECT_LENGTH : MAX_BODY_LENGTH[channel];
+            if (typeof text !== 'string' || !text.trim() || text.length > maxLength) {
+                errors.push(`${channel}.${part} is required and must be at most ${maxLength} characters`);
+                return;
+            }
+
+            const unknown = unknownMergeFields(text);
+            if (unknown.length > 0) {
+                errors.push(`${channel}.${part} uses unknown merge fields: ${unknown.join(', ')}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+function toTemplateFields(data) {
+    return {
+        enabled: data.enabled !== false,
+        email: { subject: data.email.subject.trim(), body: data.email.body.trim() },
+        sms: { body: data.sms.body.trim() }
+    };
+}
+
+// ===== TEMPLATES =====
+function isTemplateKey(key) {
+    return Object.prototype.hasOwnProperty.call(DEFAULT_TEMPLATES, key);
+}
+
+// The default merged with the stored override, if any; `customised` tells them apart
+function mergeTemplate(key, override) {
+    const template = { key, ...DEFAULT_TEMPLATES[key], customised: !!override };
+    if (override) {
+        Object.assign(template, {
+            enabled: override.enabled,
+            email: override.email,
+            sms: override.sms,
+            updatedAt: override.updatedAt,
+            updatedBy: override.updatedBy
+        });
+    }
+    return template;
+}
+
+async function loadTemplate(storage, key) {
+    return mergeTemplate(key, await storage.notificationTemplates.findByKey(key));
+}
+
+async function listTemplates(storage) {
+    const overrides = new Map((await storage.notificationTemplates.list()).map(o => [o.key, o]));
+    return Object.keys(DEFAULT_TEMPLATES).map(key => mergeTemplate(key, overrides.get(key)));
+}
+
+// ===== SENDING =====
+// Renders the template for each requested channel the student can be reached
+// on and hands the messages to the transport. Failures are recorded rather
+// than thrown, so a broken transport never fails the request that triggered
+// the message. Resolves to the history entries written.
+async function sendTemplate(storage, transport, { student, templateKey, channels = CHANNELS, trigger, actor = null }) {
+    const template = await loadTemplate(storage, templateKey);
+    if (trigger !== 'manual' && !template.enabled) {
+        return [];
+    }
+
+    const entries = [];
+    for (const channel of channels) {
+        const to = channel === 'email' ? student.email : student.phone;
+        if (!to) continue;
+
+        const message = {
+            channel,
+            to,
+            subject: channel === 'email' ? renderTemplateText(template.email.subject, student) : null,
+            body: renderTemplateText(template[channel].body, student)
+        };
+        const entry = {
+            studentId: String(student._id),
+            template: templateKey,
+            trigger,
+            ...message,
+            transport: transport.name,
+            actor: actor ? { id: String(actor._id), username: actor.username } : null,
+            createdAt: new Date()
+        };
+
+        try {
+            const { messageId } = await transport.send({ ...message, meta: { studentId: entry.studentId, template: templateKey } });
+            entry.status = 'sent';
+            entry.messageId = messageId;
+        } catch (error) {
+            logger.error('Error sending notification', { template: templateKey, channel, studentId: entry.studentId, error });
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+        entries.push(entry);
+    }
+
+    return entries.length > 0 ? storage.notifications.createMany(entries) : [];
+}
+
+// Sends the fee reminder to every active Pending or Partial student who has
+// not been sent one in the last `intervalDays` days. With `dryRun` nothing is
+// sent and the students that would be reminded are returned instead.
+async function runFeeReminders(storage, transport, { intervalDays, now = new Date(), dryRun = false, actor = null }) {
+    const students = await storage.students.list({
+        filter: { status: REMINDER_STATUSES },
+        sort: { field: 'name', direction: 1 }
+    });
+    const reminded = new Set(await storage.notifications.recentRecipients({
+        template: 'feeReminder',
+        since: new Date(now.getTime() - intervalDays * DAY_MS)
+    }));
+    const due = students.filter(student => !reminded.has(String(student._id)));
+
+    const result = { due: due.length, sent: 0, failed: 0 };
+    if (dryRun) {
+        result.students = due.map(student => ({ id: String(student._id), name: student.name, feeStatus: student.feeStatus }));
+        return result;
+    }
+
+    for (const student of due) {
+        const entries = await sendTemplate(storage, transport, { student, templateKey: 'feeReminder', trigger: 'reminder', actor });
+        result.sent += entries.filter(entry => entry.status === 'sent').length;
+        result.failed += entries.filter(entry => entry.status === 'failed').length;
+    }
+    return result;
+}
+
+// Runs fee reminders every `intervalHours` hours in this process. The timer is
+// unref'd so it never keeps the process alive on shutdown.
+function scheduleFeeReminders(storage, transport, { intervalHours, intervalDays }) {
+    const run = async () => {
+        try {
+            const result = await runFeeReminders(storage, transport, { intervalDays });
+            logger.info('Fee reminder run finished', { due: result.due, sent: result.sent, failed: result.failed });
+        } catch (error) {
+            logger.error('Error running scheduled fee reminders', { error });
+        }
+    };
+
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    CHANNELS,
+    MERGE_FIELDS,
+    validateTemplate,
+    toTemplateFields,
+    isTemplateKey,
+    loadTemplate,
+    listTemplates,
+    sendTemplate,
+    runFeeReminders,
+    scheduleFeeReminders
+};
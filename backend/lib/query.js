@@ -0,0 +1,94 @@
+const { STUDENT_SCHEMA } = require('./schema');
+
+// ===== RECORD QUERIES =====
+// Parses the filter and sort parameters shared by GET /records, the export and
+// bulk actions into the filter understood by the storage adapters.
+const FEE_STATUSES = STUDENT_SCHEMA.fields.feeStatus.enum;
+const SORT_FIELDS = ['name', 'email', 'course', 'feeStatus', 'joinDate', 'createdAt', 'updatedAt'];
+const SORT_ORDERS = ['asc', 'desc'];
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FILTER_VALUES = 50;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "a,b" and repeated parameters (?status=a&status=b) both give ['a', 'b']
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return [].concat(value)
+        .flatMap(item => (typeof item === 'string' ? item.split(',') : [item]))
+        .map(item => (typeof item === 'string' ? item.trim() : item))
+        .filter(item => item !== '');
+}
+
+// YYYY-MM-DD as midnight UTC, or null when the value is not a real day
+function parseDay(value) {
+    if (typeof value !== 'string' || !DAY_PATTERN.test(value)) return null;
+    const day = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(day.getTime()) && day.toISOString().startsWith(value) ? day : null;
+}
+
+// Returns { filter } or { errors }. `isValidCourseId` comes from the course repository.
+function parseRecordFilter(query, { isValidCourseId }) {
+    const errors = [];
+    const filter = {};
+
+    if (query.search !== undefined && typeof query.search !== 'string') {
+        errors.push('search must be text');
+    } else if (query.search && query.search.trim()) {
+        if (query.search.trim().length > MAX_SEARCH_LENGTH) {
+            errors.push(`search must be at most ${MAX_SEARCH_LENGTH} characters`);
+        }
+        filter.search = query.search.trim();
+    }
+
+    const statuses = toList(query.status);
+    if (statuses.some(status => !FEE_STATUSES.includes(status))) {
+        errors.push(`status must be one or more of: ${FEE_STATUSES.join(', ')}`);
+    } else if (statuses.length > 0) {
+        filter.status = [...new Set(statuses)];
+    }
+
+    const courseIds = toList(query.course);
+    if (courseIds.length > MAX_FILTER_VALUES) {
+        errors.push(`course accepts at most ${MAX_FILTER_VALUES} course IDs`);
+    } else if (courseIds.some(id => typeof id !== 'string' || !isValidCourseId(id))) {
+        errors.push('course must be one or more course IDs');
+    } else if (courseIds.length > 0) {
+        filter.courseId = [...new Set(courseIds)];
+    }
+
+    // Both ends are whole days and inclusive, so the upper bound becomes the start of the next day
+    ['joinDateFrom', 'joinDateTo'].forEach(key => {
+        if (query[key] !== undefined && query[key] !== '' && !parseDay(query[key])) {
+            errors.push(`${key} must be a date in YYYY-MM-DD format`);
+        }
+    });
+    const from = query.joinDateFrom ? parseDay(query.joinDateFrom) : null;
+    const to = query.joinDateTo ? parseDay(query.joinDateTo) : null;
+    if (from && to && from > to) {
+        errors.push('joinDateFrom cannot be after joinDateTo');
+    }
+    if (from) filter.joinedFrom = from;
+    if (to) filter.joinedBefore = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+
+    return errors.length > 0 ? { errors } : { filter };
+}
+
+// Only whitelisted fields can be sorted on, which keeps cursors and indexes predictable
+function parseRecordSort(query) {
+    const { sortBy = 'joinDate', sortOrder = 'desc' } = query;
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+        return { error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    if (!SORT_ORDERS.includes(sortOrder)) {
+        return { error: 'sortOrder must be asc or desc' };
+    }
+
+    return { sortBy, sortOrder, sort: { field: sortBy, direction: sortOrder === 'desc' ? -1 : 1 } };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    parseRecordFilter,
+    parseRecordSort
+};
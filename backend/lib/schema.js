@@ -0,0 +1,204 @@
+// ===== DECLARATIVE SCHEMAS =====
+// Single source of truth for record validation. The resolved schemas are
+// served by GET /api/schema and the frontend validates against the same rules,
+// so keep the rule semantics in validateField() in step with frontend/script.js.
+
+// Named formats; patterns are strings so the schema can be sent as JSON
+const FORMATS = {
+    email: { pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', message: 'Please enter a valid email address' },
+    phone: { pattern: '^[\\+]?[(]?[0-9]{3}[)]?[-\\s\\.]?[0-9]{3}[-\\s\\.]?[0-9]{4,6}$', message: 'Please enter a valid phone number' }
+};
+
+const STUDENT_FIELDS = {
+    name: {
+        label: 'Name',
+        type: 'string',
+        required: true,
+        trim: true,
+        minLength: 2,
+        maxLength: 100
+    },
+    email: {
+        label: 'Email',
+        type: 'string',
+        required: true,
+        trim: true,
+        maxLength: 100,
+        format: 'email'
+    },
+    phone: {
+        label: 'Phone',
+        type: 'string',
+        trim: true,
+        maxLength: 20,
+        format: 'phone'
+    },
+    courseId: {
+        label: 'Course',
+        type: 'string',
+        // Whether the course exists and has room is checked by checkEnrolment()
+        required: true
+    },
+    feeStatus: {
+        label: 'Fee Status',
+        type: 'string',
+        required: true,
+        enum: ['Paid', 'Pending', 'Partial', 'Scholarship'],
+        messages: { required: 'Please select fee status', enum: 'Please select a valid fee status' }
+    },
+    joinDate: {
+        label: 'Join Date',
+        type: 'date',
+        required: true,
+        messages: { type: 'Invalid join date format' }
+    },
+    notes: {
+        label: 'Notes',
+        type: 'string',
+        trim: true,
+        maxLength: 500
+    }
+};
+
+const TYPE_MESSAGES = {
+    string: 'must be text',
+    date: 'must be a valid date',
+    number: 'must be a number',
+    boolean: 'must be yes or no'
+};
+
+// Expands formats into patterns and fills in a message for every rule, so
+// clients never have to build messages of their own
+function resolveField(rules) {
+    const format = rules.format ? FORMATS[rules.format] : null;
+    const { label } = rules;
+    const defaults = {
+        required: `${label} is required`,
+        type: `${label} ${TYPE_MESSAGES[rules.type]}`,
+        minLength: `${label} must be at least ${rules.minLength} characters`,
+        maxLength: `${label} must be at most ${rules.maxLength} characters`,
+        integer: `${label} must be a whole number`,
+        min: `${label} must be at least ${rules.min}`,
+        max: `${label} must be at most ${rules.max}`,
+        enum: `${label} must be one of: ${(rules.enum || []).join(', ')}`,
+        pattern: format ? format.message : `${label} is not in the expected format`
+    };
+
+    const applicable = ['required', 'type'];
+    if (rules.minLength !== undefined) applicable.push('minLength');
+    if (rules.maxLength !== undefined) applicable.push('maxLength');
+    if (rules.integer) applicable.push('integer');
+    if (rules.min !== undefined) applicable.push('min');
+    if (rules.max !== undefined) applicable.push('max');
+    if (rules.enum) applicable.push('enum');
+    if (format || rules.pattern) applicable.push('pattern');
+
+    return {
+        ...rules,
+        ...(format ? { pattern: format.pattern } : {}),
+        messages: Object.fromEntries(applicable.map(rule => [rule, rules.messages?.[rule] || defaults[rule]]))
+    };
+}
+
+function resolveFields(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([field, rules]) => [field, resolveField(rules)]));
+}
+
+// `custom` holds runtime-defined fields, validated against the record's `custom` object
+function resolveSchema(name, fields, custom = {}) {
+    return {
+        name,
+        fields: resolveFields(fields),
+        custom: resolveFields(custom)
+    };
+}
+
+const STUDENT_SCHEMA = resolveSchema('student', STUDENT_FIELDS);
+
+// ===== VALIDATION =====
+// Returns the message of the first rule the value breaks, or null
+function validateField(rules, raw) {
+    const value = typeof raw === 'string' && rules.trim ? raw.trim() : raw;
+
+    if (value === undefined || value === null || value === '') {
+        return rules.required ? rules.messages.required : null;
+    }
+
+    if (rules.type === 'string' && typeof value !== 'string') {
+        return rules.messages.type;
+    }
+
+    if (rules.type === 'date'
+        && ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(new Date(value).getTime()))) {
+        return rules.messages.type;
+    }
+
+    if (rules.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+        return rules.messages.type;
+    }
+
+    if (rules.type === 'boolean' && typeof value !== 'boolean') {
+        return rules.messages.type;
+    }
+
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return rules.messages.minLength;
+    }
+
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return rules.messages.maxLength;
+    }
+
+    if (rules.integer && !Number.isInteger(value)) {
+        return rules.messages.integer;
+    }
+
+    if (rules.min !== undefined && value < rules.min) {
+        return rules.messages.min;
+    }
+
+    if (rules.max !== undefined && value > rules.max) {
+        return rules.messages.max;
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+        return rules.messages.enum;
+    }
+
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+        return rules.messages.pattern;
+    }
+
+    return null;
+}
+
+// Validates data against a schema and returns field-keyed messages ({} when valid).
+// Custom field errors are keyed `custom.<key>`.
+// With `partial`, only the fields present in `data` are checked (PATCH)
+function validate(schema, data, { partial = false } = {}) {
+    const errors = {};
+    Object.entries(schema.fields).forEach(([field, rules]) => {
+        if (partial && data[field] === undefined) return;
+        const message = validateField(rules, data[field]);
+        if (message) errors[field] = message;
+    });
+
+    const custom = data.custom ?? {};
+    if (typeof custom !== 'object' || Array.isArray(custom)) {
+        errors.custom = 'Custom fields must be an object of key -> value';
+        return errors;
+    }
+
+    Object.entries(schema.custom || {}).forEach(([key, rules]) => {
+        if (partial && custom[key] === undefined) return;
+        const message = validateField(rules, custom[key]);
+        if (message) errors[`custom.${key}`] = message;
+    });
+    return errors;
+}
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+module.exports = { STUDENT_FIELDS, STUDENT_SCHEMA, resolveSchema, validate, validateField, hasErrors };
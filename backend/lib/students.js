@@ -0,0 +1,77 @@
+const { STUDENT_FIELDS, STUDENT_SCHEMA, validate } = require('./schema');
+const { toCustomValues } = require('./customFields');
+
+// ===== VALIDATION FUNCTIONS =====
+// Returns field-keyed messages, e.g. { email: 'Please enter a valid email address' }.
+// Pass the schema from loadStudentSchema() to include the custom fields.
+function validateStudent(data, schema = STUDENT_SCHEMA) {
+    return validate(schema, data);
+}
+
+// Checks only the fields being changed; anything that is not a student field is an error
+function validateStudentPatch(data, schema = STUDENT_SCHEMA) {
+    const errors = validate(schema, data, { partial: true });
+    Object.keys(data)
+        .filter(field => field !== 'custom' && !Object.prototype.hasOwnProperty.call(schema.fields, field))
+        .forEach(field => { errors[field] = `${field} is not a student field`; });
+    return errors;
+}
+
+// Applies a PATCH body on top of the stored student, giving a full input for
+// toStudentFields(). Custom values are merged key by key; null or '' clears one.
+function mergeStudentPatch(student, patch) {
+    const merged = Object.fromEntries(Object.keys(STUDENT_FIELDS).map(field => [field, student[field]]));
+    return {
+        ...merged,
+        ...patch,
+        custom: { ...student.custom, ...patch.custom }
+    };
+}
+
+// Normalises validated input into the stored document shape.
+// `course` is the catalogue entry resolved from data.courseId.
+function toStudentFields(data, course, schema = STUDENT_SCHEMA) {
+    return {
+        name: data.name.trim(),
+        email: data.email.trim().toLowerCase(),
+        phone: data.phone?.trim() || '',
+        courseId: String(course._id),
+        course: course.name,
+        feeStatus: data.feeStatus,
+        joinDate: new Date(data.joinDate),
+        notes: data.notes?.trim() || '',
+        custom: toCustomValues(schema, data.custom)
+    };
+}
+
+// Archived students keep their email reserved so they can be restored
+function duplicateEmailMessage(existingStudent) {
+    return existingStudent.deletedAt
+        ? 'A student with this email is in the trash. Restore it instead.'
+        : 'A student with this email already exists';
+}
+
+// ===== VERSIONING =====
+// A student's ETag is its version in quotes, e.g. "3"
+function studentETag(student) {
+    return `"${student.version || 0}"`;
+}
+
+// Reads the version from an If-Match header. Returns undefined when the header
+// is absent or `*` (any version), and null when it is not one of our ETags.
+function parseIfMatch(header) {
+    if (header === undefined || header.trim() === '*') return undefined;
+
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+    validateStudent,
+    validateStudentPatch,
+    mergeStudentPatch,
+    toStudentFields,
+    duplicateEmailMessage,
+    studentETag,
+    parseIfMatch
+};
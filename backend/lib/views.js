@@ -0,0 +1,83 @@
+const { parseRecordFilter, parseRecordSort } = require('./query');
+const { toNameKey } = require('./courses');
+
+// ===== SAVED VIEWS =====
+// A view is a named dashboard state saved by one user. Its `state` holds the
+// same string parameters the dashboard keeps in its URL (filters, sort, page
+// size and visible columns), so opening a view and opening a shared link are
+// the same thing. The page number is never saved.
+const MAX_VIEWS_PER_USER = 50;
+const STATE_FIELDS = ['search', 'status', 'course', 'joinDateFrom', 'joinDateTo', 'joined', 'sortBy', 'sortOrder', 'limit', 'columns'];
+// Join date ranges relative to the day the view is opened, resolved by the dashboard
+const JOINED_PRESETS = ['thisMonth', 'last30Days', 'thisYear'];
+const PAGE_SIZES = ['10', '25', '50', '100'];
+const COLUMN_PATTERN = /^(custom\.)?[a-zA-Z][a-zA-Z0-9]{0,39}$/;
+
+// ===== VALIDATION FUNCTIONS =====
+function validateViewState(state, { isValidCourseId }) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return ['State must be an object of dashboard parameters'];
+    }
+
+    const errors = [];
+    const unknown = Object.keys(state).filter(key => !STATE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        errors.push(`Unknown state fields: ${unknown.join(', ')}`);
+    }
+    if (Object.values(state).some(value => typeof value !== 'string')) {
+        errors.push('State values must be strings');
+        return errors;
+    }
+
+    const { errors: filterErrors } = parseRecordFilter(state, { isValidCourseId });
+    if (filterErrors) errors.push(...filterErrors);
+
+    const { error: sortError } = parseRecordSort(state);
+    if (sortError) errors.push(sortError);
+
+    if (state.joined) {
+        if (!JOINED_PRESETS.includes(state.joined)) {
+            errors.push(`joined must be one of: ${JOINED_PRESETS.join(', ')}`);
+        } else if (state.joinDateFrom || state.joinDateTo) {
+            errors.push('Use either joined or joinDateFrom/joinDateTo, not both');
+        }
+    }
+
+    if (state.limit && !PAGE_SIZES.includes(state.limit)) {
+        errors.push(`limit must be one of: ${PAGE_SIZES.join(', ')}`);
+    }
+
+    if (state.columns && state.columns.split(',').some(column => !COLUMN_PATTERN.test(column))) {
+        errors.push('columns must be a comma-separated list of column keys');
+    }
+
+    return errors;
+}
+
+function validateView(data, { isValidCourseId }) {
+    const errors = [];
+
+    if (typeof data.name !== 'string' || data.name.trim().length < 1 || data.name.trim().length > 60) {
+        errors.push('Name is required and must be 1-60 characters');
+    }
+
+    errors.push(...validateViewState(data.state, { isValidCourseId }));
+
+    return errors;
+}
+
+// Empty parameters are dropped so views only record what was actually set
+function toViewFields(data) {
+    return {
+        name: data.name.trim().replace(/\s+/g, ' '),
+        // "Pending  fees" and "pending fees" are the same view
+        nameKey: toNameKey(data.name),
+        state: Object.fromEntries(Object.entries(data.state).filter(([, value]) => value !== ''))
+    };
+}
+
+module.exports = {
+    MAX_VIEWS_PER_USER,
+    validateView,
+    toViewFields
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+// [EXTERNAL — INSTALL REQUIRED] jsonwebtoken - Signs and verifies JSON Web Tokens
+const jwt = require('jsonwebtoken');
+// [EXTERNAL — INSTALL REQUIRED] bcryptjs - Password hashing
+const bcrypt = require('bcryptjs');
+const { logger } = require('../lib/logger');
+
+// ===== ROLES & PERMISSIONS =====
+const ROLES = ['admin', 'staff', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+    admin: ['records:read', 'records:create', 'records:update', 'records:delete', 'users:manage', 'courses:manage', 'fields:manage', 'attendance:mark', 'notifications:send', 'notifications:manage'],
+    staff: ['records:read', 'records:create', 'records:update', 'attendance:mark', 'notifications:send'],
+    viewer: ['records:read']
+};
+
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+// ===== TOKENS =====
+// [EXTERNAL — CONFIGURE VALUE] JWT signing secret
+// Without JWT_SECRET a random secret is used, so tokens stop working on restart.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+if (!process.env.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set; using a random secret for this process');
+}
+
+function signToken(user) {
+    return jwt.sign(
+        { sub: String(user._id), username: user.username, role: user.role },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+
+// Returns the token's payload, or null when it is malformed, forged or expired
+function verifyToken(token) {
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+}
+
+// ===== PASSWORDS =====
+const BCRYPT_ROUNDS = 10;
+
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, hash) {
+    return bcrypt.compare(password, hash);
+}
+
+// Strips secrets and attaches the role's permissions for API responses
+function toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return { ...rest, permissions: getPermissions(user.role) };
+}
+
+// ===== MIDDLEWARE =====
+// Verifies the bearer token and loads the current user onto req.user.
+// The user is re-read on every request so role changes and deletions apply immediately.
+function authenticate(storage) {
+    return async (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const payload = verifyToken(token);
+        if (!payload) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        try {
+            const user = storage.users.isValidId(payload.sub) ? await storage.users.findById(payload.sub) : null;
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired token'
+                });
+            }
+
+            req.user = toPublicUser(user);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user || !req.user.permissions.includes(permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    getPermissions,
+    signToken,
+    verifyToken,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    authenticate,
+    requirePermission
+};
@@ -0,0 +1,20 @@
+// ===== DATABASE AVAILABILITY =====
+// Seconds clients are asked to wait before retrying while the database is down
+const UNAVAILABLE_RETRY_AFTER = 5;
+
+// Answers 503 straight away while storage is unreachable (still connecting at
+// startup, or the driver is reconnecting), instead of letting each route wait
+// for a server selection timeout and fail with a 500.
+function requireDatabase(storage) {
+    return (req, res, next) => {
+        if (storage.isConnected()) return next();
+
+        res.set('Retry-After', String(UNAVAILABLE_RETRY_AFTER));
+        res.status(503).json({
+            success: false,
+            message: 'Database unavailable, please try again shortly'
+        });
+    };
+}
+
+module.exports = { requireDatabase };
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { logger, requestContext } = require('../lib/logger');
+
+// ===== REQUEST LOGGING =====
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// An ID passed in by a proxy or client is kept if it looks like one, so logs can be joined up
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Health probes and metric scrapes are logged at debug so they do not drown out real traffic
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+// Gives every request an ID (echoed in the X-Request-Id response header and
+// attached to every log line written while handling it), then logs its
+// status and latency and records them in `metrics` once the response is done.
+function requestLogger(metrics) {
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set(REQUEST_ID_HEADER, req.id);
+
+        const started = process.hrtime.bigint();
+        metrics.requestStarted();
+
+        // 'close' also fires when the client goes away before the response is finished
+        res.on('close', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            metrics.requestFinished({ method: req.method, route, status: res.statusCode, seconds });
+
+            const level = res.statusCode >= 500 ? 'error' : QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+            logger[level]('Request completed', {
+                requestId: req.id,
+                method: req.method,
+                // The query string is left out: search terms can hold names and emails
+                path: req.originalUrl.split('?')[0],
+                route,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 10000) / 10,
+                userId: req.user ? String(req.user._id) : undefined,
+                ip: req.ip,
+                ...(!res.writableFinished && { aborted: true })
+            });
+        });
+
+        requestContext.run({ requestId: req.id }, next);
+    };
+}
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
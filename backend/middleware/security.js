@@ -0,0 +1,204 @@
+const { verifyToken } = require('./auth');
+const { logger } = require('../lib/logger');
+
+// ===== CONFIGURATION =====
+// [EXTERNAL — CONFIGURE VALUE] Origins allowed to call the API, comma-separated ("*" allows any)
+const DEFAULT_CORS_ORIGINS = ['http://localhost:5500', 'http://127.0.0.1:5500', 'https://yourusername.github.io'];
+
+// Write requests (anything but GET, HEAD and OPTIONS) allowed per window
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const RATE_LIMIT_IP_MAX = Number(process.env.RATE_LIMIT_IP_MAX) || 120;
+const RATE_LIMIT_USER_MAX = Number(process.env.RATE_LIMIT_USER_MAX) || 60;
+
+// Largest JSON or form body accepted; CSV imports have their own limit
+const BODY_LIMIT = process.env.BODY_LIMIT || '100kb';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function corsOrigins() {
+    const configured = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_CORS_ORIGINS;
+}
+
+// ===== VIOLATION LOG =====
+// Structured so violations can be filtered and counted by log tooling
+function logSecurityEvent(req, event, details = {}) {
+    logger.warn('Security violation', {
+        type: 'security',
+        event,
+        ip: req.ip,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ...details
+    });
+}
+
+// ===== CORS =====
+// Options for the cors middleware. Requests from other origins still reach the
+// API but get no CORS headers, so browsers refuse to hand over the response.
+function corsOptions() {
+    const origins = corsOrigins();
+    const allowAny = origins.includes('*');
+
+    return (req, callback) => {
+        const origin = req.get('Origin');
+        const allowed = !origin || allowAny || origins.includes(origin);
+        if (!allowed) {
+            logSecurityEvent(req, 'cors_rejected', { origin });
+        }
+
+        callback(null, {
+            origin: allowed ? origin || false : false,
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'If-Match', 'X-Request-Id'],
+            exposedHeaders: ['Content-Disposition', 'ETag', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+        });
+    };
+}
+
+// ===== SECURITY HEADERS =====
+// The API only serves JSON, CSV and the printable HTML report, so nothing may be
+// framed or loaded by its responses. Routes that render HTML relax the policy.
+function securityHeaders() {
+    return (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'",
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'no-referrer',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'X-DNS-Prefetch-Control': 'off',
+            // Student records must not linger in shared or browser caches
+            'Cache-Control': 'no-store'
+        });
+        if (req.secure) {
+            res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+        }
+        next();
+    };
+}
+
+// ===== INPUT SANITISATION =====
+// Keys that MongoDB would read as operators ($gt, $where) or paths (a.b), and
+// keys that would reach Object.prototype, are dropped from the query string and
+// body before any route sees them.
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function isUnsafeKey(key) {
+    return key.startsWith('$') || key.includes('.') || UNSAFE_KEYS.has(key);
+}
+
+// Removes unsafe keys in place and returns their paths
+function stripUnsafeKeys(value, path = '', removed = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => stripUnsafeKeys(item, `${path}[${index}]`, removed));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (isUnsafeKey(key)) {
+                delete value[key];
+                removed.push(keyPath);
+            } else {
+                stripUnsafeKeys(value[key], keyPath, removed);
+            }
+        });
+    }
+    return removed;
+}
+
+function sanitizeInput() {
+    return (req, res, next) => {
+        const removed = [
+            ...stripUnsafeKeys(req.query).map(key => `query.${key}`),
+            ...stripUnsafeKeys(req.body).map(key => `body.${key}`)
+        ];
+        if (removed.length > 0) {
+            logSecurityEvent(req, 'input_sanitized', { removed });
+        }
+        next();
+    };
+}
+
+// ===== RATE LIMITING =====
+// Fixed-window counters kept in memory, so limits are per process.
+// `keyFor` returns the bucket for a request, or null to let it through uncounted.
+function createRateLimiter({ name, windowMs, max, keyFor }) {
+    const hits = new Map();
+    let nextSweep = Date.now() + windowMs;
+
+    return (req, res, next) => {
+        const key = keyFor(req);
+        if (key === null) return next();
+
+        const now = Date.now();
+        if (now >= nextSweep) {
+            hits.forEach((entry, entryKey) => {
+                if (entry.resetAt <= now) hits.delete(entryKey);
+            });
+            nextSweep = now + windowMs;
+        }
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (entry.count > max) {
+            // Logged once per window, not for every rejected request
+            if (entry.count === max + 1) {
+                logSecurityEvent(req, 'rate_limited', { limiter: name, key, limit: max, windowMs });
+            }
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many requests, please try again later'
+            });
+        }
+        next();
+    };
+}
+
+// Per-IP and per-user limits on write requests. The user comes from the bearer
+// token; a missing or invalid token is left to the route to reject.
+function writeRateLimits({ windowMs = RATE_LIMIT_WINDOW_MS, ipMax = RATE_LIMIT_IP_MAX, userMax = RATE_LIMIT_USER_MAX } = {}) {
+    const isWrite = req => !READ_METHODS.includes(req.method);
+
+    return [
+        createRateLimiter({
+            name: 'ip',
+            windowMs,
+            max: ipMax,
+            keyFor: req => (isWrite(req) ? req.ip : null)
+        }),
+        createRateLimiter({
+            name: 'user',
+            windowMs,
+            max: userMax,
+            keyFor: req => {
+                if (!isWrite(req)) return null;
+                const [scheme, token] = (req.get('Authorization') || '').split(' ');
+                const payload = scheme === 'Bearer' && token ? verifyToken(token) : null;
+                return payload ? `user:${payload.sub}` : null;
+            }
+        })
+    ];
+}
+
+module.exports = {
+    BODY_LIMIT,
+    corsOptions,
+    securityHeaders,
+    sanitizeInput,
+    createRateLimiter,
+    writeRateLimits,
+    logSecurityEvent
+};
@@ -0,0 +1,290 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const {
+    validateSession,
+    validateMarks,
+    toSessionFields,
+    summarizeMarks,
+    refreshStudentAttendance
+} = require('../lib/attendance');
+const { logger } = require('../lib/logger');
+
+const ROSTER_FIELDS = ['name', 'email', 'attendance'];
+
+function countByStatus(marks) {
+    const counts = {};
+    marks.forEach(mark => { counts[mark.status] = (counts[mark.status] || 0) + 1; });
+    return counts;
+}
+
+// ===== ROUTES =====
+function createAttendanceRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // Resolves the course or session for :id, or sends the 400/404 response and returns null
+    async function loadById(repository, label, req, res) {
+        const { id } = req.params;
+
+        if (!repository.isValidId(id)) {
+            res.status(400).json({
+                success: false,
+                message: `Invalid ${label} ID format`
+            });
+            return null;
+        }
+
+        const doc = await repository.findById(id);
+        if (!doc) {
+            res.status(404).json({
+                success: false,
+                message: `${label[0].toUpperCase()}${label.slice(1)} not found`
+            });
+        }
+        return doc;
+    }
+
+    // Active students currently on the course, by name
+    function listRoster(courseId) {
+        return storage.students.list({
+            filter: { courseId },
+            sort: { field: 'name', direction: 1 },
+            fields: ROSTER_FIELDS
+        });
+    }
+
+    // GET /courses/:id/sessions - Sessions of a course, newest first
+    router.get('/courses/:id/sessions', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const course = await loadById(storage.courses, 'course', req, res);
+            if (!course) return;
+
+            const sessions = await storage.sessions.listByCourse(course._id);
+
+            res.status(200).json({
+                success: true,
+                count: sessions.length,
+                data: sessions
+            });
+        } catch (error) {
+            logger.error('Error fetching sessions', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /courses/:id/sessions - Add a class date to a course
+    router.post('/courses/:id/sessions', requireAuth, requirePermission('attendance:mark'), async (req, res) => {
+        try {
+            const errors = validateSession(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const course = await loadById(storage.courses, 'course', req, res);
+            if (!course) return;
+
+            const fields = toSessionFields(req.body);
+            const existing = await storage.sessions.listByCourse(course._id);
+            if (existing.some(session => new Date(session.date).getTime() === fields.date.getTime())) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${course.name} already has a session on ${fields.date.toISOString().slice(0, 10)}`
+                });
+            }
+
+            const session = await storage.sessions.create({
+                courseId: String(course._id),
+                ...fields,
+                summary: summarizeMarks(),
+                createdBy: { id: String(req.user._id), username: req.user.username },
+                createdAt: new Date()
+            });
+
+            await recordAudit(storage, {
+                entityType: 'session',
+                entityId: session._id,
+                action: 'create',
+                after: session,
+                actor: req.user
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Session created successfully',
+                data: session
+            });
+        } catch (error) {
+            logger.error('Error creating session', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /sessions/:id - Remove a session and its marks
+    router.delete('/sessions/:id', requireAuth, requirePermission('attendance:mark'), async (req, res) => {
+        try {
+            const session = await loadById(storage.sessions, 'session', req, res);
+            if (!session) return;
+
+            const marks = await storage.attendance.listBySession(session._id);
+            await storage.attendance.deleteBySession(session._id);
+            await storage.sessions.delete(session._id);
+            await refreshStudentAttendance(storage, marks.map(mark => mark.studentId));
+            if (marks.length > 0) {
+                publish(req, 'records.changed', { reason: 'attendance' });
+            }
+
+            await recordAudit(storage, {
+                entityType: 'session',
+                entityId: session._id,
+                action: 'delete',
+                before: session,
+                actor: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Session deleted successfully'
+            });
+        } catch (error) {
+            logger.error('Error deleting session', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /sessions/:id/register - Class register: the course roster with each student's mark
+    // `status` is null for students not marked yet.
+    router.get('/sessions/:id/register', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const session = await loadById(storage.sessions, 'session', req, res);
+            if (!session) return;
+
+            const [roster, marks] = await Promise.all([
+                listRoster(session.courseId),
+                storage.attendance.listBySession(session._id)
+            ]);
+            const statuses = new Map(marks.map(mark => [mark.studentId, mark.status]));
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    session,
+                    students: roster.map(student => ({
+                        ...student,
+                        status: statuses.get(String(student._id)) || null
+                    }))
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching register', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /sessions/:id/attendance - Mark one or more students (a whole class at once)
+    // Body: { marks: [{ studentId, status }] }. Existing marks are overwritten.
+    router.put('/sessions/:id/attendance', requireAuth, requirePermission('attendance:mark'), async (req, res) => {
+        try {
+            const marks = req.body.marks;
+            const errors = validateMarks(marks);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const session = await loadById(storage.sessions, 'session', req, res);
+            if (!session) return;
+
+            const rosterIds = new Set((await listRoster(session.courseId)).map(student => String(student._id)));
+            const strangers = marks.filter(mark => !rosterIds.has(mark.studentId));
+            if (strangers.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: strangers.map(mark => `Student ${mark.studentId} is not enrolled on this course`)
+                });
+            }
+
+            const markedAt = new Date();
+            const markedBy = { id: String(req.user._id), username: req.user.username };
+            await storage.attendance.mark(marks.map(mark => ({
+                sessionId: String(session._id),
+                studentId: mark.studentId,
+                courseId: session.courseId,
+                date: session.date,
+                status: mark.status,
+                markedAt,
+                markedBy
+            })));
+
+            const sessionMarks = await storage.attendance.listBySession(session._id);
+            const updatedSession = await storage.sessions.update(session._id, {
+                summary: summarizeMarks(countByStatus(sessionMarks))
+            });
+            await refreshStudentAttendance(storage, marks.map(mark => mark.studentId));
+            publish(req, 'records.changed', { reason: 'attendance' });
+
+            res.status(200).json({
+                success: true,
+                message: `Attendance saved for ${marks.length} student(s)`,
+                data: updatedSession
+            });
+        } catch (error) {
+            logger.error('Error saving attendance', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /records/:id/attendance - A student's marks, newest first, with their attendance rate
+    router.get('/records/:id/attendance', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const student = await loadById(storage.students, 'student', req, res);
+            if (!student) return;
+
+            const marks = await storage.attendance.listByStudent(student._id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    studentId: student._id,
+                    summary: summarizeMarks(countByStatus(marks)),
+                    marks
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching attendance', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAttendanceRouter };
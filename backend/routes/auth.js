@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const {
+    ROLES,
+    signToken,
+    hashPassword,
+    verifyPassword,
+    toPublicUser,
+    authenticate,
+    requirePermission
+} = require('../middleware/auth');
+const { logger } = require('../lib/logger');
+
+// Compared against when the username is unknown, so failed logins take the
+// same time whether or not the account exists.
+const DUMMY_HASH = '$2a$10$MbOSa7uK97l2PIaUGYLkNONEs.wYpCKck2luD0v101QAtbyy0kxjS';
+
+// ===== VALIDATION FUNCTIONS =====
+function validateUser(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.username !== undefined) {
+        if (!data.username || typeof data.username !== 'string' || !/^[a-zA-Z0-9._-]{3,50}$/.test(data.username.trim())) {
+            errors.push('Username is required and must be 3-50 letters, numbers, dots, dashes or underscores');
+        }
+    }
+
+    if (!partial || data.password !== undefined) {
+        if (!data.password || typeof data.password !== 'string' || data.password.length < 8) {
+            errors.push('Password is required and must be at least 8 characters');
+        }
+    }
+
+    if (!partial || data.role !== undefined) {
+        if (!ROLES.includes(data.role)) {
+            errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim().length > 100)) {
+        errors.push('Name must be text of at most 100 characters');
+    }
+
+    return errors;
+}
+
+// ===== ADMIN BOOTSTRAP =====
+// Creates the first admin account when the users collection is empty.
+// [EXTERNAL — CONFIGURE VALUE] ADMIN_USERNAME / ADMIN_PASSWORD
+async function seedAdminUser(storage) {
+    if (await storage.users.count() > 0) return;
+
+    const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        password = crypto.randomBytes(9).toString('base64url');
+        logger.warn('ADMIN_PASSWORD is not set; generated a one-time admin password', { username });
+        // Written straight to stderr, never through the logger, so the secret
+        // does not end up in shipped and retained log streams
+        process.stderr.write(`Initial password for admin "${username}": ${password}\n`);
+    }
+
+    await storage.users.create({
+        username,
+        name: 'Administrator',
+        role: 'admin',
+        passwordHash: await hashPassword(password),
+        createdAt: new Date(),
+        updatedAt: new Date()
+    });
+    logger.info('Admin user created', { username });
+}
+
+// ===== ROUTES =====
+function createAuthRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // POST /auth/login - Exchange credentials for a signed token
+    router.post('/auth/login', async (req, res) => {
+        try {
+            const { username, password } = req.body;
+
+            if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Username and password are required'
+                });
+            }
+
+            const user = await storage.users.findByUsername(username.trim().toLowerCase());
+            const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+
+            if (!user || !valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid username or password'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Logged in successfully',
+                data: {
+                    token: signToken(user),
+                    user: toPublicUser(user)
+                }
+            });
+        } catch (error) {
+            logger.error('Error logging in', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /auth/me - Current user and permissions
+    router.get('/auth/me', requireAuth, (req, res) => {
+        res.status(200).json({
+            success: true,
+            data: req.user
+        });
+    });
+
+    // GET /users - List user accounts
+    router.get('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+        try {
+            const users = await storage.users.list();
+            res.status(200).json({
+                success: true,
+                count: users.length,
+                data: users.map(toPublicUser)
+            });
+        } catch (error) {
+            logger.error('Error fetching users', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /users - Create a user account
+    router.post('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+        try {
+            const errors = validateUser(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const username = req.body.username.trim().toLowerCase();
+            if (await storage.users.findByUsername(username)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A user with this username already exists'
+                });
+            }
+
+            const user = await storage.users.create({
+                username,
+                name: req.body.name?.trim() || '',
+                role: req.body.role,
+                passwordHash: await hashPassword(req.body.password),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'User created successfully',
+                data: toPublicUser(user)
+            });
+        } catch (error) {
+            logger.error('Error creating user', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /users/:id - Change a user's name, role or password
+    router.put('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.users.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user ID format'
+                });
+            }
+
+            const { username, ...changes } = req.body;
+            const errors = validateUser(changes, { partial: true });
+            if (username !== undefined) {
+                errors.push('Username cannot be changed');
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            // Admins cannot demote themselves and lock everyone out
+            if (id === String(req.user._id) && changes.role !== undefined && changes.role !== 'admin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot change your own role'
+                });
+            }
+
+            const updateData = { updatedAt: new Date() };
+            if (changes.name !== undefined) updateData.name = changes.name.trim();
+            if (changes.role !== undefined) updateData.role = changes.role;
+            if (changes.password !== undefined) updateData.passwordHash = await hashPassword(changes.password);
+
+            const user = await storage.users.update(id, updateData);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'User updated successfully',
+                data: toPublicUser(user)
+            });
+        } catch (error) {
+            logger.error('Error updating user', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /users/:id - Remove a user account
+    router.delete('/users/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.users.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user ID format'
+                });
+            }
+
+            if (id === String(req.user._id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot delete your own account'
+                });
+            }
+
+            const deleted = await storage.users.delete(id);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            await storage.views.deleteByUser(id);
+
+            res.status(200).json({
+                success: true,
+                message: 'User deleted successfully'
+            });
+        } catch (error) {
+            logger.error('Error deleting user', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter, seedAdminUser };
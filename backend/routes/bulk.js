@@ -0,0 +1,259 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudits } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const { STUDENT_SCHEMA } = require('../lib/schema');
+const { checkEnrolment } = require('../lib/courses');
+const { loadStudentSchema, searchableKeys } = require('../lib/customFields');
+const { parseRecordFilter } = require('../lib/query');
+const { logger } = require('../lib/logger');
+
+const FEE_STATUSES = STUDENT_SCHEMA.fields.feeStatus.enum;
+const MAX_BULK_ITEMS = 1000;
+// The filter parameters of GET /records, sent as a JSON object
+const FILTER_FIELDS = ['search', 'status', 'course', 'joinDateFrom', 'joinDateTo'];
+
+// ===== ACTIONS =====
+// Fails the item when the student was edited or trashed after it was read
+function changedMeanwhile() {
+    const message = 'Student was changed or removed while the action ran; try again';
+    return Object.assign(new Error(message), { bulkMessage: message });
+}
+
+// Each action has the permission it needs and a function that applies it to one
+// student. `apply` returns { status: 'done' | 'skipped', message?, audit? } and
+// may throw with a `bulkMessage` to fail the item. Updates carry the version the
+// student was read at, so an edit made in the meantime is not overwritten.
+const ACTIONS = {
+    setFeeStatus: {
+        permission: 'records:update',
+        validate: value => (FEE_STATUSES.includes(value) ? null : `value must be one of: ${FEE_STATUSES.join(', ')}`),
+        async apply(storage, student, value) {
+            if (student.fees) {
+                return { status: 'skipped', message: 'Fee status is derived from the fee ledger' };
+            }
+            if (student.feeStatus === value) {
+                return { status: 'skipped', message: `Already ${value}` };
+            }
+
+            const updated = await storage.students.update(
+                student._id,
+                { feeStatus: value, updatedAt: new Date() },
+                { version: student.version || 0 }
+            );
+            if (!updated) throw changedMeanwhile();
+            return { status: 'done', audit: { action: 'update', before: student, after: updated } };
+        }
+    },
+    changeCourse: {
+        permission: 'records:update',
+        validate: value => (typeof value === 'string' && value ? null : 'value must be a course ID'),
+        async apply(storage, student, value) {
+            if (student.courseId === value) {
+                return { status: 'skipped', message: 'Already on this course' };
+            }
+
+            // Capacity is re-checked per student, so a course fills up part-way through
+            const enrolment = await checkEnrolment(storage, value, { currentStudent: student });
+            if (!enrolment.course) {
+                throw Object.assign(new Error(enrolment.message), { bulkMessage: enrolment.message });
+            }
+
+            const updated = await storage.students.update(student._id, {
+                courseId: String(enrolment.course._id),
+                course: enrolment.course.name,
+                updatedAt: new Date()
+            }, { version: student.version || 0 });
+            if (!updated) throw changedMeanwhile();
+            return { status: 'done', audit: { action: 'update', before: student, after: updated } };
+        }
+    },
+    // Moves students to the trash, like DELETE /records/:id
+    archive: {
+        permission: 'records:delete',
+        async apply(storage, student, value, user) {
+            const archived = await storage.students.archive(student._id, {
+                deletedBy: { id: String(user._id), username: user.username },
+                version: student.version || 0
+            });
+            if (!archived) throw changedMeanwhile();
+            return { status: 'done', audit: { action: 'archive', before: student, after: archived } };
+        }
+    },
+    // Permanently deletes students that are already in the trash
+    delete: {
+        permission: 'records:delete',
+        archived: true,
+        async apply(storage, student) {
+            // A student restored since it was read is left alone, data and all
+            if (!await storage.students.deleteArchived(student._id)) throw changedMeanwhile();
+            await storage.payments.deleteByStudents([student._id]);
+            await storage.attendance.deleteByStudents([student._id]);
+            await storage.notifications.deleteByStudents([student._id]);
+            return { status: 'done', audit: { action: 'purge', before: student } };
+        }
+    }
+};
+
+// ===== VALIDATION FUNCTIONS =====
+function validateBulkRequest(body) {
+    const errors = [];
+
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, body.action)) {
+        errors.push(`action must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+    } else if (ACTIONS[body.action].validate) {
+        const message = ACTIONS[body.action].validate(body.value);
+        if (message) errors.push(message);
+    }
+
+    if ((body.ids === undefined) === (body.filter === undefined)) {
+        errors.push('Send either ids or filter');
+    } else if (body.ids !== undefined) {
+        if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.length > MAX_BULK_ITEMS) {
+            errors.push(`ids must be a list of 1-${MAX_BULK_ITEMS} student IDs`);
+        } else if (body.ids.some(id => typeof id !== 'string')) {
+            errors.push('ids must be strings');
+        }
+    } else {
+        const filter = body.filter;
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            errors.push(`filter must be an object with any of: ${FILTER_FIELDS.join(', ')}`);
+        } else {
+            const unknown = Object.keys(filter).filter(key => !FILTER_FIELDS.includes(key));
+            if (unknown.length > 0) {
+                errors.push(`Unknown filter fields: ${unknown.join(', ')}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// ===== ROUTES =====
+function createBulkRouter(storage) {
+    const router = express.Router();
+
+    // Resolves ids or a filter to students. Ids that are malformed or missing come
+    // back as failed results; a filter matching too many students is an error.
+    async function resolveTargets(body, action) {
+        if (body.filter) {
+            const { filter, errors } = parseRecordFilter(body.filter, {
+                isValidCourseId: id => storage.courses.isValidId(id)
+            });
+            if (errors) {
+                return { error: 'Invalid filter', errors };
+            }
+            filter.customKeys = searchableKeys(await loadStudentSchema(storage));
+            filter.archived = !!action.archived;
+
+            const total = await storage.students.count(filter);
+            if (total > MAX_BULK_ITEMS) {
+                return { error: `The filter matches ${total} students; narrow it down to at most ${MAX_BULK_ITEMS}` };
+            }
+
+            const students = await storage.students.list({ filter, sort: { field: 'name', direction: 1 } });
+            return { students, missing: [] };
+        }
+
+        const students = [];
+        const missing = [];
+        for (const id of new Set(body.ids)) {
+            if (!storage.students.isValidId(id)) {
+                missing.push({ id, status: 'failed', message: 'Invalid student ID format' });
+                continue;
+            }
+
+            const student = await storage.students.findById(id, { includeArchived: true });
+            if (!student || !!student.deletedAt !== !!action.archived) {
+                missing.push({
+                    id,
+                    status: 'failed',
+                    message: action.archived ? 'Student not found in trash' : 'Student not found'
+                });
+            } else {
+                students.push(student);
+            }
+        }
+        return { students, missing };
+    }
+
+    // POST /records/bulk - Apply one action to many students
+    // Body: { action, value?, ids: [...] } or { action, value?, filter: { search, status, course, joinDateFrom, joinDateTo } }
+    // Every student gets a result (done, skipped or failed); one failure does not stop the rest.
+    router.post('/records/bulk', authenticate(storage), requirePermission('records:read'), async (req, res) => {
+        try {
+            const errors = validateBulkRequest(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const action = ACTIONS[req.body.action];
+            if (!req.user.permissions.includes(action.permission)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to perform this action'
+                });
+            }
+
+            const { students, missing, error, errors: filterErrors } = await resolveTargets(req.body, action);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                    errors: filterErrors
+                });
+            }
+
+            const results = [...missing];
+            const audits = [];
+            for (const student of students) {
+                const result = { id: String(student._id), name: student.name };
+                try {
+                    const outcome = await action.apply(storage, student, req.body.value, req.user);
+                    result.status = outcome.status;
+                    if (outcome.message) result.message = outcome.message;
+                    if (outcome.audit) {
+                        audits.push({ entityType: 'student', entityId: student._id, actor: req.user, ...outcome.audit });
+                    }
+                } catch (error) {
+                    if (!error.bulkMessage) {
+                        logger.error('Error applying bulk action', { action: req.body.action, studentId: String(student._id), error });
+                    }
+                    result.status = 'failed';
+                    result.message = error.bulkMessage || 'Internal server error';
+                }
+                results.push(result);
+            }
+
+            await recordAudits(storage, audits);
+            if (audits.length > 0) {
+                publish(req, 'records.changed', { reason: 'bulk' });
+            }
+
+            const summary = { done: 0, skipped: 0, failed: 0 };
+            results.forEach(result => { summary[result.status]++; });
+
+            res.status(200).json({
+                success: true,
+                message: `${summary.done} done, ${summary.skipped} skipped, ${summary.failed} failed`,
+                summary,
+                results
+            });
+        } catch (error) {
+            logger.error('Error applying bulk action', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBulkRouter };
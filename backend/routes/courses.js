@@ -0,0 +1,280 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const { validateCourse, toCourseFields } = require('../lib/courses');
+const { logger } = require('../lib/logger');
+
+// Adds live enrolment figures to a course
+function withEnrolment(course, enrolled) {
+    return {
+        ...course,
+        enrolled,
+        seatsLeft: course.capacity ? Math.max(course.capacity - enrolled, 0) : null
+    };
+}
+
+function duplicateCourseMessage(error) {
+    return error.keyPattern?.code
+        ? 'A course with this code already exists'
+        : 'A course with this name already exists';
+}
+
+// ===== ROUTES =====
+function createCoursesRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // GET /courses - Course catalogue with enrolment counts
+    // Optional `search` (name or code) and `active=true|false` filters.
+    router.get('/courses', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { search, active } = req.query;
+            if (search !== undefined && typeof search !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'search must be text'
+                });
+            }
+
+            const courses = await storage.courses.list({
+                search,
+                active: active === undefined ? undefined : active === 'true'
+            });
+            const counts = new Map((await storage.students.enrolmentCounts()).map(c => [c.courseId, c.count]));
+
+            res.status(200).json({
+                success: true,
+                count: courses.length,
+                data: courses.map(course => withEnrolment(course, counts.get(String(course._id)) || 0))
+            });
+        } catch (error) {
+            logger.error('Error fetching courses', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /courses/:id - Single course with enrolment count
+    router.get('/courses/:id', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.courses.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid course ID format'
+                });
+            }
+
+            const course = await storage.courses.findById(id);
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: withEnrolment(course, await storage.students.countByCourse(id))
+            });
+        } catch (error) {
+            logger.error('Error fetching course', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /courses - Add a course to the catalogue
+    router.post('/courses', requireAuth, requirePermission('courses:manage'), async (req, res) => {
+        try {
+            const errors = validateCourse(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const created = await storage.courses.create({
+                ...toCourseFields(req.body),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+
+            await recordAudit(storage, {
+                entityType: 'course',
+                entityId: created._id,
+                action: 'create',
+                after: created,
+                actor: req.user
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Course created successfully',
+                data: withEnrolment(created, 0)
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: duplicateCourseMessage(error)
+                });
+            }
+
+            logger.error('Error creating course', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /courses/:id - Update a course; renaming updates the name stored on its students
+    router.put('/courses/:id', requireAuth, requirePermission('courses:manage'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.courses.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid course ID format'
+                });
+            }
+
+            const errors = validateCourse(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const previousCourse = await storage.courses.findById(id);
+            if (!previousCourse) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            const updatedCourse = await storage.courses.update(id, {
+                ...toCourseFields(req.body),
+                updatedAt: new Date()
+            });
+
+            if (!updatedCourse) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            if (updatedCourse.name !== previousCourse.name) {
+                await storage.students.renameCourse(id, updatedCourse.name);
+                publish(req, 'records.changed', { reason: 'course' });
+            }
+
+            await recordAudit(storage, {
+                entityType: 'course',
+                entityId: id,
+                action: 'update',
+                before: previousCourse,
+                after: updatedCourse,
+                actor: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Course updated successfully',
+                data: withEnrolment(updatedCourse, await storage.students.countByCourse(id))
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: duplicateCourseMessage(error)
+                });
+            }
+
+            logger.error('Error updating course', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /courses/:id - Remove a course nobody is (or was) enrolled on and that never ran a session
+    router.delete('/courses/:id', requireAuth, requirePermission('courses:manage'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.courses.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid course ID format'
+                });
+            }
+
+            const course = await storage.courses.findById(id);
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            // Students in the trash still reference the course and may be restored
+            const enrolled = await storage.students.countByCourse(id, { includeArchived: true });
+            if (enrolled > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${course.name} still has ${enrolled} student(s). Deactivate it instead.`
+                });
+            }
+
+            // Sessions keep the class register; deleting the course would orphan it
+            const sessions = await storage.sessions.listByCourse(id);
+            if (sessions.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `${course.name} has ${sessions.length} attendance session(s). Deactivate it instead.`
+                });
+            }
+
+            await storage.courses.delete(id);
+            await recordAudit(storage, {
+                entityType: 'course',
+                entityId: id,
+                action: 'delete',
+                before: course,
+                actor: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Course deleted successfully'
+            });
+        } catch (error) {
+            logger.error('Error deleting course', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCoursesRouter };
@@ -0,0 +1,185 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const { validateCustomField, toCustomFieldFields } = require('../lib/customFields');
+const { logger } = require('../lib/logger');
+
+// ===== ROUTES =====
+function createCustomFieldsRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // Resolves the definition for :id, or sends the 400/404 response and returns null
+    async function loadField(req, res) {
+        const { id } = req.params;
+
+        if (!storage.customFields.isValidId(id)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid custom field ID format'
+            });
+            return null;
+        }
+
+        const field = await storage.customFields.findById(id);
+        if (!field) {
+            res.status(404).json({
+                success: false,
+                message: 'Custom field not found'
+            });
+        }
+        return field;
+    }
+
+    // GET /custom-fields - Custom field definitions in display order
+    router.get('/custom-fields', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const fields = await storage.customFields.list();
+
+            res.status(200).json({
+                success: true,
+                count: fields.length,
+                data: fields
+            });
+        } catch (error) {
+            logger.error('Error fetching custom fields', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /custom-fields - Define a new student field
+    router.post('/custom-fields', requireAuth, requirePermission('fields:manage'), async (req, res) => {
+        try {
+            const errors = validateCustomField(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const created = await storage.customFields.create({
+                ...toCustomFieldFields(req.body),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+
+            await recordAudit(storage, {
+                entityType: 'customField',
+                entityId: created._id,
+                action: 'create',
+                after: created,
+                actor: req.user
+            });
+            publish(req, 'schema.changed');
+
+            res.status(201).json({
+                success: true,
+                message: 'Custom field created successfully',
+                data: created
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A custom field with this key already exists'
+                });
+            }
+
+            logger.error('Error creating custom field', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /custom-fields/:id - Change a field's label, validation or display settings
+    // The key and type are fixed once the field exists. Tightened rules apply
+    // to students the next time they are saved.
+    router.put('/custom-fields/:id', requireAuth, requirePermission('fields:manage'), async (req, res) => {
+        try {
+            const previousField = await loadField(req, res);
+            if (!previousField) return;
+
+            const errors = validateCustomField(req.body, { current: previousField });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const updatedField = await storage.customFields.update(previousField._id, {
+                ...toCustomFieldFields(req.body, previousField),
+                updatedAt: new Date()
+            });
+
+            await recordAudit(storage, {
+                entityType: 'customField',
+                entityId: previousField._id,
+                action: 'update',
+                before: previousField,
+                after: updatedField,
+                actor: req.user
+            });
+            publish(req, 'schema.changed');
+
+            res.status(200).json({
+                success: true,
+                message: 'Custom field updated successfully',
+                data: updatedField
+            });
+        } catch (error) {
+            logger.error('Error updating custom field', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /custom-fields/:id - Remove a field and its value from every student
+    router.delete('/custom-fields/:id', requireAuth, requirePermission('fields:manage'), async (req, res) => {
+        try {
+            const field = await loadField(req, res);
+            if (!field) return;
+
+            await storage.customFields.delete(field._id);
+            // Clear stored values so a later field reusing the key starts empty
+            const cleared = await storage.students.unsetCustomField(field.key);
+
+            await recordAudit(storage, {
+                entityType: 'customField',
+                entityId: field._id,
+                action: 'delete',
+                before: field,
+                actor: req.user,
+                details: { clearedStudents: cleared }
+            });
+            publish(req, 'schema.changed');
+
+            res.status(200).json({
+                success: true,
+                message: `Custom field deleted; cleared values on ${cleared} student(s)`
+            });
+        } catch (error) {
+            logger.error('Error deleting custom field', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCustomFieldsRouter };
@@ -0,0 +1,42 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { subscribe, onStreamsClosed } = require('../lib/events');
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+// ===== ROUTES =====
+function createEventsRouter(storage) {
+    const router = express.Router();
+
+    // GET /events - Server-Sent Events stream of record changes
+    // The stream stays open until the client disconnects; see lib/events.js for the event types.
+    router.get('/events', authenticate(storage), requirePermission('records:read'), (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const unsubscribe = subscribe(event => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+        const stopClosing = onStreamsClosed(() => res.end());
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            stopClosing();
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createEventsRouter };
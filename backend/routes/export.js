@@ -0,0 +1,249 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { STUDENT_SCHEMA } = require('../lib/schema');
+const { loadStudentSchema, searchableKeys } = require('../lib/customFields');
+const { toCsvRow } = require('../lib/csv');
+const { parseRecordFilter, parseRecordSort } = require('../lib/query');
+const { logger } = require('../lib/logger');
+
+const EXPORT_FORMATS = ['csv', 'json', 'html'];
+const FEE_STATUSES = STUDENT_SCHEMA.fields.feeStatus.enum;
+
+// The report carries its own styles and print button; nothing else may load
+const REPORT_CSP = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; frame-ancestors 'none'";
+
+const EXPORT_COLUMNS = [
+    { field: 'name', label: 'Name' },
+    { field: 'email', label: 'Email' },
+    { field: 'phone', label: 'Phone' },
+    { field: 'course', label: 'Course' },
+    { field: 'feeStatus', label: 'Fee Status' },
+    { field: 'joinDate', label: 'Join Date' },
+    { field: 'notes', label: 'Notes' },
+    { field: 'createdAt', label: 'Created At' },
+    { field: 'updatedAt', label: 'Updated At' }
+];
+
+// Waits for the socket to drain when the buffer is full so large exports
+// are not held in memory; resolves early if the client disconnects.
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
+}
+
+function formatDay(date) {
+    return date instanceof Date ? date.toISOString().split('T')[0] : '';
+}
+
+// One column per custom field, after the built-in ones
+function customColumns(schema) {
+    return Object.entries(schema.custom).map(([key, rules]) => ({ key, label: rules.label, rules }));
+}
+
+function formatCustomValue(value) {
+    if (value instanceof Date) return formatDay(value);
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return value ?? '';
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// `courseNames` are the names of the filtered courses, looked up by the route
+function describeFilters({ search, status, joinedFrom, joinedBefore }, courseNames = []) {
+    const parts = [];
+    if (search) parts.push(`search "${search}"`);
+    if (status) parts.push(`fee status ${status.join(' or ')}`);
+    if (courseNames.length > 0) parts.push(`course ${courseNames.join(' or ')}`);
+    if (joinedFrom) parts.push(`joined from ${formatDay(joinedFrom)}`);
+    if (joinedBefore) parts.push(`joined up to ${formatDay(new Date(joinedBefore.getTime() - 24 * 60 * 60 * 1000))}`);
+    return parts.length > 0 ? `Filtered by ${parts.join(', ')}` : 'All students';
+}
+
+function countByStatus(students) {
+    const counts = Object.fromEntries(FEE_STATUSES.map(s => [s, 0]));
+    students.forEach(s => { counts[s.feeStatus] = (counts[s.feeStatus] || 0) + 1; });
+    return counts;
+}
+
+function renderStatusCounts(counts) {
+    return FEE_STATUSES
+        .map(s => `<span class="subtotal status-${s.toLowerCase()}">${s}: ${counts[s] || 0}</span>`)
+        .join('');
+}
+
+// Print-optimised report grouped by course, with fee status subtotals per group.
+// Custom fields shown in the dashboard table get a column too.
+function renderHtmlReport(students, description, columns) {
+    const groups = new Map();
+    students.forEach(student => {
+        if (!groups.has(student.course)) groups.set(student.course, []);
+        groups.get(student.course).push(student);
+    });
+
+    const sections = [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([course, members]) => `
+        <section class="course-group">
+            <h2>${escapeHtml(course)} <small>(${members.length})</small></h2>
+            <table>
+                <thead>
+                    <tr><th>Name</th><th>Email</th><th>Phone</th><th>Fee Status</th><th>Join Date</th><th>Notes</th>${columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${members.map(s => `
+                    <tr>
+                        <td>${escapeHtml(s.name)}</td>
+                        <td>${escapeHtml(s.email)}</td>
+                        <td>${escapeHtml(s.phone)}</td>
+                        <td>${escapeHtml(s.feeStatus)}</td>
+                        <td>${formatDay(s.joinDate)}</td>
+                        <td>${escapeHtml(s.notes)}</td>
+                        ${columns.map(c => `<td>${escapeHtml(formatCustomValue(s.custom?.[c.key]))}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <p class="subtotals">${renderStatusCounts(countByStatus(members))}</p>
+        </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Student Report - ${formatDay(new Date())}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #343a40; margin: 2rem; font-size: 12px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 15px; margin: 0 0 8px; border-bottom: 2px solid #4361ee; padding-bottom: 4px; }
+        h2 small { color: #6c757d; font-weight: normal; }
+        .meta { color: #6c757d; margin: 0 0 16px; }
+        .summary { margin-bottom: 24px; }
+        .course-group { margin-bottom: 24px; page-break-inside: avoid; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #dee2e6; padding: 4px 6px; text-align: left; vertical-align: top; }
+        th { background: #f1f3f5; }
+        .subtotals { margin: 6px 0 0; }
+        .subtotal { display: inline-block; margin-right: 12px; font-weight: 600; }
+        .no-print { margin-bottom: 16px; }
+        @media print {
+            body { margin: 0; }
+            .no-print { display: none; }
+            thead { display: table-header-group; }
+        }
+    </style>
+</head>
+<body>
+    <div class="no-print"><button onclick="window.print()">Print</button></div>
+    <h1>Student Report</h1>
+    <p class="meta">${escapeHtml(description)} &middot; Generated ${escapeHtml(new Date().toLocaleString('en-GB'))}</p>
+    <div class="summary">
+        <strong>${students.length} students in ${groups.size} course(s)</strong>
+        <p class="subtotals">${renderStatusCounts(countByStatus(students))}</p>
+    </div>
+    ${sections || '<p>No students match the current filters.</p>'}
+</body>
+</html>`;
+}
+
+// ===== ROUTES =====
+function createExportRouter(storage) {
+    const router = express.Router();
+
+    // GET /records/export - Download the filtered list as CSV, JSON or a printable HTML report
+    // Accepts the same filter and sort parameters as GET /records.
+    router.get('/records/export', authenticate(storage), requirePermission('records:read'), async (req, res) => {
+        try {
+            const { format = 'csv' } = req.query;
+
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+                });
+            }
+
+            const { sort, error: sortError } = parseRecordSort(req.query);
+            const { filter, errors } = parseRecordFilter(req.query, {
+                isValidCourseId: id => storage.courses.isValidId(id)
+            });
+            if (sortError || errors) {
+                return res.status(400).json({
+                    success: false,
+                    message: sortError || 'Invalid filter',
+                    errors
+                });
+            }
+
+            const schema = await loadStudentSchema(storage);
+            const columns = customColumns(schema);
+            filter.customKeys = searchableKeys(schema);
+            const filename = `students-${formatDay(new Date())}`;
+
+            if (format === 'html') {
+                const students = await storage.students.list({ filter, sort });
+                const courses = await Promise.all((filter.courseId || []).map(id => storage.courses.findById(id)));
+                const description = describeFilters(filter, courses.filter(Boolean).map(course => course.name));
+                res.set('Content-Security-Policy', REPORT_CSP);
+                res.type('html').send(renderHtmlReport(students, description, columns.filter(c => c.rules.showInTable)));
+                return;
+            }
+
+            const records = storage.students.stream({ filter, sort });
+
+            if (format === 'csv') {
+                res.set({
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="${filename}.csv"`
+                });
+                res.write(toCsvRow([...EXPORT_COLUMNS.map(c => c.label), ...columns.map(c => c.label)]));
+                for await (const student of records) {
+                    if (res.destroyed) break;
+                    await writeChunk(res, toCsvRow([
+                        ...EXPORT_COLUMNS.map(c => c.field === 'joinDate' ? formatDay(student.joinDate) : student[c.field]),
+                        ...columns.map(c => formatCustomValue(student.custom?.[c.key]))
+                    ]));
+                }
+                res.end();
+                return;
+            }
+
+            res.set({
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${filename}.json"`
+            });
+            res.write('[');
+            let first = true;
+            for await (const student of records) {
+                if (res.destroyed) break;
+                await writeChunk(res, `${first ? '\n' : ',\n'}${JSON.stringify(student)}`);
+                first = false;
+            }
+            res.end('\n]\n');
+        } catch (error) {
+            logger.error('Error exporting students', { error });
+            // Once streaming has started the status line is gone; just cut the response
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createExportRouter };
@@ -0,0 +1,266 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { parseCsv } = require('../lib/csv');
+const { recordAudits } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const { validateStudent, toStudentFields, duplicateEmailMessage } = require('../lib/students');
+const { toNameKey } = require('../lib/courses');
+const { STUDENT_SCHEMA } = require('../lib/schema');
+const { loadStudentSchema, parseCustomValue } = require('../lib/customFields');
+const { logger } = require('../lib/logger');
+
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_SIZE = '5mb';
+
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'course', 'feeStatus', 'joinDate', 'notes'];
+
+// Header spellings recognised when no explicit mapping is given,
+// compared after lower-casing and stripping non-alphanumerics.
+const HEADER_ALIASES = {
+    name: ['name', 'fullname', 'studentname'],
+    email: ['email', 'emailaddress', 'mail'],
+    phone: ['phone', 'phonenumber', 'mobile', 'contact'],
+    course: ['course', 'courseservice', 'service', 'program', 'programme', 'coursecode'],
+    feeStatus: ['feestatus', 'fee', 'fees', 'status', 'paymentstatus'],
+    joinDate: ['joindate', 'joined', 'joiningdate', 'startdate', 'enrolmentdate', 'enrollmentdate'],
+    notes: ['notes', 'note', 'comments', 'remarks']
+};
+
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Custom fields are mapped as `custom.<key>` and matched on their label or key
+function suggestMapping(headers, schema) {
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const match = headers.find(h => HEADER_ALIASES[field].includes(normalizeHeader(h)));
+        if (match) mapping[field] = match;
+    });
+    Object.entries(schema.custom).forEach(([key, rules]) => {
+        const aliases = [normalizeHeader(key), normalizeHeader(rules.label)];
+        const match = headers.find(h => aliases.includes(normalizeHeader(h)));
+        if (match) mapping[`custom.${key}`] = match;
+    });
+    return mapping;
+}
+
+// Fee status values are matched case-insensitively ("paid" -> "Paid")
+function normalizeFeeStatus(value) {
+    return STUDENT_SCHEMA.fields.feeStatus.enum.find(s => s.toLowerCase() === value.trim().toLowerCase()) || value.trim();
+}
+
+function parseMapping(raw, headers, schema) {
+    if (!raw) return { mapping: suggestMapping(headers, schema) };
+
+    let mapping;
+    try {
+        mapping = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        return { error: 'Mapping must be a JSON object of field -> column header' };
+    }
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { error: 'Mapping must be a JSON object of field -> column header' };
+    }
+
+    const errors = [];
+    Object.entries(mapping).forEach(([field, column]) => {
+        const customKey = field.startsWith('custom.') ? field.slice('custom.'.length) : null;
+        if (!IMPORT_FIELDS.includes(field) && !(customKey && Object.prototype.hasOwnProperty.call(schema.custom, customKey))) {
+            errors.push(`Unknown field "${field}"`);
+        } else if (column && !headers.includes(column)) {
+            errors.push(`Column "${column}" not found in file`);
+        }
+    });
+
+    return errors.length > 0 ? { error: errors.join('; ') } : { mapping };
+}
+
+// ===== ROUTES =====
+function createImportRouter(storage) {
+    const router = express.Router();
+
+    // POST /records/import - Import students from a CSV upload
+    // Body: raw CSV (Content-Type: text/csv). Query: dryRun=true to only
+    // validate, mapping=<JSON field -> column header> to override auto-mapping.
+    router.post(
+        '/records/import',
+        authenticate(storage),
+        requirePermission('records:create'),
+        express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: MAX_IMPORT_SIZE }),
+        async (req, res) => {
+            try {
+                if (typeof req.body !== 'string' || req.body.trim() === '') {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Request body must be a non-empty CSV file (Content-Type: text/csv)'
+                    });
+                }
+
+                let rows;
+                try {
+                    rows = parseCsv(req.body);
+                } catch (error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Could not parse CSV: ${error.message}`
+                    });
+                }
+
+                const [headerRow = [], ...dataRows] = rows;
+                const headers = headerRow.map(h => h.trim());
+
+                if (dataRows.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'CSV file has no data rows'
+                    });
+                }
+
+                if (dataRows.length > MAX_IMPORT_ROWS) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `CSV file has ${dataRows.length} rows; the maximum is ${MAX_IMPORT_ROWS}`
+                    });
+                }
+
+                const schema = await loadStudentSchema(storage);
+                const { mapping, error: mappingError } = parseMapping(req.query.mapping, headers, schema);
+                if (mappingError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: mappingError,
+                        headers
+                    });
+                }
+
+                const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+                const seenEmails = new Map();
+                const report = [];
+
+                // The course column may hold a catalogue name or code; seats taken by
+                // earlier rows of the same file count towards capacity.
+                const courses = await storage.courses.list();
+                const enrolled = new Map((await storage.students.enrolmentCounts()).map(c => [c.courseId, c.count]));
+                const findCourse = value => courses.find(c => c.code === value.toUpperCase() || c.nameKey === toNameKey(value));
+                const rowCourses = new Map();
+
+                for (const [index, values] of dataRows.entries()) {
+                    // Row numbers match the spreadsheet: the header is row 1
+                    const rowNumber = index + 2;
+                    const data = {};
+                    IMPORT_FIELDS.forEach(field => {
+                        const column = mapping[field];
+                        const value = column ? values[headers.indexOf(column)] : undefined;
+                        if (value !== undefined && value.trim() !== '') {
+                            data[field] = field === 'feeStatus' ? normalizeFeeStatus(value) : value.trim();
+                        }
+                    });
+                    Object.entries(schema.custom).forEach(([key, rules]) => {
+                        const column = mapping[`custom.${key}`];
+                        const value = column ? values[headers.indexOf(column)] : undefined;
+                        if (value !== undefined && value.trim() !== '') {
+                            data.custom = { ...data.custom, [key]: parseCustomValue(rules, value) };
+                        }
+                    });
+
+                    const course = data.course ? findCourse(data.course) : null;
+                    const errors = Object.values(validateStudent({ ...data, courseId: data.course }, schema));
+
+                    if (data.course && !course) {
+                        errors.push(`Course "${data.course}" is not in the catalogue`);
+                    } else if (course && !course.active) {
+                        errors.push(`${course.name} is not accepting enrolments`);
+                    } else if (course && course.capacity && (enrolled.get(String(course._id)) || 0) >= course.capacity) {
+                        errors.push(`${course.name} is full (capacity ${course.capacity})`);
+                    }
+
+                    if (typeof data.email === 'string') {
+                        const email = data.email.trim().toLowerCase();
+                        if (seenEmails.has(email)) {
+                            errors.push(`Duplicate email in file (same as row ${seenEmails.get(email)})`);
+                        } else {
+                            seenEmails.set(email, rowNumber);
+                            const existingStudent = await storage.students.findByEmail(email);
+                            if (existingStudent) {
+                                errors.push(duplicateEmailMessage(existingStudent));
+                            }
+                        }
+                    }
+
+                    if (errors.length === 0) {
+                        const courseId = String(course._id);
+                        enrolled.set(courseId, (enrolled.get(courseId) || 0) + 1);
+                        rowCourses.set(rowNumber, course);
+                        data.course = course.name;
+                        data.courseId = courseId;
+                    }
+
+                    report.push({
+                        row: rowNumber,
+                        status: errors.length > 0 ? 'rejected' : 'accepted',
+                        errors,
+                        data
+                    });
+                }
+
+                const accepted = report.filter(r => r.status === 'accepted');
+                let imported = 0;
+
+                if (!dryRun && accepted.length > 0) {
+                    const now = new Date();
+                    const created = await storage.students.createMany(accepted.map(r => ({
+                        ...toStudentFields(r.data, rowCourses.get(r.row), schema),
+                        version: 1,
+                        createdAt: now,
+                        updatedAt: now
+                    })));
+
+                    await recordAudits(storage, created.map(student => ({
+                        entityType: 'student',
+                        entityId: student._id,
+                        action: 'create',
+                        after: student,
+                        actor: req.user
+                    })));
+
+                    created.forEach((student, i) => {
+                        accepted[i].status = 'imported';
+                        accepted[i].id = student._id;
+                    });
+                    imported = created.length;
+                    publish(req, 'records.changed', { reason: 'import' });
+                }
+
+                res.status(dryRun ? 200 : 201).json({
+                    success: true,
+                    message: dryRun
+                        ? `Dry run: ${accepted.length} of ${report.length} rows would be imported`
+                        : `${imported} of ${report.length} rows imported`,
+                    dryRun,
+                    headers,
+                    mapping,
+                    summary: {
+                        total: report.length,
+                        accepted: accepted.length,
+                        rejected: report.length - accepted.length,
+                        imported
+                    },
+                    rows: report
+                });
+            } catch (error) {
+                logger.error('Error importing students', { error });
+                res.status(500).json({
+                    success: false,
+                    message: 'Internal server error'
+                });
+            }
+        }
+    );
+
+    return router;
+}
+
+module.exports = { createImportRouter };
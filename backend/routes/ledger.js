@@ -0,0 +1,249 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const {
+    validateFeePlan,
+    validatePayment,
+    toFeePlan,
+    roundMoney,
+    generateReceiptNumber,
+    computeLedger,
+    toStudentLedgerFields
+} = require('../lib/ledger');
+const { logger } = require('../lib/logger');
+
+// ===== ROUTES =====
+function createLedgerRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // Resolves the active student for :id, or sends the 400/404 response and returns null
+    async function loadStudent(req, res) {
+        const { id } = req.params;
+
+        if (!storage.students.isValidId(id)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid student ID format'
+            });
+            return null;
+        }
+
+        const student = await storage.students.findById(id);
+        if (!student) {
+            sendStudentNotFound(res);
+        }
+        return student;
+    }
+
+    function sendStudentNotFound(res) {
+        res.status(404).json({
+            success: false,
+            message: 'Student not found'
+        });
+    }
+
+    // Recomputes the ledger and writes the derived balance and fee status back onto the student.
+    // `student` is null when the record was archived since it was loaded.
+    async function applyLedger(student, plan) {
+        const payments = await storage.payments.listByStudent(student._id);
+        const ledger = computeLedger(plan, payments);
+        const updated = await storage.students.update(student._id, {
+            ...toStudentLedgerFields(plan, ledger),
+            updatedAt: new Date()
+        });
+        return { student: updated, ledger, payments };
+    }
+
+    // GET /records/:id/ledger - Fee plan, installment schedule, payments and balance
+    router.get('/records/:id/ledger', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const student = await loadStudent(req, res);
+            if (!student) return;
+
+            const payments = await storage.payments.listByStudent(student._id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    studentId: student._id,
+                    feeStatus: student.feeStatus,
+                    summary: student.fees ? computeLedger(student.fees, payments) : null,
+                    payments
+                }
+            });
+        } catch (error) {
+            logger.error('Error fetching ledger', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /records/:id/ledger - Set the total fee, discount/scholarship and installment schedule
+    router.put('/records/:id/ledger', requireAuth, requirePermission('records:update'), async (req, res) => {
+        try {
+            const errors = validateFeePlan(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const student = await loadStudent(req, res);
+            if (!student) return;
+
+            const { student: updatedStudent, ledger, payments } = await applyLedger(student, toFeePlan(req.body));
+            if (!updatedStudent) return sendStudentNotFound(res);
+
+            await recordAudit(storage, {
+                entityType: 'student',
+                entityId: student._id,
+                action: 'update',
+                before: student,
+                after: updatedStudent,
+                actor: req.user
+            });
+            publish(req, 'record.updated', { record: updatedStudent });
+
+            res.status(200).json({
+                success: true,
+                message: 'Fee plan saved',
+                data: {
+                    studentId: student._id,
+                    feeStatus: updatedStudent.feeStatus,
+                    summary: ledger,
+                    payments
+                }
+            });
+        } catch (error) {
+            logger.error('Error saving fee plan', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /records/:id/payments - Payments for a student, oldest first
+    router.get('/records/:id/payments', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const student = await loadStudent(req, res);
+            if (!student) return;
+
+            const payments = await storage.payments.listByStudent(student._id);
+
+            res.status(200).json({
+                success: true,
+                count: payments.length,
+                data: payments
+            });
+        } catch (error) {
+            logger.error('Error fetching payments', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /records/:id/payments - Record a payment against the student's fee plan
+    // A receipt number is generated when none is given.
+    router.post('/records/:id/payments', requireAuth, requirePermission('records:update'), async (req, res) => {
+        try {
+            const errors = validatePayment(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const student = await loadStudent(req, res);
+            if (!student) return;
+
+            if (!student.fees) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Set up a fee plan for this student before recording payments'
+                });
+            }
+
+            const receiptNumber = req.body.receiptNumber ? req.body.receiptNumber.trim() : null;
+            if (receiptNumber && await storage.payments.findByReceiptNumber(receiptNumber)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Receipt number ${receiptNumber} is already in use`
+                });
+            }
+
+            const payment = await storage.payments.create({
+                studentId: String(student._id),
+                amount: roundMoney(req.body.amount),
+                date: req.body.date ? new Date(req.body.date) : new Date(),
+                method: req.body.method,
+                receiptNumber: receiptNumber || generateReceiptNumber(),
+                note: req.body.note ? req.body.note.trim() : '',
+                recordedBy: { id: String(req.user._id), username: req.user.username },
+                createdAt: new Date()
+            });
+
+            const { student: updatedStudent, ledger } = await applyLedger(student, student.fees);
+            if (!updatedStudent) {
+                // Archived between loading and saving: don't keep a payment the ledger never saw
+                await storage.payments.delete(payment._id);
+                return sendStudentNotFound(res);
+            }
+
+            await recordAudit(storage, {
+                entityType: 'student',
+                entityId: student._id,
+                action: 'payment',
+                before: student,
+                after: updatedStudent,
+                actor: req.user,
+                details: {
+                    paymentId: String(payment._id),
+                    amount: payment.amount,
+                    method: payment.method,
+                    receiptNumber: payment.receiptNumber
+                }
+            });
+            publish(req, 'record.updated', { record: updatedStudent });
+
+            res.status(201).json({
+                success: true,
+                message: `Payment recorded (receipt ${payment.receiptNumber})`,
+                data: {
+                    payment,
+                    feeStatus: updatedStudent.feeStatus,
+                    summary: ledger
+                }
+            });
+        } catch (error) {
+            // Lost the race for a receipt number between the check and the insert
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Receipt number is already in use'
+                });
+            }
+
+            logger.error('Error recording payment', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createLedgerRouter };
@@ -0,0 +1,247 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+    CHANNELS,
+    MERGE_FIELDS,
+    validateTemplate,
+    toTemplateFields,
+    isTemplateKey,
+    loadTemplate,
+    listTemplates,
+    sendTemplate,
+    runFeeReminders
+} = require('../lib/notifications');
+const { logger } = require('../lib/logger');
+
+// A student is not reminded again within this many days
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.FEE_REMINDER_INTERVAL_DAYS, 10) || 7;
+
+// ===== ROUTES =====
+function createNotificationsRouter(storage, transport) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // Sends 404 for unknown template keys and returns false
+    function checkTemplateKey(req, res) {
+        if (!isTemplateKey(req.params.key)) {
+            res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+            return false;
+        }
+        return true;
+    }
+
+    // GET /records/:id/notifications - A student's send history, newest first
+    // Kept after the student is moved to the trash, like the audit trail.
+    router.get('/records/:id/notifications', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+
+            const student = await storage.students.findById(id, { includeArchived: true });
+            if (!student) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found'
+                });
+            }
+
+            const notifications = await storage.notifications.listByStudent(id);
+
+            res.status(200).json({
+                success: true,
+                count: notifications.length,
+                data: notifications
+            });
+        } catch (error) {
+            logger.error('Error fetching notifications', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /records/:id/notifications - Send a template to one student now
+    // Body: { template, channels? } - channels defaults to every channel the student has contact details for
+    router.post('/records/:id/notifications', requireAuth, requirePermission('notifications:send'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { template, channels = CHANNELS } = req.body;
+
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+
+            const errors = [];
+            if (!isTemplateKey(template)) {
+                errors.push('template must be one of: welcome, feeReminder');
+            }
+            if (!Array.isArray(channels) || channels.length === 0 || channels.some(c => !CHANNELS.includes(c))) {
+                errors.push(`channels must be a list of: ${CHANNELS.join(', ')}`);
+            }
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const student = await storage.students.findById(id);
+            if (!student) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found'
+                });
+            }
+
+            const entries = await sendTemplate(storage, transport, {
+                student,
+                templateKey: template,
+                channels: [...new Set(channels)],
+                trigger: 'manual',
+                actor: req.user
+            });
+            if (entries.length === 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'The student has no contact details for the requested channels'
+                });
+            }
+
+            const failed = entries.filter(entry => entry.status === 'failed').length;
+            res.status(201).json({
+                success: failed === 0,
+                message: failed === 0
+                    ? `Sent ${entries.length} message(s)`
+                    : `${failed} of ${entries.length} message(s) failed to send`,
+                data: entries
+            });
+        } catch (error) {
+            logger.error('Error sending notification', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /notification-templates - Templates with any admin overrides applied
+    router.get('/notification-templates', requireAuth, requirePermission('notifications:send'), async (req, res) => {
+        try {
+            const templates = await listTemplates(storage);
+
+            res.status(200).json({
+                success: true,
+                count: templates.length,
+                data: templates,
+                mergeFields: [...Object.keys(MERGE_FIELDS), 'custom.<key>']
+            });
+        } catch (error) {
+            logger.error('Error fetching notification templates', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /notification-templates/:key - Override a template's wording or switch it off
+    router.put('/notification-templates/:key', requireAuth, requirePermission('notifications:manage'), async (req, res) => {
+        try {
+            if (!checkTemplateKey(req, res)) return;
+
+            const errors = validateTemplate(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            await storage.notificationTemplates.save(req.params.key, {
+                ...toTemplateFields(req.body),
+                updatedAt: new Date(),
+                updatedBy: { id: String(req.user._id), username: req.user.username }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Template saved successfully',
+                data: await loadTemplate(storage, req.params.key)
+            });
+        } catch (error) {
+            logger.error('Error saving notification template', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /notification-templates/:key - Go back to the built-in wording
+    router.delete('/notification-templates/:key', requireAuth, requirePermission('notifications:manage'), async (req, res) => {
+        try {
+            if (!checkTemplateKey(req, res)) return;
+
+            await storage.notificationTemplates.deleteByKey(req.params.key);
+
+            res.status(200).json({
+                success: true,
+                message: 'Template reset to the default',
+                data: await loadTemplate(storage, req.params.key)
+            });
+        } catch (error) {
+            logger.error('Error resetting notification template', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /notifications/reminders/run - Send fee reminders now
+    // Body: { dryRun? } - a dry run lists the students that would be reminded without sending.
+    router.post('/notifications/reminders/run', requireAuth, requirePermission('notifications:manage'), async (req, res) => {
+        try {
+            const dryRun = req.body.dryRun === true;
+            const result = await runFeeReminders(storage, transport, {
+                intervalDays: REMINDER_INTERVAL_DAYS,
+                dryRun,
+                actor: req.user
+            });
+
+            res.status(200).json({
+                success: true,
+                message: dryRun
+                    ? `${result.due} student(s) would be reminded`
+                    : `Reminded ${result.due} student(s): ${result.sent} message(s) sent, ${result.failed} failed`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Error running fee reminders', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createNotificationsRouter, REMINDER_INTERVAL_DAYS };
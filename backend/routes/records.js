@@ -0,0 +1,778 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { publish } = require('../lib/events');
+const {
+    validateStudent,
+    validateStudentPatch,
+    mergeStudentPatch,
+    toStudentFields,
+    duplicateEmailMessage,
+    studentETag,
+    parseIfMatch
+} = require('../lib/students');
+const { hasErrors } = require('../lib/schema');
+const { loadStudentSchema, searchableKeys } = require('../lib/customFields');
+const { parseRecordFilter, parseRecordSort } = require('../lib/query');
+const { checkEnrolment } = require('../lib/courses');
+const { sendTemplate } = require('../lib/notifications');
+const { logger } = require('../lib/logger');
+
+// Archived records older than this are removed by DELETE /api/records/trash
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// ===== PAGINATION HELPERS =====
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const PROJECTABLE_FIELDS = ['name', 'email', 'phone', 'course', 'feeStatus', 'fees', 'courseId', 'attendance', 'joinDate', 'notes', 'custom', 'version', 'createdAt', 'updatedAt'];
+
+// Cursors are opaque base64url tokens holding the sort value and _id of the
+// boundary record, so paging stays stable while records are added or removed.
+function encodeCursor(doc, sortBy, sortOrder, direction) {
+    const value = doc[sortBy];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date,
+        id: String(doc._id),
+        s: `${sortBy}:${sortOrder}`,
+        dir: direction
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, isValidId) {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        // The sort value goes into the storage query, so it must be a plain value
+        const isPlainValue = ['string', 'number', 'boolean'].includes(typeof payload?.v) || payload?.v === null;
+        if (!payload || !isPlainValue || !isValidId(payload.id) || !['next', 'prev'].includes(payload.dir)) {
+            return null;
+        }
+        return {
+            value: payload.d ? new Date(payload.v) : payload.v,
+            id: payload.id,
+            sort: payload.s,
+            direction: payload.dir
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function parsePaging(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'Page must be a positive integer' };
+    }
+
+    return { page, limit };
+}
+
+function parseProjection(fields) {
+    if (!fields) return { fields: null };
+
+    const requested = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+    const invalid = requested.filter(f => f !== '_id' && !PROJECTABLE_FIELDS.includes(f));
+    if (invalid.length > 0) {
+        return { error: `Unknown fields: ${invalid.join(', ')}` };
+    }
+
+    return { fields: requested.filter(f => f !== '_id') };
+}
+
+function buildPageLink(req, params) {
+    const query = new URLSearchParams();
+    Object.entries({ ...req.query, ...params }).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.set(key, value);
+        }
+    });
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query.toString()}`;
+}
+
+// ===== VERSIONING HELPERS =====
+// Sends 412 with the current record so the client can show what changed
+function sendVersionConflict(res, currentStudent) {
+    res.set('ETag', studentETag(currentStudent));
+    res.status(412).json({
+        success: false,
+        message: 'This student was changed by someone else after you loaded it',
+        data: currentStudent
+    });
+}
+
+// ===== ROUTES =====
+function createRecordsRouter(storage, transport) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+
+    // POST /records - Create a new student record
+    router.post('/records', requireAuth, requirePermission('records:create'), async (req, res) => {
+        try {
+            // Validate input, custom fields included
+            const schema = await loadStudentSchema(storage);
+            const errors = validateStudent(req.body, schema);
+            if (hasErrors(errors)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+            
+            // The course must exist, be active and have room
+            const enrolment = await checkEnrolment(storage, req.body.courseId);
+            if (!enrolment.course) {
+                return res.status(enrolment.status).json({
+                    success: false,
+                    message: enrolment.message,
+                    errors: { courseId: enrolment.message }
+                });
+            }
+            
+            // Prepare document
+            const student = {
+                ...toStudentFields(req.body, enrolment.course, schema),
+                version: 1,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            
+            // Check for duplicate email
+            const existingStudent = await storage.students.findByEmail(student.email);
+            if (existingStudent) {
+                return res.status(409).json({
+                    success: false,
+                    message: duplicateEmailMessage(existingStudent),
+                    errors: { email: duplicateEmailMessage(existingStudent) }
+                });
+            }
+            
+            // Insert into database
+            const created = await storage.students.create(student);
+            await recordAudit(storage, {
+                entityType: 'student',
+                entityId: created._id,
+                action: 'create',
+                after: created,
+                actor: req.user
+            });
+            publish(req, 'record.created', { record: created });
+            
+            // Welcome the student without holding up the response; failures end up in the send history
+            sendTemplate(storage, transport, { student: created, templateKey: 'welcome', trigger: 'create', actor: req.user })
+                .catch(error => logger.error('Error sending welcome message', { error }));
+            
+            // Return success response
+            res.set('ETag', studentETag(created));
+            res.status(201).json({
+                success: true,
+                message: 'Student created successfully',
+                data: created
+            });
+        } catch (error) {
+            logger.error('Error creating student', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    });
+
+    // GET /records - Retrieve a page of student records
+    // Supports offset paging (page/limit) or cursor paging (cursor/limit) and
+    // an optional comma-separated `fields` projection.
+    router.get('/records', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { sortBy, sortOrder, sort, error: sortError } = parseRecordSort(req.query);
+            if (sortError) {
+                return res.status(400).json({
+                    success: false,
+                    message: sortError
+                });
+            }
+
+            const { filter, errors: filterErrors } = parseRecordFilter(req.query, {
+                isValidCourseId: id => storage.courses.isValidId(id)
+            });
+            if (filterErrors) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid filter',
+                    errors: filterErrors
+                });
+            }
+
+            // Validate paging parameters
+            const { page, limit, error: pagingError } = parsePaging(req.query);
+            if (pagingError) {
+                return res.status(400).json({
+                    success: false,
+                    message: pagingError
+                });
+            }
+
+            let cursor = null;
+            if (req.query.cursor) {
+                cursor = decodeCursor(req.query.cursor, id => storage.students.isValidId(id));
+                if (!cursor) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid cursor'
+                    });
+                }
+                if (cursor.sort !== `${sortBy}:${sortOrder}`) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Cursor does not match the requested sort order'
+                    });
+                }
+            }
+
+            const { fields, error: projectionError } = parseProjection(req.query.fields);
+            if (projectionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: projectionError
+                });
+            }
+
+            // The sort field is needed to build cursors, so always project it
+            if (fields && !fields.includes(sortBy)) {
+                fields.push(sortBy);
+            }
+
+            filter.customKeys = searchableKeys(await loadStudentSchema(storage));
+            const total = await storage.students.count(filter);
+
+            let students;
+            let hasNext;
+            let hasPrev;
+
+            if (cursor) {
+                // Walk backwards for "prev" cursors, then restore display order
+                const forward = cursor.direction === 'next';
+                students = await storage.students.list({
+                    filter,
+                    sort: { field: sortBy, direction: forward ? sort.direction : -sort.direction },
+                    after: { value: cursor.value, id: cursor.id },
+                    limit: limit + 1,
+                    fields
+                });
+                const hasMore = students.length > limit;
+                students = students.slice(0, limit);
+                if (!forward) students.reverse();
+
+                hasNext = forward ? hasMore : true;
+                hasPrev = forward ? true : hasMore;
+            } else {
+                students = await storage.students.list({
+                    filter,
+                    sort,
+                    skip: (page - 1) * limit,
+                    limit,
+                    fields
+                });
+                hasNext = page * limit < total;
+                hasPrev = page > 1;
+            }
+
+            const first = students[0];
+            const last = students[students.length - 1];
+            const nextCursor = hasNext && last ? encodeCursor(last, sortBy, sortOrder, 'next') : null;
+            const prevCursor = hasPrev && first ? encodeCursor(first, sortBy, sortOrder, 'prev') : null;
+
+            const links = { self: buildPageLink(req, {}) };
+            if (cursor) {
+                links.next = nextCursor ? buildPageLink(req, { cursor: nextCursor, page: undefined }) : null;
+                links.prev = prevCursor ? buildPageLink(req, { cursor: prevCursor, page: undefined }) : null;
+            } else {
+                links.next = hasNext ? buildPageLink(req, { page: page + 1, cursor: undefined }) : null;
+                links.prev = hasPrev ? buildPageLink(req, { page: page - 1, cursor: undefined }) : null;
+            }
+
+            res.status(200).json({
+                success: true,
+                count: students.length,
+                data: students,
+                pagination: {
+                    total,
+                    limit,
+                    page: cursor ? null : page,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext,
+                    hasPrev,
+                    nextCursor,
+                    prevCursor
+                },
+                links
+            });
+        } catch (error) {
+            logger.error('Error fetching students', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // ===== TRASH ENDPOINTS =====
+    // Registered before /records/:id so "trash" is not parsed as an ID
+
+    // GET /records/trash - List archived student records, most recently deleted first
+    router.get('/records/trash', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { page, limit, error: pagingError } = parsePaging(req.query);
+            if (pagingError) {
+                return res.status(400).json({
+                    success: false,
+                    message: pagingError
+                });
+            }
+            
+            const { filter, errors: filterErrors } = parseRecordFilter(req.query, {
+                isValidCourseId: id => storage.courses.isValidId(id)
+            });
+            if (filterErrors) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid filter',
+                    errors: filterErrors
+                });
+            }
+            
+            filter.customKeys = searchableKeys(await loadStudentSchema(storage));
+            filter.archived = true;
+            const total = await storage.students.count(filter);
+            const students = await storage.students.list({
+                filter,
+                sort: { field: 'deletedAt', direction: -1 },
+                skip: (page - 1) * limit,
+                limit
+            });
+            
+            res.status(200).json({
+                success: true,
+                count: students.length,
+                data: students,
+                pagination: {
+                    total,
+                    limit,
+                    page,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                },
+                retentionDays: TRASH_RETENTION_DAYS
+            });
+        } catch (error) {
+            logger.error('Error fetching trash', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /records/trash - Permanently remove archived records past the retention period
+    // `olderThanDays` overrides TRASH_RETENTION_DAYS; 0 empties the trash.
+    router.delete('/records/trash', requireAuth, requirePermission('records:delete'), async (req, res) => {
+        try {
+            const olderThanDays = req.query.olderThanDays === undefined
+                ? TRASH_RETENTION_DAYS
+                : Number(req.query.olderThanDays);
+            
+            if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'olderThanDays must be a non-negative number'
+                });
+            }
+            
+            const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+            const purged = await storage.students.purgeArchived(cutoff);
+            if (purged.length > 0) {
+                await storage.payments.deleteByStudents(purged.map(student => student._id));
+                await storage.attendance.deleteByStudents(purged.map(student => student._id));
+                await storage.notifications.deleteByStudents(purged.map(student => student._id));
+            }
+            
+            for (const student of purged) {
+                await recordAudit(storage, {
+                    entityType: 'student',
+                    entityId: student._id,
+                    action: 'purge',
+                    before: student,
+                    actor: req.user
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: `${purged.length} archived student(s) permanently deleted`,
+                count: purged.length
+            });
+        } catch (error) {
+            logger.error('Error purging trash', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /records/:id/restore - Bring an archived student record back
+    router.post('/records/:id/restore', requireAuth, requirePermission('records:delete'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            // Validate ID format
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+            
+            const previousStudent = await storage.students.findById(id, { includeArchived: true });
+            const restoredStudent = previousStudent && await storage.students.restore(id, { updatedAt: new Date() });
+            
+            if (!restoredStudent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found in trash'
+                });
+            }
+            
+            await recordAudit(storage, {
+                entityType: 'student',
+                entityId: id,
+                action: 'restore',
+                before: previousStudent,
+                after: restoredStudent,
+                actor: req.user
+            });
+            publish(req, 'record.created', { record: restoredStudent });
+            
+            res.set('ETag', studentETag(restoredStudent));
+            res.status(200).json({
+                success: true,
+                message: 'Student restored successfully',
+                data: restoredStudent
+            });
+        } catch (error) {
+            logger.error('Error restoring student', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /records/:id - Retrieve a single student record
+    router.get('/records/:id', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            // Validate ID format
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+            
+            // Find student
+            const student = await storage.students.findById(id);
+            
+            if (!student) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found'
+                });
+            }
+            
+            res.set('ETag', studentETag(student));
+            res.status(200).json({
+                success: true,
+                data: student
+            });
+        } catch (error) {
+            logger.error('Error fetching student', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // GET /records/:id/history - Audit trail for a student, newest first
+    // Still available after the student has been deleted.
+    router.get('/records/:id/history', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            // Validate ID format
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+            
+            const history = await storage.audit.listByEntity('student', id);
+            
+            if (history.length === 0 && !await storage.students.findById(id, { includeArchived: true })) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found'
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                count: history.length,
+                data: history
+            });
+        } catch (error) {
+            logger.error('Error fetching student history', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // Handler shared by PUT (full record) and PATCH (only the fields sent).
+    // With an If-Match header (the ETag or `"<version>"` of the copy being edited)
+    // the update only applies if nobody has changed the student since; otherwise
+    // it fails with 412 and the current record. Without it the last write wins.
+    function handleStudentUpdate({ partial }) {
+        return async (req, res) => {
+            try {
+                const { id } = req.params;
+                
+                // Validate ID format
+                if (!storage.students.isValidId(id)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid student ID format'
+                    });
+                }
+                
+                const expectedVersion = parseIfMatch(req.get('If-Match'));
+                if (expectedVersion === null) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'If-Match must be the ETag of the student, e.g. "3"'
+                    });
+                }
+                
+                if (partial && (Array.isArray(req.body) || Object.keys(req.body).length === 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Send an object with at least one field to change'
+                    });
+                }
+                
+                // Validate input, custom fields included
+                const schema = await loadStudentSchema(storage);
+                const errors = partial ? validateStudentPatch(req.body, schema) : validateStudent(req.body, schema);
+                if (hasErrors(errors)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Validation failed',
+                        errors: errors
+                    });
+                }
+                
+                // Keep the previous version for the audit diff
+                const previousStudent = await storage.students.findById(id);
+                
+                if (!previousStudent) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Student not found'
+                    });
+                }
+                
+                if (expectedVersion !== undefined && (previousStudent.version || 0) !== expectedVersion) {
+                    return sendVersionConflict(res, previousStudent);
+                }
+                
+                // PUT quietly keeps a derived fee status; a PATCH that asks to change it is refused
+                if (partial && previousStudent.fees
+                    && req.body.feeStatus !== undefined && req.body.feeStatus !== previousStudent.feeStatus) {
+                    const message = 'Fee status is derived from the fee ledger; record a payment instead';
+                    return res.status(409).json({
+                        success: false,
+                        message,
+                        errors: { feeStatus: message }
+                    });
+                }
+                
+                const input = partial ? mergeStudentPatch(previousStudent, req.body) : req.body;
+                
+                // Moving to another course is an enrolment; staying on the current one is always allowed
+                const enrolment = await checkEnrolment(storage, input.courseId, { currentStudent: previousStudent });
+                if (!enrolment.course) {
+                    return res.status(enrolment.status).json({
+                        success: false,
+                        message: enrolment.message,
+                        errors: { courseId: enrolment.message }
+                    });
+                }
+                
+                // Prepare update
+                const updateData = {
+                    ...toStudentFields(input, enrolment.course, schema),
+                    updatedAt: new Date()
+                };
+                
+                // Check email uniqueness (excluding current document)
+                const existingStudent = await storage.students.findByEmail(updateData.email, { excludeId: id });
+                
+                if (existingStudent) {
+                    return res.status(409).json({
+                        success: false,
+                        message: duplicateEmailMessage(existingStudent),
+                        errors: { email: duplicateEmailMessage(existingStudent) }
+                    });
+                }
+                
+                // Once a fee plan exists the status is derived from the ledger, not typed in
+                if (previousStudent.fees) {
+                    updateData.feeStatus = previousStudent.feeStatus;
+                }
+                
+                // Update document; the version is checked again in case of a concurrent write
+                const updatedStudent = await storage.students.update(id, updateData, { version: expectedVersion });
+                
+                if (!updatedStudent) {
+                    const currentStudent = expectedVersion !== undefined && await storage.students.findById(id);
+                    if (currentStudent) {
+                        return sendVersionConflict(res, currentStudent);
+                    }
+                    
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Student not found'
+                    });
+                }
+                
+                await recordAudit(storage, {
+                    entityType: 'student',
+                    entityId: id,
+                    action: 'update',
+                    before: previousStudent,
+                    after: updatedStudent,
+                    actor: req.user
+                });
+                publish(req, 'record.updated', { record: updatedStudent });
+                
+                res.set('ETag', studentETag(updatedStudent));
+                res.status(200).json({
+                    success: true,
+                    message: 'Student updated successfully',
+                    data: updatedStudent
+                });
+            } catch (error) {
+                logger.error('Error updating student', { error });
+                res.status(500).json({
+                    success: false,
+                    message: 'Internal server error'
+                });
+            }
+        };
+    }
+
+    // PUT /records/:id - Update a student record
+    router.put('/records/:id', requireAuth, requirePermission('records:update'), handleStudentUpdate({ partial: false }));
+
+    // PATCH /records/:id - Change some fields of a student, e.g. { "feeStatus": "Paid" }
+    // Only the fields sent are validated; custom values are merged key by key.
+    router.patch('/records/:id', requireAuth, requirePermission('records:update'), handleStudentUpdate({ partial: true }));
+
+    // DELETE /records/:id - Move a student record to the trash
+    router.delete('/records/:id', requireAuth, requirePermission('records:delete'), async (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            // Validate ID format
+            if (!storage.students.isValidId(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid student ID format'
+                });
+            }
+            
+            // Like updates, a delete with If-Match only applies to the version the client saw
+            const expectedVersion = parseIfMatch(req.get('If-Match'));
+            if (expectedVersion === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'If-Match must be the ETag of the student, e.g. "3"'
+                });
+            }
+            
+            // Keep the previous version for the audit diff
+            const previousStudent = await storage.students.findById(id);
+            
+            if (previousStudent && expectedVersion !== undefined && (previousStudent.version || 0) !== expectedVersion) {
+                return sendVersionConflict(res, previousStudent);
+            }
+            
+            // Archive document; the version is checked again in case of a write since the read
+            const archivedStudent = previousStudent && await storage.students.archive(id, {
+                deletedBy: { id: String(req.user._id), username: req.user.username },
+                version: expectedVersion
+            });
+            
+            if (!archivedStudent) {
+                const currentStudent = previousStudent && expectedVersion !== undefined && await storage.students.findById(id);
+                if (currentStudent) {
+                    return sendVersionConflict(res, currentStudent);
+                }
+                
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student not found'
+                });
+            }
+            
+            await recordAudit(storage, {
+                entityType: 'student',
+                entityId: id,
+                action: 'archive',
+                before: previousStudent,
+                after: archivedStudent,
+                actor: req.user
+            });
+            publish(req, 'record.deleted', { id });
+            
+            res.status(200).json({
+                success: true,
+                message: 'Student moved to trash',
+                data: archivedStudent
+            });
+        } catch (error) {
+            logger.error('Error deleting student', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createRecordsRouter };
@@ -0,0 +1,34 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { loadStudentSchema } = require('../lib/customFields');
+const { logger } = require('../lib/logger');
+
+// ===== ROUTES =====
+function createSchemaRouter(storage) {
+    const router = express.Router();
+
+    // GET /schema - Validation rules the frontend applies before submitting
+    // Public: the rules are not sensitive and are needed to render the forms.
+    // Custom fields are defined at runtime, so the schema is rebuilt per request.
+    router.get('/schema', async (req, res) => {
+        try {
+            res.set('Cache-Control', 'no-cache');
+            res.status(200).json({
+                success: true,
+                data: {
+                    student: await loadStudentSchema(storage)
+                }
+            });
+        } catch (error) {
+            logger.error('Error loading schema', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSchemaRouter };
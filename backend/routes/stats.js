@@ -0,0 +1,77 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { STUDENT_SCHEMA } = require('../lib/schema');
+const { roundMoney } = require('../lib/ledger');
+const { logger } = require('../lib/logger');
+
+const FEE_STATUSES = STUDENT_SCHEMA.fields.feeStatus.enum;
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 36;
+
+// First day (UTC) of the month `count - 1` months before the current one,
+// plus every YYYY-MM key from there up to now
+function monthWindow(count, now = new Date()) {
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (count - 1), 1));
+    const months = [];
+    for (let i = 0; i < count; i++) {
+        const month = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + i, 1));
+        months.push(month.toISOString().slice(0, 7));
+    }
+    return { since, months };
+}
+
+// ===== ROUTES =====
+function createStatsRouter(storage) {
+    const router = express.Router();
+
+    // GET /stats - Dashboard figures for active students
+    // `months` sets how many months of joins are returned (default 12, max 36).
+    router.get('/stats', authenticate(storage), requirePermission('records:read'), async (req, res) => {
+        try {
+            const months = req.query.months === undefined ? DEFAULT_MONTHS : Number(req.query.months);
+            if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `months must be a whole number between 1 and ${MAX_MONTHS}`
+                });
+            }
+
+            const range = monthWindow(months);
+            const stats = await storage.students.stats({ since: range.since });
+
+            // Report every status and month, including the empty ones, so charts have stable axes
+            const statusCounts = new Map(stats.byFeeStatus.map(g => [g.feeStatus, g.count]));
+            const joinCounts = new Map(stats.monthlyJoins.map(g => [g.month, g.count]));
+            const outstanding = stats.outstanding || { billed: 0, collected: 0, balance: 0, studentsWithPlan: 0, studentsWithBalance: 0 };
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    total: stats.total,
+                    byFeeStatus: FEE_STATUSES.map(feeStatus => ({ feeStatus, count: statusCounts.get(feeStatus) || 0 })),
+                    byCourse: stats.byCourse,
+                    monthlyJoins: range.months.map(month => ({ month, count: joinCounts.get(month) || 0 })),
+                    outstanding: {
+                        billed: roundMoney(outstanding.billed),
+                        collected: roundMoney(outstanding.collected),
+                        balance: roundMoney(outstanding.balance),
+                        studentsWithPlan: outstanding.studentsWithPlan,
+                        studentsWithBalance: outstanding.studentsWithBalance
+                    },
+                    generatedAt: new Date()
+                }
+            });
+        } catch (error) {
+            logger.error('Error computing stats', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStatsRouter };
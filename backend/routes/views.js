@@ -0,0 +1,169 @@
+// [EXTERNAL — INSTALL REQUIRED] Express - Web framework for Node.js
+const express = require('express');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { MAX_VIEWS_PER_USER, validateView, toViewFields } = require('../lib/views');
+const { logger } = require('../lib/logger');
+
+// ===== ROUTES =====
+// Every route works on the signed-in user's own views only
+function createViewsRouter(storage) {
+    const router = express.Router();
+    const requireAuth = authenticate(storage);
+    const isValidCourseId = id => storage.courses.isValidId(id);
+
+    // Resolves the current user's view for :id, or sends the 400/404 response and returns null.
+    // Other users' views are reported as not found.
+    async function loadView(req, res) {
+        const { id } = req.params;
+
+        if (!storage.views.isValidId(id)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid view ID format'
+            });
+            return null;
+        }
+
+        const view = await storage.views.findById(id);
+        if (!view || view.userId !== String(req.user._id)) {
+            res.status(404).json({
+                success: false,
+                message: 'View not found'
+            });
+            return null;
+        }
+        return view;
+    }
+
+    // GET /views - The current user's saved views, by name
+    router.get('/views', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const views = await storage.views.listByUser(req.user._id);
+
+            res.status(200).json({
+                success: true,
+                count: views.length,
+                data: views
+            });
+        } catch (error) {
+            logger.error('Error fetching views', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // POST /views - Save the dashboard state under a name
+    router.post('/views', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const errors = validateView(req.body, { isValidCourseId });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            if (await storage.views.countByUser(req.user._id) >= MAX_VIEWS_PER_USER) {
+                return res.status(409).json({
+                    success: false,
+                    message: `You can save at most ${MAX_VIEWS_PER_USER} views; delete one first`
+                });
+            }
+
+            const created = await storage.views.create({
+                ...toViewFields(req.body),
+                userId: String(req.user._id),
+                createdAt: new Date(),
+                updatedAt: new Date()
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'View saved successfully',
+                data: created
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already have a view with this name'
+                });
+            }
+
+            logger.error('Error creating view', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // PUT /views/:id - Rename a view or replace its state
+    router.put('/views/:id', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const view = await loadView(req, res);
+            if (!view) return;
+
+            const errors = validateView(req.body, { isValidCourseId });
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors
+                });
+            }
+
+            const updated = await storage.views.update(view._id, {
+                ...toViewFields(req.body),
+                updatedAt: new Date()
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'View updated successfully',
+                data: updated
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already have a view with this name'
+                });
+            }
+
+            logger.error('Error updating view', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    // DELETE /views/:id - Delete a saved view
+    router.delete('/views/:id', requireAuth, requirePermission('records:read'), async (req, res) => {
+        try {
+            const view = await loadView(req, res);
+            if (!view) return;
+
+            await storage.views.delete(view._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'View deleted successfully'
+            });
+        } catch (error) {
+            logger.error('Error deleting view', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createViewsRouter };
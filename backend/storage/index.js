@@ -0,0 +1,43 @@
+const path = require('path');
+const { MongoStorage } = require('./mongo');
+const { MemoryStorage } = require('./memory');
+
+const DRIVERS = ['mongodb', 'memory', 'file'];
+
+// Every storage adapter exposes the same surface:
+//   connect(), close(), isConnected(), ping(), poolStats(), driver
+//   students: isValidId, list, stream, count, findById, findByEmail, create, createMany, update, delete,
+//             archive, restore, purgeArchived, deleteArchived, stats, countByCourse, enrolmentCounts, renameCourse,
+//             unlinkedCourseNames, linkCourse, setAttendance, unsetCustomField
+//   users: isValidId, list, count, findById, findByUsername, create, update, delete
+//   audit: create, createMany, listByEntity
+//   courses: isValidId, list, findById, findByCode, findByNameKey, create, update, delete
+//   customFields: isValidId, list, findById, findByKey, create, update, delete
+//   sessions: isValidId, findById, listByCourse, create, update, delete
+//   attendance: listBySession, listByStudent, mark, summarize, deleteBySession, deleteByStudents
+//   payments: isValidId, findById, listByStudent, findByReceiptNumber, create, delete, deleteByStudents
+//   views: isValidId, findById, listByUser, countByUser, create, update, delete, deleteByUser
+//   notificationTemplates: list, findByKey, save, deleteByKey
+//   notifications: createMany, listByStudent, recentRecipients, deleteByStudents
+function createStorage(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'mongodb').toLowerCase();
+
+    switch (driver) {
+        case 'mongodb':
+            // [EXTERNAL — CONFIGURE VALUE] MongoDB Atlas Connection
+            return new MongoStorage({
+                uri: env.MONGODB_URI || 'mongodb+srv://<username>:<password>@cluster0.xxxxx.mongodb.net/',
+                dbName: env.DB_NAME || 'student_management'
+            });
+        case 'memory':
+            return new MemoryStorage();
+        case 'file':
+            return new MemoryStorage({
+                file: path.resolve(env.STORAGE_FILE || path.join(__dirname, '..', 'data', 'students.json'))
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${DRIVERS.join(', ')}`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,778 @@
+const fs = require('fs/promises');
+const path = require('path');
+// [EXTERNAL — INSTALL REQUIRED] MongoDB Node Driver - used only to mint ObjectId-compatible ids
+const { ObjectId } = require('mongodb');
+const { logger } = require('../lib/logger');
+
+// Fields the app stores as Dates. JSON.stringify turns them into ISO strings, so
+// they are revived by name on load; any other string (notes, audit values) stays
+// text. Custom values are left to reviveCustomDates, which knows their types.
+const DATE_FIELDS = new Set(['createdAt', 'updatedAt', 'deletedAt', 'joinDate', 'date', 'dueDate', 'markedAt', 'timestamp']);
+
+function reviveDates(value, key) {
+    if (Array.isArray(value)) return value.map(item => reviveDates(item));
+    if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([field, fieldValue]) => {
+            if (field !== 'custom') value[field] = reviveDates(fieldValue, field);
+        });
+        return value;
+    }
+    return DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+// Revives the values of date-type custom fields on each student
+function reviveCustomDates(students, customFields) {
+    const dateKeys = customFields.filter(field => field.type === 'date').map(field => field.key);
+    students.forEach(student => {
+        dateKeys.forEach(key => {
+            if (typeof student.custom?.[key] === 'string') {
+                student.custom[key] = new Date(student.custom[key]);
+            }
+        });
+    });
+}
+
+// Orders values the way MongoDB does for the types we store:
+// missing values first, then numbers/strings/dates by natural order.
+function compareValues(a, b) {
+    const aMissing = a === undefined || a === null;
+    const bMissing = b === undefined || b === null;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left < right) return -1;
+    if (left > right) return 1;
+    return 0;
+}
+
+// Case-insensitive substring match, the same as the escaped $regex used with MongoDB
+function containsText(value, search) {
+    return typeof value === 'string' && value.toLowerCase().includes(search.toLowerCase());
+}
+
+function pick(doc, fields) {
+    if (!fields) return structuredClone(doc);
+
+    const result = { _id: doc._id };
+    fields.forEach(f => {
+        if (f in doc) result[f] = structuredClone(doc[f]);
+    });
+    return result;
+}
+
+// ===== BASE REPOSITORY =====
+// Shared id handling and CRUD over a Map of documents keyed by _id
+class MemoryRepository {
+    constructor(records, persist) {
+        this.records = records;
+        this.persist = persist;
+    }
+
+    isValidId(id) {
+        return ObjectId.isValid(id);
+    }
+
+    all() {
+        return [...this.records.values()];
+    }
+
+    async findById(id) {
+        const doc = this.records.get(String(id));
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async create(data) {
+        const doc = { _id: new ObjectId().toHexString(), ...structuredClone(data) };
+        this.records.set(doc._id, doc);
+        await this.persist();
+        return structuredClone(doc);
+    }
+
+    // Inserts several documents with a single write to disk
+    async createMany(items) {
+        const docs = items.map(data => ({ _id: new ObjectId().toHexString(), ...structuredClone(data) }));
+        docs.forEach(doc => this.records.set(doc._id, doc));
+        await this.persist();
+        return docs.map(doc => structuredClone(doc));
+    }
+
+    // Returns the updated record, or null when no record matched
+    async update(id, data) {
+        const doc = this.records.get(String(id));
+        if (!doc) {
+            return null;
+        }
+
+        Object.assign(doc, structuredClone(data));
+        await this.persist();
+        return structuredClone(doc);
+    }
+
+    async delete(id) {
+        const deleted = this.records.delete(String(id));
+        if (deleted) {
+            await this.persist();
+        }
+        return deleted;
+    }
+}
+
+// Mirrors the `$inc: { version: 1 }` of the MongoDB adapter
+function bumpVersion(doc) {
+    doc.version = (doc.version || 0) + 1;
+}
+
+function duplicateKeyError(field) {
+    const error = new Error(`Duplicate ${field}`);
+    error.code = 11000;
+    error.keyPattern = { [field]: 1 };
+    return error;
+}
+
+// ===== STUDENT REPOSITORY =====
+// Archived (soft-deleted) records carry a deletedAt timestamp and are only
+// visible through the archived filter, findById({ includeArchived }) and findByEmail.
+class MemoryStudentRepository extends MemoryRepository {
+    // `customKeys` lists the custom fields that free-text search also looks at.
+    // `status` and `courseId` take one value or a list; `joinedBefore` is exclusive.
+    matches(doc, { search, status, courseId, joinedFrom, joinedBefore, customKeys = [], archived = false } = {}) {
+        if (!!doc.deletedAt !== archived) {
+            return false;
+        }
+
+        if (status && ![].concat(status).includes(doc.feeStatus)) {
+            return false;
+        }
+
+        if (courseId && ![].concat(courseId).map(String).includes(doc.courseId)) {
+            return false;
+        }
+
+        if ((joinedFrom && !(doc.joinDate >= joinedFrom)) || (joinedBefore && !(doc.joinDate < joinedBefore))) {
+            return false;
+        }
+
+        if (search) {
+            return [doc.name, doc.email, doc.course, ...customKeys.map(key => doc.custom?.[key])]
+                .some(value => containsText(value, search));
+        }
+
+        return true;
+    }
+
+    async list({ filter, sort, after = null, skip = 0, limit = 0, fields = null } = {}) {
+        const compare = (a, b) =>
+            (compareValues(a[sort.field], b[sort.field]) || compareValues(a._id, b._id)) * sort.direction;
+
+        let results = this.all()
+            .filter(doc => this.matches(doc, filter))
+            .sort(compare);
+
+        if (after) {
+            const boundary = { [sort.field]: after.value, _id: after.id };
+            results = results.filter(doc => compare(doc, boundary) > 0);
+        }
+
+        results = results.slice(skip, limit ? skip + limit : undefined);
+        return results.map(doc => pick(doc, fields));
+    }
+
+    // Yields every matching record in sort order
+    async *stream({ filter, sort }) {
+        yield* await this.list({ filter, sort });
+    }
+
+    async count(filter) {
+        return this.all().filter(doc => this.matches(doc, filter)).length;
+    }
+
+    // Same figures as the MongoDB adapter's aggregation, computed in one pass
+    async stats({ since }) {
+        const byFeeStatus = new Map();
+        const byCourse = new Map();
+        const monthlyJoins = new Map();
+        let outstanding = null;
+        let total = 0;
+
+        const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+        this.all().filter(doc => !doc.deletedAt).forEach(doc => {
+            total++;
+            increment(byFeeStatus, doc.feeStatus);
+            increment(byCourse, doc.course);
+
+            if (doc.joinDate instanceof Date && doc.joinDate >= since) {
+                increment(monthlyJoins, doc.joinDate.toISOString().slice(0, 7));
+            }
+
+            if (doc.fees) {
+                outstanding = outstanding || { billed: 0, collected: 0, balance: 0, studentsWithPlan: 0, studentsWithBalance: 0 };
+                outstanding.billed += doc.fees.netFee;
+                outstanding.collected += doc.fees.amountPaid;
+                outstanding.balance += doc.fees.balance;
+                outstanding.studentsWithPlan++;
+                if (doc.fees.balance > 0) outstanding.studentsWithBalance++;
+            }
+        });
+
+        return {
+            total,
+            byFeeStatus: [...byFeeStatus].map(([feeStatus, count]) => ({ feeStatus, count })),
+            byCourse: [...byCourse]
+                .map(([course, count]) => ({ course, count }))
+                .sort((a, b) => b.count - a.count || compareValues(a.course, b.course)),
+            monthlyJoins: [...monthlyJoins]
+                .map(([month, count]) => ({ month, count }))
+                .sort((a, b) => compareValues(a.month, b.month)),
+            outstanding
+        };
+    }
+
+    // Students enrolled on a course; archived students only count when asked for
+    async countByCourse(courseId, { includeArchived = false } = {}) {
+        return this.all()
+            .filter(doc => doc.courseId === String(courseId) && (includeArchived || !doc.deletedAt))
+            .length;
+    }
+
+    // Active enrolments per course id
+    async enrolmentCounts() {
+        const counts = new Map();
+        this.all()
+            .filter(doc => !doc.deletedAt && doc.courseId)
+            .forEach(doc => counts.set(doc.courseId, (counts.get(doc.courseId) || 0) + 1));
+        return [...counts].map(([courseId, count]) => ({ courseId, count }));
+    }
+
+    // Keeps the denormalised course name in step with the catalogue. The
+    // student's courseId is unchanged, so the version is left alone.
+    async renameCourse(courseId, name) {
+        const docs = this.all().filter(doc => doc.courseId === String(courseId) && doc.course !== name);
+        docs.forEach(doc => {
+            doc.course = name;
+        });
+        if (docs.length > 0) await this.persist();
+        return docs.length;
+    }
+
+    // Free-text course names of students that do not reference the catalogue yet
+    async unlinkedCourseNames() {
+        return [...new Set(this.all().filter(doc => !doc.courseId).map(doc => doc.course))];
+    }
+
+    async linkCourse(name, course) {
+        const docs = this.all().filter(doc => doc.course === name && !doc.courseId);
+        docs.forEach(doc => {
+            doc.courseId = String(course._id);
+            doc.course = course.name;
+            bumpVersion(doc);
+        });
+        if (docs.length > 0) await this.persist();
+        return docs.length;
+    }
+
+    // Drops the value of a deleted custom field from every student, archived ones
+    // included. The field can no longer be edited, so the version is left alone.
+    async unsetCustomField(key) {
+        const docs = this.all().filter(doc => doc.custom && key in doc.custom);
+        docs.forEach(doc => {
+            delete doc.custom[key];
+        });
+        if (docs.length > 0) await this.persist();
+        return docs.length;
+    }
+
+    // Stores recomputed attendance summaries, archived students included, without
+    // touching updatedAt or the version: [{ studentId, attendance }]
+    async setAttendance(entries) {
+        if (entries.length === 0) return;
+
+        entries.forEach(({ studentId, attendance }) => {
+            const doc = this.records.get(String(studentId));
+            if (doc) {
+                doc.attendance = structuredClone(attendance);
+            }
+        });
+        await this.persist();
+    }
+
+    async findById(id, { includeArchived = false } = {}) {
+        const doc = this.records.get(String(id));
+        return doc && (includeArchived || !doc.deletedAt) ? structuredClone(doc) : null;
+    }
+
+    async findByEmail(email, { excludeId } = {}) {
+        const doc = this.all().find(d => d.email === email && d._id !== String(excludeId));
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async create(student) {
+        // Mirror the unique email index of the MongoDB adapter
+        if (await this.findByEmail(student.email)) {
+            throw duplicateKeyError('email');
+        }
+        return super.create(student);
+    }
+
+    async createMany(students) {
+        const emails = new Set();
+        for (const student of students) {
+            if (emails.has(student.email) || await this.findByEmail(student.email)) {
+                throw duplicateKeyError('email');
+            }
+            emails.add(student.email);
+        }
+        return super.createMany(students);
+    }
+
+    // With `version`, the update only applies while the record is still at that
+    // version; a stale version returns null like a missing record
+    async update(id, data, { version } = {}) {
+        const doc = this.records.get(String(id));
+        if (!doc || doc.deletedAt || (version !== undefined && (doc.version || 0) !== version)) {
+            return null;
+        }
+
+        bumpVersion(doc);
+        return super.update(id, data);
+    }
+
+    // Returns the archived record, or null when no active record matched; `version`
+    // works as for update()
+    async archive(id, { deletedBy = null, version } = {}) {
+        return this.update(id, { deletedAt: new Date(), deletedBy }, { version });
+    }
+
+    // Returns the restored record, or null when no archived record matched
+    async restore(id, data = {}) {
+        const doc = this.records.get(String(id));
+        if (!doc || !doc.deletedAt) {
+            return null;
+        }
+
+        delete doc.deletedAt;
+        delete doc.deletedBy;
+        bumpVersion(doc);
+        Object.assign(doc, structuredClone(data));
+        await this.persist();
+        return structuredClone(doc);
+    }
+
+    // Permanently removes records archived before the given date and returns them
+    async purgeArchived(before) {
+        const purged = this.all().filter(doc => doc.deletedAt && doc.deletedAt < before);
+        if (purged.length > 0) {
+            purged.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return purged;
+    }
+
+    // Permanently removes one record, only while it is still in the trash
+    async deleteArchived(id) {
+        const doc = this.records.get(String(id));
+        return doc && doc.deletedAt ? this.delete(id) : false;
+    }
+}
+
+// ===== USER REPOSITORY =====
+class MemoryUserRepository extends MemoryRepository {
+    async list() {
+        return this.all()
+            .sort((a, b) => compareValues(a.username, b.username))
+            .map(doc => structuredClone(doc));
+    }
+
+    async count() {
+        return this.records.size;
+    }
+
+    async findByUsername(username) {
+        const doc = this.all().find(d => d.username === username);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async create(user) {
+        // Mirror the unique username index of the MongoDB adapter
+        if (await this.findByUsername(user.username)) {
+            throw duplicateKeyError('username');
+        }
+        return super.create(user);
+    }
+}
+
+// ===== AUDIT REPOSITORY =====
+class MemoryAuditRepository extends MemoryRepository {
+    async listByEntity(entityType, entityId) {
+        return this.all()
+            .filter(doc => doc.entityType === entityType && doc.entityId === String(entityId))
+            .sort((a, b) => compareValues(b.timestamp, a.timestamp) || compareValues(b._id, a._id))
+            .map(doc => structuredClone(doc));
+    }
+}
+
+// ===== COURSE REPOSITORY =====
+class MemoryCourseRepository extends MemoryRepository {
+    async list({ search, active } = {}) {
+        return this.all()
+            .filter(doc => active === undefined || doc.active === active)
+            .filter(doc => !search || containsText(doc.name, search) || containsText(doc.code, search))
+            .sort((a, b) => compareValues(a.name, b.name))
+            .map(doc => structuredClone(doc));
+    }
+
+    async findByCode(code) {
+        const doc = this.all().find(d => d.code === code);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    // nameKey is the lower-cased, whitespace-collapsed name used for uniqueness
+    async findByNameKey(nameKey) {
+        const doc = this.all().find(d => d.nameKey === nameKey);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    // Mirror the unique code and nameKey indexes of the MongoDB adapter
+    async assertUnique(data, excludeId = null) {
+        const clash = this.all().find(d => d._id !== excludeId && (d.code === data.code || d.nameKey === data.nameKey));
+        if (clash) {
+            throw duplicateKeyError(clash.code === data.code ? 'code' : 'nameKey');
+        }
+    }
+
+    async create(course) {
+        await this.assertUnique(course);
+        return super.create(course);
+    }
+
+    async update(id, data) {
+        await this.assertUnique(data, String(id));
+        return super.update(id, data);
+    }
+}
+
+// ===== CUSTOM FIELD REPOSITORY =====
+class MemoryCustomFieldRepository extends MemoryRepository {
+    async list() {
+        return this.all()
+            .sort((a, b) => compareValues(a.order, b.order) || compareValues(a.label, b.label))
+            .map(doc => structuredClone(doc));
+    }
+
+    async findByKey(key) {
+        const doc = this.all().find(d => d.key === key);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    // Mirror the unique key index of the MongoDB adapter
+    async create(field) {
+        if (await this.findByKey(field.key)) {
+            throw duplicateKeyError('key');
+        }
+        return super.create(field);
+    }
+}
+
+// ===== SESSION REPOSITORY =====
+class MemorySessionRepository extends MemoryRepository {
+    // Newest first
+    async listByCourse(courseId) {
+        return this.all()
+            .filter(doc => doc.courseId === String(courseId))
+            .sort((a, b) => compareValues(b.date, a.date) || compareValues(b._id, a._id))
+            .map(doc => structuredClone(doc));
+    }
+}
+
+// ===== ATTENDANCE REPOSITORY =====
+// One mark per student per session, keyed by (sessionId, studentId)
+class MemoryAttendanceRepository extends MemoryRepository {
+    async listBySession(sessionId) {
+        return this.all()
+            .filter(doc => doc.sessionId === String(sessionId))
+            .map(doc => structuredClone(doc));
+    }
+
+    async listByStudent(studentId) {
+        return this.all()
+            .filter(doc => doc.studentId === String(studentId))
+            .sort((a, b) => compareValues(b.date, a.date) || compareValues(b._id, a._id))
+            .map(doc => structuredClone(doc));
+    }
+
+    // Creates or overwrites marks with a single write to disk
+    async mark(marks) {
+        if (marks.length === 0) return;
+
+        marks.forEach(mark => {
+            const existing = this.all().find(d => d.sessionId === mark.sessionId && d.studentId === mark.studentId);
+            if (existing) {
+                Object.assign(existing, structuredClone(mark));
+            } else {
+                const doc = { _id: new ObjectId().toHexString(), ...structuredClone(mark) };
+                this.records.set(doc._id, doc);
+            }
+        });
+        await this.persist();
+    }
+
+    // Present/late/absent counts for each of the given students
+    async summarize(studentIds) {
+        const ids = new Set(studentIds.map(String));
+        const counts = new Map();
+        this.all().filter(doc => ids.has(doc.studentId)).forEach(doc => {
+            const key = `${doc.studentId}:${doc.status}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return [...counts].map(([key, count]) => {
+            const [studentId, status] = key.split(':');
+            return { studentId, status, count };
+        });
+    }
+
+    async deleteBySession(sessionId) {
+        const deleted = this.all().filter(doc => doc.sessionId === String(sessionId));
+        if (deleted.length > 0) {
+            deleted.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return deleted.length;
+    }
+
+    // Removes the marks of purged students; returns how many were deleted
+    async deleteByStudents(studentIds) {
+        const ids = new Set(studentIds.map(String));
+        const deleted = this.all().filter(doc => ids.has(doc.studentId));
+        if (deleted.length > 0) {
+            deleted.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return deleted.length;
+    }
+}
+
+// ===== PAYMENT REPOSITORY =====
+class MemoryPaymentRepository extends MemoryRepository {
+    async listByStudent(studentId) {
+        return this.all()
+            .filter(doc => doc.studentId === String(studentId))
+            .sort((a, b) => compareValues(a.date, b.date) || compareValues(a._id, b._id))
+            .map(doc => structuredClone(doc));
+    }
+
+    async findByReceiptNumber(receiptNumber) {
+        const doc = this.all().find(d => d.receiptNumber === receiptNumber);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async create(payment) {
+        // Mirror the unique receipt number index of the MongoDB adapter
+        if (await this.findByReceiptNumber(payment.receiptNumber)) {
+            throw duplicateKeyError('receiptNumber');
+        }
+        return super.create(payment);
+    }
+
+    // Removes the payments of purged students; returns how many were deleted
+    async deleteByStudents(studentIds) {
+        const ids = new Set(studentIds.map(String));
+        const deleted = this.all().filter(doc => ids.has(doc.studentId));
+        if (deleted.length > 0) {
+            deleted.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return deleted.length;
+    }
+}
+
+// ===== SAVED VIEW REPOSITORY =====
+// Views belong to one user; names are unique per user through nameKey
+class MemoryViewRepository extends MemoryRepository {
+    async listByUser(userId) {
+        return this.all()
+            .filter(doc => doc.userId === String(userId))
+            .sort((a, b) => compareValues(a.nameKey, b.nameKey))
+            .map(doc => structuredClone(doc));
+    }
+
+    async countByUser(userId) {
+        return this.all().filter(doc => doc.userId === String(userId)).length;
+    }
+
+    // Mirror the unique (userId, nameKey) index of the MongoDB adapter
+    async assertUnique(data, excludeId = null) {
+        const current = excludeId ? this.records.get(excludeId) : null;
+        const userId = data.userId ?? current?.userId;
+        const nameKey = data.nameKey ?? current?.nameKey;
+        if (this.all().some(d => d._id !== excludeId && d.userId === userId && d.nameKey === nameKey)) {
+            throw duplicateKeyError('nameKey');
+        }
+    }
+
+    async create(view) {
+        await this.assertUnique(view);
+        return super.create(view);
+    }
+
+    async update(id, data) {
+        await this.assertUnique(data, String(id));
+        return super.update(id, data);
+    }
+
+    async deleteByUser(userId) {
+        const deleted = this.all().filter(doc => doc.userId === String(userId));
+        if (deleted.length > 0) {
+            deleted.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return deleted.length;
+    }
+}
+
+// ===== NOTIFICATION REPOSITORIES =====
+// Admin overrides of the built-in message templates, one per template key
+class MemoryNotificationTemplateRepository extends MemoryRepository {
+    async list() {
+        return this.all()
+            .sort((a, b) => compareValues(a.key, b.key))
+            .map(doc => structuredClone(doc));
+    }
+
+    async findByKey(key) {
+        const doc = this.all().find(d => d.key === key);
+        return doc ? structuredClone(doc) : null;
+    }
+
+    async save(key, data) {
+        const existing = this.all().find(d => d.key === key);
+        return existing ? this.update(existing._id, { ...data, key }) : this.create({ ...data, key });
+    }
+
+    async deleteByKey(key) {
+        const existing = this.all().find(d => d.key === key);
+        return existing ? this.delete(existing._id) : false;
+    }
+}
+
+// Send history: one entry per message and channel
+class MemoryNotificationRepository extends MemoryRepository {
+    async listByStudent(studentId) {
+        return this.all()
+            .filter(doc => doc.studentId === String(studentId))
+            .sort((a, b) => compareValues(b.createdAt, a.createdAt) || compareValues(b._id, a._id))
+            .map(doc => structuredClone(doc));
+    }
+
+    // Ids of students successfully sent the template since the given time
+    async recentRecipients({ template, since }) {
+        const ids = this.all()
+            .filter(doc => doc.template === template && doc.status === 'sent' && doc.createdAt >= since)
+            .map(doc => doc.studentId);
+        return [...new Set(ids)];
+    }
+
+    async deleteByStudents(studentIds) {
+        const ids = new Set(studentIds.map(String));
+        const deleted = this.all().filter(doc => ids.has(doc.studentId));
+        if (deleted.length > 0) {
+            deleted.forEach(doc => this.records.delete(doc._id));
+            await this.persist();
+        }
+        return deleted.length;
+    }
+}
+
+// ===== STORAGE =====
+// Keeps everything in process memory. When a file path is given the data is
+// loaded from it on connect and rewritten after every change.
+class MemoryStorage {
+    constructor({ file = null } = {}) {
+        this.driver = file ? 'file' : 'memory';
+        this.file = file;
+        this.connected = false;
+        this.writeQueue = Promise.resolve();
+        this.collections = { students: new Map(), users: new Map(), audit: new Map(), payments: new Map(), courses: new Map(), sessions: new Map(), attendance: new Map(), customFields: new Map(), views: new Map(), notificationTemplates: new Map(), notifications: new Map() };
+
+        const persist = () => this.persist();
+        this.students = new MemoryStudentRepository(this.collections.students, persist);
+        this.users = new MemoryUserRepository(this.collections.users, persist);
+        this.audit = new MemoryAuditRepository(this.collections.audit, persist);
+        this.payments = new MemoryPaymentRepository(this.collections.payments, persist);
+        this.courses = new MemoryCourseRepository(this.collections.courses, persist);
+        this.sessions = new MemorySessionRepository(this.collections.sessions, persist);
+        this.attendance = new MemoryAttendanceRepository(this.collections.attendance, persist);
+        this.customFields = new MemoryCustomFieldRepository(this.collections.customFields, persist);
+        this.views = new MemoryViewRepository(this.collections.views, persist);
+        this.notificationTemplates = new MemoryNotificationTemplateRepository(this.collections.notificationTemplates, persist);
+        this.notifications = new MemoryNotificationRepository(this.collections.notifications, persist);
+    }
+
+    async connect() {
+        if (this.file) {
+            await this.load();
+            logger.info('Using file storage', { file: this.file });
+        } else {
+            logger.info('Using in-memory storage (data is lost on restart)');
+        }
+        this.connected = true;
+    }
+
+    // No connection pool to report
+    poolStats() {
+        return null;
+    }
+
+    async load() {
+        let contents;
+        try {
+            contents = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const data = reviveDates(JSON.parse(contents));
+        reviveCustomDates(data.students || [], data.customFields || []);
+        Object.entries(this.collections).forEach(([name, records]) => {
+            (data[name] || []).forEach(doc => records.set(doc._id, doc));
+        });
+    }
+
+    // Writes are serialised and go through a temp file so a crash mid-write
+    // never leaves a truncated data file behind.
+    persist() {
+        if (!this.file) return Promise.resolve();
+
+        const snapshot = {};
+        Object.entries(this.collections).forEach(([name, records]) => {
+            snapshot[name] = [...records.values()];
+        });
+        const contents = JSON.stringify(snapshot, null, 2);
+
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            const tmpFile = `${this.file}.tmp`;
+            await fs.writeFile(tmpFile, contents);
+            await fs.rename(tmpFile, this.file);
+        });
+        return this.writeQueue;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async ping() {
+        if (!this.connected) {
+            throw new Error('Storage is not connected');
+        }
+    }
+
+    async close() {
+        await this.writeQueue.catch(() => {});
+        this.connected = false;
+    }
+}
+
+module.exports = { MemoryStorage };
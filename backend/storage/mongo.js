@@ -0,0 +1,697 @@
+// [EXTERNAL — INSTALL REQUIRED] MongoDB Node Driver - Official MongoDB driver
+const { MongoClient, ObjectId } = require('mongodb');
+const { logger } = require('../lib/logger');
+
+// Search text is matched literally, never as a user-supplied pattern
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ===== BASE REPOSITORY =====
+// Shared id handling and CRUD over a single collection
+class MongoRepository {
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    isValidId(id) {
+        return ObjectId.isValid(id);
+    }
+
+    async findById(id) {
+        return this.collection.findOne({ _id: new ObjectId(id) });
+    }
+
+    async create(data) {
+        const result = await this.collection.insertOne(data);
+        return { _id: result.insertedId, ...data };
+    }
+
+    async createMany(items) {
+        if (items.length === 0) return [];
+
+        const docs = items.map(data => ({ ...data }));
+        const result = await this.collection.insertMany(docs);
+        return docs.map((doc, index) => ({ _id: result.insertedIds[index], ...doc }));
+    }
+
+    // Returns the updated record, or null when no record matched
+    async update(id, data) {
+        return this.collection.findOneAndUpdate(
+            { _id: new ObjectId(id) },
+            { $set: data },
+            { returnDocument: 'after' }
+        );
+    }
+
+    async delete(id) {
+        const result = await this.collection.deleteOne({ _id: new ObjectId(id) });
+        return result.deletedCount > 0;
+    }
+}
+
+// ===== STUDENT REPOSITORY =====
+// Archived (soft-deleted) records carry a deletedAt timestamp and are only
+// visible through the archived filter, findById({ includeArchived }) and findByEmail.
+// Every write increments `version`, which clients send back for optimistic
+// locking; records saved before versioning have none and count as version 0.
+class MongoStudentRepository extends MongoRepository {
+    // `customKeys` lists the custom fields that free-text search also looks at.
+    // `status` and `courseId` take one value or a list; `joinedBefore` is exclusive.
+    buildFilter({ search, status, courseId, joinedFrom, joinedBefore, customKeys = [], archived = false } = {}) {
+        const filter = {
+            deletedAt: archived ? { $ne: null } : null
+        };
+
+        if (status) {
+            filter.feeStatus = Array.isArray(status) ? { $in: status } : status;
+        }
+
+        if (courseId) {
+            filter.courseId = Array.isArray(courseId) ? { $in: courseId.map(String) } : String(courseId);
+        }
+
+        if (joinedFrom || joinedBefore) {
+            filter.joinDate = {};
+            if (joinedFrom) filter.joinDate.$gte = joinedFrom;
+            if (joinedBefore) filter.joinDate.$lt = joinedBefore;
+        }
+
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            filter.$or = [
+                { name: pattern },
+                { email: pattern },
+                { course: pattern },
+                ...customKeys.map(key => ({ [`custom.${key}`]: pattern }))
+            ];
+        }
+
+        return filter;
+    }
+
+    // Selects records strictly after the given position in sort order,
+    // using _id as a tie-breaker for records sharing the same sort value.
+    buildAfterFilter(after, sort) {
+        const op = sort.direction === -1 ? '$lt' : '$gt';
+        const id = new ObjectId(after.id);
+        return {
+            $or: [
+                { [sort.field]: { [op]: after.value } },
+                { [sort.field]: after.value, _id: { [op]: id } }
+            ]
+        };
+    }
+
+    async list({ filter, sort, after = null, skip = 0, limit = 0, fields = null } = {}) {
+        let query = this.buildFilter(filter);
+        if (after) {
+            query = { $and: [query, this.buildAfterFilter(after, sort)] };
+        }
+
+        const cursor = this.collection
+            .find(query)
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .skip(skip)
+            .limit(limit);
+
+        if (fields) {
+            const projection = { _id: 1 };
+            fields.forEach(f => { projection[f] = 1; });
+            cursor.project(projection);
+        }
+
+        return cursor.toArray();
+    }
+
+    // Yields every matching record in sort order without buffering the result set
+    async *stream({ filter, sort }) {
+        yield* this.collection
+            .find(this.buildFilter(filter))
+            .sort({ [sort.field]: sort.direction, _id: sort.direction });
+    }
+
+    async count(filter) {
+        return this.collection.countDocuments(this.buildFilter(filter));
+    }
+
+    // Dashboard figures for active students in a single aggregation.
+    // Monthly joins only cover join dates on or after `since`.
+    async stats({ since }) {
+        const [result] = await this.collection.aggregate([
+            { $match: { deletedAt: null } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    byFeeStatus: [
+                        { $group: { _id: '$feeStatus', count: { $sum: 1 } } }
+                    ],
+                    byCourse: [
+                        { $group: { _id: '$course', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } }
+                    ],
+                    monthlyJoins: [
+                        { $match: { joinDate: { $gte: since } } },
+                        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$joinDate' } }, count: { $sum: 1 } } },
+                        { $sort: { _id: 1 } }
+                    ],
+                    outstanding: [
+                        { $match: { fees: { $ne: null } } },
+                        {
+                            $group: {
+                                _id: null,
+                                billed: { $sum: '$fees.netFee' },
+                                collected: { $sum: '$fees.amountPaid' },
+                                balance: { $sum: '$fees.balance' },
+                                studentsWithPlan: { $sum: 1 },
+                                studentsWithBalance: { $sum: { $cond: [{ $gt: ['$fees.balance', 0] }, 1, 0] } }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]).toArray();
+
+        return {
+            total: result.total.length > 0 ? result.total[0].count : 0,
+            byFeeStatus: result.byFeeStatus.map(g => ({ feeStatus: g._id, count: g.count })),
+            byCourse: result.byCourse.map(g => ({ course: g._id, count: g.count })),
+            monthlyJoins: result.monthlyJoins.map(g => ({ month: g._id, count: g.count })),
+            outstanding: result.outstanding[0] || null
+        };
+    }
+
+    // Students enrolled on a course; archived students only count when asked for
+    async countByCourse(courseId, { includeArchived = false } = {}) {
+        const query = { courseId: String(courseId) };
+        if (!includeArchived) {
+            query.deletedAt = null;
+        }
+        return this.collection.countDocuments(query);
+    }
+
+    // Active enrolments per course id
+    async enrolmentCounts() {
+        const groups = await this.collection.aggregate([
+            { $match: { deletedAt: null, courseId: { $ne: null } } },
+            { $group: { _id: '$courseId', count: { $sum: 1 } } }
+        ]).toArray();
+        return groups.map(g => ({ courseId: g._id, count: g.count }));
+    }
+
+    // Keeps the denormalised course name in step with the catalogue. The
+    // student's courseId is unchanged, so the version is left alone.
+    async renameCourse(courseId, name) {
+        const result = await this.collection.updateMany(
+            { courseId: String(courseId), course: { $ne: name } },
+            { $set: { course: name } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Free-text course names of students that do not reference the catalogue yet
+    async unlinkedCourseNames() {
+        return this.collection.distinct('course', { courseId: null });
+    }
+
+    async linkCourse(name, course) {
+        const result = await this.collection.updateMany(
+            { course: name, courseId: null },
+            { $set: { courseId: String(course._id), course: course.name }, $inc: { version: 1 } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Drops the value of a deleted custom field from every student, archived ones
+    // included. The field can no longer be edited, so the version is left alone.
+    async unsetCustomField(key) {
+        const result = await this.collection.updateMany(
+            { [`custom.${key}`]: { $exists: true } },
+            { $unset: { [`custom.${key}`]: '' } }
+        );
+        return result.modifiedCount;
+    }
+
+    // Stores recomputed attendance summaries, archived students included, without
+    // touching updatedAt or the version: [{ studentId, attendance }]
+    async setAttendance(entries) {
+        if (entries.length === 0) return;
+
+        await this.collection.bulkWrite(entries.map(({ studentId, attendance }) => ({
+            updateOne: {
+                filter: { _id: new ObjectId(studentId) },
+                update: { $set: { attendance } }
+            }
+        })));
+    }
+
+    async findById(id, { includeArchived = false } = {}) {
+        const query = { _id: new ObjectId(id) };
+        if (!includeArchived) {
+            query.deletedAt = null;
+        }
+        return this.collection.findOne(query);
+    }
+
+    async findByEmail(email, { excludeId } = {}) {
+        const query = { email };
+        if (excludeId) {
+            query._id = { $ne: new ObjectId(excludeId) };
+        }
+        return this.collection.findOne(query);
+    }
+
+    // With `version`, the update only applies while the record is still at that
+    // version; a stale version returns null like a missing record
+    async update(id, data, { version } = {}) {
+        const filter = { _id: new ObjectId(id), deletedAt: null };
+        if (version !== undefined) {
+            filter.version = version === 0 ? { $in: [0, null] } : version;
+        }
+
+        return this.collection.findOneAndUpdate(
+            filter,
+            { $set: data, $inc: { version: 1 } },
+            { returnDocument: 'after' }
+        );
+    }
+
+    // Returns the archived record, or null when no active record matched; `version`
+    // works as for update()
+    async archive(id, { deletedBy = null, version } = {}) {
+        return this.update(id, { deletedAt: new Date(), deletedBy }, { version });
+    }
+
+    // Returns the restored record, or null when no archived record matched
+    async restore(id, data = {}) {
+        const update = { $unset: { deletedAt: '', deletedBy: '' }, $inc: { version: 1 } };
+        if (Object.keys(data).length > 0) {
+            update.$set = data;
+        }
+
+        return this.collection.findOneAndUpdate(
+            { _id: new ObjectId(id), deletedAt: { $ne: null } },
+            update,
+            { returnDocument: 'after' }
+        );
+    }
+
+    // Permanently removes records archived before the given date and returns them
+    async purgeArchived(before) {
+        const purged = await this.collection.find({ deletedAt: { $ne: null, $lt: before } }).toArray();
+        if (purged.length > 0) {
+            await this.collection.deleteMany({ _id: { $in: purged.map(doc => doc._id) } });
+        }
+        return purged;
+    }
+
+    // Permanently removes one record, only while it is still in the trash
+    async deleteArchived(id) {
+        const result = await this.collection.deleteOne({ _id: new ObjectId(id), deletedAt: { $ne: null } });
+        return result.deletedCount > 0;
+    }
+}
+
+// ===== USER REPOSITORY =====
+class MongoUserRepository extends MongoRepository {
+    async list() {
+        return this.collection.find({}).sort({ username: 1 }).toArray();
+    }
+
+    async count() {
+        return this.collection.countDocuments();
+    }
+
+    async findByUsername(username) {
+        return this.collection.findOne({ username });
+    }
+}
+
+// ===== AUDIT REPOSITORY =====
+class MongoAuditRepository extends MongoRepository {
+    async listByEntity(entityType, entityId) {
+        return this.collection
+            .find({ entityType, entityId: String(entityId) })
+            .sort({ timestamp: -1, _id: -1 })
+            .toArray();
+    }
+}
+
+// ===== COURSE REPOSITORY =====
+class MongoCourseRepository extends MongoRepository {
+    async list({ search, active } = {}) {
+        const query = {};
+        if (active !== undefined) {
+            query.active = active;
+        }
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: pattern }, { code: pattern }];
+        }
+        return this.collection.find(query).sort({ name: 1 }).toArray();
+    }
+
+    async findByCode(code) {
+        return this.collection.findOne({ code });
+    }
+
+    // nameKey is the lower-cased, whitespace-collapsed name used for uniqueness
+    async findByNameKey(nameKey) {
+        return this.collection.findOne({ nameKey });
+    }
+}
+
+// ===== CUSTOM FIELD REPOSITORY =====
+class MongoCustomFieldRepository extends MongoRepository {
+    async list() {
+        return this.collection.find({}).sort({ order: 1, label: 1 }).toArray();
+    }
+
+    async findByKey(key) {
+        return this.collection.findOne({ key });
+    }
+}
+
+// ===== SESSION REPOSITORY =====
+class MongoSessionRepository extends MongoRepository {
+    // Newest first
+    async listByCourse(courseId) {
+        return this.collection
+            .find({ courseId: String(courseId) })
+            .sort({ date: -1, _id: -1 })
+            .toArray();
+    }
+}
+
+// ===== ATTENDANCE REPOSITORY =====
+// One mark per student per session, keyed by (sessionId, studentId)
+class MongoAttendanceRepository extends MongoRepository {
+    async listBySession(sessionId) {
+        return this.collection.find({ sessionId: String(sessionId) }).toArray();
+    }
+
+    async listByStudent(studentId) {
+        return this.collection
+            .find({ studentId: String(studentId) })
+            .sort({ date: -1, _id: -1 })
+            .toArray();
+    }
+
+    // Creates or overwrites marks in a single round trip
+    async mark(marks) {
+        if (marks.length === 0) return;
+
+        await this.collection.bulkWrite(marks.map(mark => ({
+            updateOne: {
+                filter: { sessionId: mark.sessionId, studentId: mark.studentId },
+                update: { $set: mark },
+                upsert: true
+            }
+        })));
+    }
+
+    // Present/late/absent counts for each of the given students
+    async summarize(studentIds) {
+        const groups = await this.collection.aggregate([
+            { $match: { studentId: { $in: studentIds.map(String) } } },
+            { $group: { _id: { studentId: '$studentId', status: '$status' }, count: { $sum: 1 } } }
+        ]).toArray();
+        return groups.map(g => ({ studentId: g._id.studentId, status: g._id.status, count: g.count }));
+    }
+
+    async deleteBySession(sessionId) {
+        const result = await this.collection.deleteMany({ sessionId: String(sessionId) });
+        return result.deletedCount;
+    }
+
+    // Removes the marks of purged students; returns how many were deleted
+    async deleteByStudents(studentIds) {
+        const result = await this.collection.deleteMany({ studentId: { $in: studentIds.map(String) } });
+        return result.deletedCount;
+    }
+}
+
+// ===== PAYMENT REPOSITORY =====
+class MongoPaymentRepository extends MongoRepository {
+    async listByStudent(studentId) {
+        return this.collection
+            .find({ studentId: String(studentId) })
+            .sort({ date: 1, _id: 1 })
+            .toArray();
+    }
+
+    async findByReceiptNumber(receiptNumber) {
+        return this.collection.findOne({ receiptNumber });
+    }
+
+    // Removes the payments of purged students; returns how many were deleted
+    async deleteByStudents(studentIds) {
+        const result = await this.collection.deleteMany({ studentId: { $in: studentIds.map(String) } });
+        return result.deletedCount;
+    }
+}
+
+// ===== SAVED VIEW REPOSITORY =====
+// Views belong to one user; names are unique per user through nameKey
+class MongoViewRepository extends MongoRepository {
+    async listByUser(userId) {
+        return this.collection.find({ userId: String(userId) }).sort({ nameKey: 1 }).toArray();
+    }
+
+    async countByUser(userId) {
+        return this.collection.countDocuments({ userId: String(userId) });
+    }
+
+    async deleteByUser(userId) {
+        const result = await this.collection.deleteMany({ userId: String(userId) });
+        return result.deletedCount;
+    }
+}
+
+// ===== NOTIFICATION REPOSITORIES =====
+// Admin overrides of the built-in message templates, one per template key
+class MongoNotificationTemplateRepository extends MongoRepository {
+    async list() {
+        return this.collection.find({}).sort({ key: 1 }).toArray();
+    }
+
+    async findByKey(key) {
+        return this.collection.findOne({ key });
+    }
+
+    async save(key, data) {
+        return this.collection.findOneAndUpdate(
+            { key },
+            { $set: { ...data, key } },
+            { upsert: true, returnDocument: 'after' }
+        );
+    }
+
+    async deleteByKey(key) {
+        const result = await this.collection.deleteOne({ key });
+        return result.deletedCount > 0;
+    }
+}
+
+// Send history: one entry per message and channel
+class MongoNotificationRepository extends MongoRepository {
+    async listByStudent(studentId) {
+        return this.collection
+            .find({ studentId: String(studentId) })
+            .sort({ createdAt: -1, _id: -1 })
+            .toArray();
+    }
+
+    // Ids of students successfully sent the template since the given time
+    async recentRecipients({ template, since }) {
+        return this.collection.distinct('studentId', { template, status: 'sent', createdAt: { $gte: since } });
+    }
+
+    async deleteByStudents(studentIds) {
+        const result = await this.collection.deleteMany({ studentId: { $in: studentIds.map(String) } });
+        return result.deletedCount;
+    }
+}
+
+// ===== STORAGE =====
+const MAX_POOL_SIZE = 10;
+
+class MongoStorage {
+    constructor({ uri, dbName }) {
+        this.driver = 'mongodb';
+        this.uri = uri;
+        this.dbName = dbName;
+        this.client = null;
+        this.db = null;
+        this.students = null;
+        this.users = null;
+        this.audit = null;
+        this.payments = null;
+        this.courses = null;
+        this.sessions = null;
+        this.attendance = null;
+        this.customFields = null;
+        this.pool = { open: 0, inUse: 0, waiting: 0, checkOutFailures: 0, cleared: 0, maxPoolSize: MAX_POOL_SIZE };
+        // Whether any data-bearing server is reachable, kept current by topology events
+        this.reachable = false;
+    }
+
+    async connect() {
+        // A failed earlier attempt may have left its client open; retries start afresh
+        if (this.client) {
+            await this.close().catch(() => {});
+        }
+
+        // Configure MongoDB connection options for production
+        this.client = new MongoClient(this.uri, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+            maxPoolSize: MAX_POOL_SIZE, // Connection pool size
+            serverSelectionTimeoutMS: 5000, // Timeout after 5 seconds
+            socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
+        });
+        this.trackPool();
+        this.trackReachability();
+
+        await this.client.connect();
+        logger.info('Connected to MongoDB');
+
+        this.db = this.client.db(this.dbName);
+        const students = this.db.collection('students');
+        const users = this.db.collection('users');
+        const audit = this.db.collection('audit_logs');
+        const payments = this.db.collection('payments');
+        const courses = this.db.collection('courses');
+        const sessions = this.db.collection('sessions');
+        const attendance = this.db.collection('attendance');
+        const customFields = this.db.collection('custom_fields');
+        const views = this.db.collection('views');
+        const notificationTemplates = this.db.collection('notification_templates');
+        const notifications = this.db.collection('notifications');
+
+        // Create indexes for better query performance
+        await students.createIndexes([
+            { key: { name: 1 } },
+            { key: { email: 1 }, unique: true },
+            { key: { course: 1 } },
+            { key: { feeStatus: 1 } },
+            { key: { joinDate: -1 } },
+            { key: { deletedAt: 1 } },
+            { key: { courseId: 1 } }
+        ]);
+        await users.createIndexes([
+            { key: { username: 1 }, unique: true }
+        ]);
+        await audit.createIndexes([
+            { key: { entityType: 1, entityId: 1, timestamp: -1 } }
+        ]);
+        await payments.createIndexes([
+            { key: { studentId: 1, date: 1 } },
+            { key: { receiptNumber: 1 }, unique: true }
+        ]);
+        await courses.createIndexes([
+            { key: { code: 1 }, unique: true },
+            { key: { nameKey: 1 }, unique: true },
+            { key: { name: 1 } }
+        ]);
+        await sessions.createIndexes([
+            { key: { courseId: 1, date: -1 } }
+        ]);
+        await customFields.createIndexes([
+            { key: { key: 1 }, unique: true }
+        ]);
+        await attendance.createIndexes([
+            { key: { sessionId: 1, studentId: 1 }, unique: true },
+            { key: { studentId: 1, date: -1 } }
+        ]);
+        await views.createIndexes([
+            { key: { userId: 1, nameKey: 1 }, unique: true }
+        ]);
+        await notificationTemplates.createIndexes([
+            { key: { key: 1 }, unique: true }
+        ]);
+        await notifications.createIndexes([
+            { key: { studentId: 1, createdAt: -1 } },
+            { key: { template: 1, createdAt: -1 } }
+        ]);
+
+        logger.info('Database indexes created');
+
+        this.students = new MongoStudentRepository(students);
+        this.users = new MongoUserRepository(users);
+        this.audit = new MongoAuditRepository(audit);
+        this.payments = new MongoPaymentRepository(payments);
+        this.courses = new MongoCourseRepository(courses);
+        this.sessions = new MongoSessionRepository(sessions);
+        this.attendance = new MongoAttendanceRepository(attendance);
+        this.customFields = new MongoCustomFieldRepository(customFields);
+        this.views = new MongoViewRepository(views);
+        this.notificationTemplates = new MongoNotificationTemplateRepository(notificationTemplates);
+        this.notifications = new MongoNotificationRepository(notifications);
+    }
+
+    // Connection pool events, summed over every server, for GET /metrics
+    trackPool() {
+        const pool = this.pool;
+        this.client.on('connectionCreated', () => { pool.open += 1; });
+        this.client.on('connectionClosed', () => { pool.open -= 1; });
+        this.client.on('connectionCheckOutStarted', () => { pool.waiting += 1; });
+        this.client.on('connectionCheckedOut', () => {
+            pool.waiting -= 1;
+            pool.inUse += 1;
+        });
+        this.client.on('connectionCheckOutFailed', () => {
+            pool.waiting -= 1;
+            pool.checkOutFailures += 1;
+        });
+        this.client.on('connectionCheckedIn', () => { pool.inUse -= 1; });
+        this.client.on('connectionPoolCleared', () => { pool.cleared += 1; });
+    }
+
+    // After the first connect the driver reconnects on its own; topology events
+    // tell us when no server is reachable so API routes can answer 503 meanwhile
+    trackReachability() {
+        this.client.on('topologyDescriptionChanged', event => {
+            const reachable = event.newDescription.hasDataBearingServers;
+            if (reachable === this.reachable) return;
+
+            this.reachable = reachable;
+            if (this.db) {
+                if (reachable) {
+                    logger.info('MongoDB reachable again');
+                } else {
+                    logger.warn('MongoDB unreachable; waiting for the driver to reconnect');
+                }
+            }
+        });
+    }
+
+    poolStats() {
+        return { ...this.pool };
+    }
+
+    isConnected() {
+        return this.db !== null && this.reachable;
+    }
+
+    // Round trip to the server, for the readiness check
+    async ping() {
+        if (!this.db) {
+            throw new Error('MongoDB is not connected');
+        }
+        await this.db.command({ ping: 1 });
+    }
+
+    async close() {
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            this.db = null;
+            this.reachable = false;
+            await client.close();
+            logger.info('MongoDB connection closed');
+        }
+    }
+}
+
+module.exports = { MongoStorage };
@@ -0,0 +1,115 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { setTimeout: delay } = require('timers/promises');
+const { startTestApp } = require('./helpers');
+const { retryWithBackoff, drainServer } = require('../lib/lifecycle');
+
+describe('Health checks', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('is live and ready while the database is connected', async () => {
+        const live = await app.request('GET', '/health/live');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.status, 'alive');
+
+        const ready = await app.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'ready');
+        assert.equal(ready.body.database, 'connected');
+    });
+
+    it('stays live but not ready, and answers API requests with 503, while the database is down', async () => {
+        // 5xx responses are logged as errors
+        mock.method(console, 'error', () => {});
+        await app.storage.close();
+        try {
+            assert.equal((await app.request('GET', '/health/live')).status, 200);
+
+            const ready = await app.request('GET', '/health/ready');
+            assert.equal(ready.status, 503);
+            assert.equal(ready.body.status, 'not_ready');
+            assert.equal(ready.body.database, 'disconnected');
+
+            const health = await app.request('GET', '/health');
+            assert.equal(health.body.database, 'disconnected');
+
+            const { status, headers, body } = await app.request('GET', '/api/records', { token: app.adminToken });
+            assert.equal(status, 503);
+            assert.equal(body.success, false);
+            assert.ok(Number(headers.get('retry-after')) > 0);
+        } finally {
+            await app.storage.connect();
+        }
+
+        assert.equal((await app.request('GET', '/health/ready')).status, 200);
+        assert.equal((await app.request('GET', '/api/records', { token: app.adminToken })).status, 200);
+    });
+});
+
+describe('retryWithBackoff', () => {
+    before(() => mock.method(console, 'warn', () => {}));
+    after(() => mock.restoreAll());
+
+    it('retries a failing task with growing delays until it succeeds', async () => {
+        let calls = 0;
+        const result = await retryWithBackoff(async () => {
+            calls += 1;
+            if (calls < 3) throw new Error('not yet');
+            return 'connected';
+        }, { name: 'Test task', initialDelayMs: 1, maxDelayMs: 2 });
+
+        assert.equal(result, 'connected');
+        assert.equal(calls, 3);
+    });
+
+    it('stops retrying when aborted', async () => {
+        const controller = new AbortController();
+        let calls = 0;
+        const retrying = retryWithBackoff(async () => {
+            calls += 1;
+            throw new Error('down');
+        }, { name: 'Test task', initialDelayMs: 1000, signal: controller.signal });
+
+        await delay(10);
+        controller.abort();
+        await assert.rejects(retrying, { name: 'AbortError' });
+        assert.equal(calls, 1);
+    });
+});
+
+describe('drainServer', () => {
+    async function listen(handler) {
+        const server = http.createServer(handler).listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        return { server, url: `http://127.0.0.1:${server.address().port}` };
+    }
+
+    it('lets in-flight requests finish before closing', async () => {
+        const { server, url } = await listen(async (req, res) => {
+            await delay(50);
+            res.end('done');
+        });
+
+        const response = fetch(url);
+        await delay(10);
+        const drained = await drainServer(server, { timeoutMs: 1000 });
+
+        assert.equal(drained, true);
+        assert.equal(await (await response).text(), 'done');
+    });
+
+    it('cuts connections still open at the timeout', async () => {
+        const { server, url } = await listen(() => {});
+
+        const response = fetch(url).catch(error => error);
+        await delay(10);
+        const drained = await drainServer(server, { timeoutMs: 20 });
+
+        assert.equal(drained, false);
+        assert.ok(await response instanceof Error);
+    });
+});
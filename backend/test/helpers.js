@@ -0,0 +1,129 @@
+// ===== TEST HARNESS =====
+// Runs the API in-process on a random port against memory storage and a
+// transport that keeps messages in an array, so the suite needs no database,
+// mail provider or network access.
+const { once } = require('events');
+const { mock } = require('node:test');
+
+// Read when the auth middleware is first required, so set before the app loads
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-password';
+
+const { createApp } = require('../app');
+const { MemoryStorage } = require('../storage/memory');
+const { seedAdminUser } = require('../routes/auth');
+
+// Same surface as the transports in transports/
+function createTestTransport() {
+    return {
+        name: 'test',
+        sent: [],
+        async send(message) {
+            this.sent.push(message);
+            return { messageId: `test-${this.sent.length}` };
+        }
+    };
+}
+
+async function request(baseUrl, method, path, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) {
+        init.headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+        init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+// Starts a fresh app with an empty store and a signed-in admin.
+// Request logs are silenced; errors still reach the console.
+// `options` are passed on to createApp, e.g. { rateLimits: { userMax: 2 } }.
+async function startTestApp(options = {}) {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+
+    const storage = new MemoryStorage();
+    await storage.connect();
+    await seedAdminUser(storage);
+
+    const transport = createTestTransport();
+    const server = createApp({ storage, transport, ...options }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const app = {
+        storage,
+        transport,
+        request: (method, path, options) => request(baseUrl, method, path, options),
+
+        async login(username, password) {
+            const { body } = await app.request('POST', '/api/auth/login', { body: { username, password } });
+            return body.data.token;
+        },
+
+        // Creates a user with the role and returns their token
+        async tokenFor(role) {
+            const username = `${role}-${Math.random().toString(36).slice(2, 8)}`;
+            const { status, body } = await app.request('POST', '/api/users', {
+                token: app.adminToken,
+                body: { username, password: 'password123', role }
+            });
+            if (status !== 201) throw new Error(`Could not create ${role} user: ${body.message}`);
+            return app.login(username, 'password123');
+        },
+
+        async createCourse(overrides = {}) {
+            const { status, body } = await app.request('POST', '/api/courses', {
+                token: app.adminToken,
+                body: { name: 'Web Development', code: 'WEB-101', ...overrides }
+            });
+            if (status !== 201) throw new Error(`Could not create course: ${body.message}`);
+            return body.data;
+        },
+
+        async createStudent(overrides = {}) {
+            const { status, body } = await app.request('POST', '/api/records', {
+                token: app.adminToken,
+                body: studentInput({ courseId: app.course._id, ...overrides })
+            });
+            if (status !== 201) throw new Error(`Could not create student: ${body.message}`);
+            return body.data;
+        },
+
+        async close() {
+            server.closeAllConnections();
+            server.close();
+            await once(server, 'close');
+            await storage.close();
+            mock.restoreAll();
+        }
+    };
+
+    app.adminToken = await app.login('admin', 'admin-password');
+    app.course = await app.createCourse();
+    return app;
+}
+
+let studentCount = 0;
+
+// A valid POST /api/records body; needs a courseId unless one is given
+function studentInput(overrides = {}) {
+    studentCount += 1;
+    return {
+        name: `Student ${studentCount}`,
+        email: `student${studentCount}@example.com`,
+        phone: '555-010-0100',
+        feeStatus: 'Pending',
+        joinDate: '2024-09-01',
+        ...overrides
+    };
+}
+
+module.exports = { startTestApp, studentInput };
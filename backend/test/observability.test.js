@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startTestApp, studentInput } = require('./helpers');
+const { redact } = require('../lib/logger');
+
+// Request logs are written when the response closes, just after the client has it
+async function requestLog(requestId) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const line = console.log.mock.calls
+            .map(call => call.arguments[0])
+            .find(text => typeof text === 'string' && text.includes(`"requestId":"${requestId}"`) && text.includes('Request completed'));
+        if (line) return JSON.parse(line);
+        await delay(10);
+    }
+    throw new Error(`No request log for ${requestId}`);
+}
+
+describe('Request IDs and logs', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('gives every response a request ID, keeping a valid one from the client', async () => {
+        const generated = await app.request('GET', '/health');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const passed = await app.request('GET', '/health', { headers: { 'X-Request-Id': 'edge-1234' } });
+        assert.equal(passed.headers.get('x-request-id'), 'edge-1234');
+
+        const invalid = await app.request('GET', '/health', { headers: { 'X-Request-Id': 'no spaces <here>' } });
+        assert.notEqual(invalid.headers.get('x-request-id'), 'no spaces <here>');
+    });
+
+    it('logs status, latency and route as JSON without personal data', async () => {
+        const email = 'private.person@example.com';
+        const { headers } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, email, phone: '555-010-0199' })
+        });
+
+        const entry = await requestLog(headers.get('x-request-id'));
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.status, 201);
+        assert.equal(entry.route, '/api/records');
+        assert.equal(typeof entry.durationMs, 'number');
+
+        const everything = console.log.mock.calls.map(call => String(call.arguments[0])).join('\n');
+        assert.ok(!everything.includes(email));
+        assert.ok(!everything.includes('555-010-0199'));
+    });
+
+    it('redacts personal fields and email addresses in text', () => {
+        const error = new Error('E11000 duplicate key: { email: "dup@example.com" }');
+        const safe = redact({ student: { name: 'Ann', email: 'ann@example.com', phone: '555' }, password: 'secret', error });
+
+        assert.equal(safe.student.name, 'Ann');
+        assert.equal(safe.student.email, '[redacted]');
+        assert.equal(safe.student.phone, '[redacted]');
+        assert.equal(safe.password, '[redacted]');
+        assert.equal(safe.error.message, 'E11000 duplicate key: { email: "[email]" }');
+    });
+});
+
+describe('GET /metrics', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('exposes request counts and latency histograms by route', async () => {
+        const student = await app.createStudent();
+        await app.request('GET', `/api/records/${student._id}`, { token: app.adminToken });
+        await app.request('GET', '/api/nothing-here');
+
+        // The scrape is counted after its own response, so earlier requests are all in
+        await delay(20);
+        const { status, headers, body } = await app.request('GET', '/metrics');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain/);
+        assert.match(body, /^http_requests_total\{method="GET",route="\/api\/records\/:id",status="200"\} 1$/m);
+        assert.match(body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+        assert.match(body, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/records",le="\+Inf"\} 1$/m);
+        assert.match(body, /^http_request_duration_seconds_count\{method="POST",route="\/api\/records"\} 1$/m);
+        // Memory storage has no connection pool
+        assert.doesNotMatch(body, /mongodb_pool/);
+    });
+});
@@ -0,0 +1,384 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('POST /api/records/import', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    const csv = rows => ['Name,Email,Course,Status,Joined', ...rows].join('\n');
+    const importCsv = (body, query = '') => app.request('POST', `/api/records/import${query}`, {
+        token: app.adminToken,
+        headers: { 'Content-Type': 'text/csv' },
+        body
+    });
+
+    it('reports rows on a dry run without saving them', async () => {
+        const { status, body } = await importCsv(csv([
+            'Dana Dry,dana@example.com,Web Development,Paid,2024-05-01',
+            'No Email,,Web Development,Paid,2024-05-01'
+        ]), '?dryRun=true');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { total: 2, accepted: 1, rejected: 1, imported: 0 });
+        assert.equal(await app.storage.students.count({}), 0);
+    });
+
+    it('imports accepted rows and rejects duplicate emails', async () => {
+        await app.createStudent({ email: 'taken@example.com' });
+        const { status, body } = await importCsv(csv([
+            'Eve Import,eve@example.com,WEB-101,Pending,2024-05-01',
+            'Eve Again,EVE@example.com,WEB-101,Pending,2024-05-01',
+            'Taken Email,taken@example.com,WEB-101,Pending,2024-05-01'
+        ]));
+
+        assert.equal(status, 201);
+        assert.equal(body.summary.imported, 1);
+        assert.deepEqual(body.rows.map(row => row.status), ['imported', 'rejected', 'rejected']);
+    });
+
+    it('rejects empty, header-only and unmappable files with 400', async () => {
+        assert.equal((await importCsv(' ')).status, 400);
+        assert.equal((await importCsv('Name,Email')).status, 400);
+        assert.equal((await importCsv(csv(['a,b,c,d,e']), '?mapping=not-json')).status, 400);
+    });
+
+    it('is forbidden to viewers', async () => {
+        const token = await app.tokenFor('viewer');
+        const { status } = await app.request('POST', '/api/records/import', {
+            token,
+            headers: { 'Content-Type': 'text/csv' },
+            body: csv(['Vic View,vic@example.com,WEB-101,Paid,2024-05-01'])
+        });
+        assert.equal(status, 403);
+    });
+});
+
+describe('GET /api/records/export', () => {
+    let app;
+    before(async () => {
+        app = await startTestApp();
+        await app.createStudent({ name: 'Exported Paid', feeStatus: 'Paid' });
+        await app.createStudent({ name: 'Exported Pending', feeStatus: 'Pending' });
+    });
+    after(() => app.close());
+
+    it('exports the filtered students as CSV, JSON and HTML', async () => {
+        const csv = await app.request('GET', '/api/records/export?status=Paid', { token: app.adminToken });
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-disposition'), /\.csv"/);
+        assert.match(csv.body, /Exported Paid/);
+        assert.doesNotMatch(csv.body, /Exported Pending/);
+
+        const json = await app.request('GET', '/api/records/export?format=json&sortBy=name&sortOrder=asc', { token: app.adminToken });
+        assert.deepEqual(json.body.map(s => s.name), ['Exported Paid', 'Exported Pending']);
+
+        const html = await app.request('GET', '/api/records/export?format=html', { token: app.adminToken });
+        assert.match(html.headers.get('content-type'), /text\/html/);
+    });
+
+    it('rejects unknown formats and bad filters with 400', async () => {
+        assert.equal((await app.request('GET', '/api/records/export?format=xml', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', '/api/records/export?status=Overdue', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', '/api/records/export?sortBy=notes', { token: app.adminToken })).status, 400);
+    });
+});
+
+describe('POST /api/records/bulk', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('applies an action by ID and reports each student', async () => {
+        const pending = await app.createStudent({ feeStatus: 'Pending' });
+        const paid = await app.createStudent({ feeStatus: 'Paid' });
+
+        const { status, body } = await app.request('POST', '/api/records/bulk', {
+            token: app.adminToken,
+            body: { action: 'setFeeStatus', value: 'Paid', ids: [pending._id, paid._id, MISSING_ID, 'nope'] }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { done: 1, skipped: 1, failed: 2 });
+    });
+
+    it('applies an action to every student matching a filter', async () => {
+        const student = await app.createStudent({ name: 'Bulk Filter Target' });
+        const { body } = await app.request('POST', '/api/records/bulk', {
+            token: app.adminToken,
+            body: { action: 'archive', filter: { search: 'bulk filter' } }
+        });
+
+        assert.deepEqual(body.results.map(result => [result.id, result.status]), [[student._id, 'done']]);
+    });
+
+    it('fails students edited or trashed after they were read', async () => {
+        const edited = await app.createStudent({ feeStatus: 'Pending' });
+        const trashed = await app.createStudent({ feeStatus: 'Pending' });
+
+        const findById = app.storage.students.findById.bind(app.storage.students);
+        const changeAfterRead = mock.method(app.storage.students, 'findById', async (id, options) => {
+            const student = await findById(id, options);
+            if (id === edited._id) await app.storage.students.update(id, { notes: 'Edited meanwhile' });
+            if (id === trashed._id) await app.storage.students.archive(id);
+            return student;
+        });
+        let body;
+        try {
+            ({ body } = await app.request('POST', '/api/records/bulk', {
+                token: app.adminToken,
+                body: { action: 'setFeeStatus', value: 'Paid', ids: [edited._id, trashed._id] }
+            }));
+        } finally {
+            changeAfterRead.mock.restore();
+        }
+
+        assert.deepEqual(body.results.map(result => result.status), ['failed', 'failed']);
+        const current = await app.storage.students.findById(edited._id);
+        assert.equal(current.feeStatus, 'Pending');
+        assert.equal(current.notes, 'Edited meanwhile');
+    });
+
+    it('does not trash a student edited after it was read', async () => {
+        const student = await app.createStudent();
+
+        const findById = app.storage.students.findById.bind(app.storage.students);
+        const editAfterRead = mock.method(app.storage.students, 'findById', async (id, options) => {
+            const found = await findById(id, options);
+            await app.storage.students.update(id, { notes: 'Edited meanwhile' });
+            return found;
+        });
+        let body;
+        try {
+            ({ body } = await app.request('POST', '/api/records/bulk', {
+                token: app.adminToken,
+                body: { action: 'archive', ids: [student._id] }
+            }));
+        } finally {
+            editAfterRead.mock.restore();
+        }
+
+        assert.deepEqual(body.summary, { done: 0, skipped: 0, failed: 1 });
+        assert.ok(await app.storage.students.findById(student._id));
+    });
+
+    it('does not purge a student restored after it was read', async () => {
+        const student = await app.createStudent();
+        await app.request('PUT', `/api/records/${student._id}/ledger`, { token: app.adminToken, body: { totalFee: 100 } });
+        await app.request('POST', `/api/records/${student._id}/payments`, {
+            token: app.adminToken,
+            body: { amount: 10, method: 'Cash' }
+        });
+        await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+
+        const findById = app.storage.students.findById.bind(app.storage.students);
+        const restoreAfterRead = mock.method(app.storage.students, 'findById', async (id, options) => {
+            const found = await findById(id, options);
+            await app.storage.students.restore(id);
+            return found;
+        });
+        let body;
+        try {
+            ({ body } = await app.request('POST', '/api/records/bulk', {
+                token: app.adminToken,
+                body: { action: 'delete', ids: [student._id] }
+            }));
+        } finally {
+            restoreAfterRead.mock.restore();
+        }
+
+        assert.deepEqual(body.summary, { done: 0, skipped: 0, failed: 1 });
+        assert.ok(await app.storage.students.findById(student._id));
+        assert.equal((await app.storage.payments.listByStudent(student._id)).length, 1);
+    });
+
+    it('rejects invalid requests with 400', async () => {
+        const bodies = [
+            { action: 'explode', ids: [MISSING_ID] },
+            { action: 'setFeeStatus', value: 'Overdue', ids: [MISSING_ID] },
+            { action: 'archive' },
+            { action: 'archive', ids: [] },
+            { action: 'archive', filter: { status: 'Overdue' } },
+            { action: 'archive', filter: { colour: 'red' } }
+        ];
+        for (const body of bodies) {
+            const { status } = await app.request('POST', '/api/records/bulk', { token: app.adminToken, body });
+            assert.equal(status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('checks the permission of the action', async () => {
+        const token = await app.tokenFor('staff');
+        const { status } = await app.request('POST', '/api/records/bulk', {
+            token,
+            body: { action: 'archive', ids: [MISSING_ID] }
+        });
+        assert.equal(status, 403);
+    });
+});
+
+describe('Fee ledger and payments', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('derives the fee status from the plan and payments', async () => {
+        const student = await app.createStudent();
+        const plan = await app.request('PUT', `/api/records/${student._id}/ledger`, {
+            token: app.adminToken,
+            body: { totalFee: 1000, discount: 200 }
+        });
+        assert.equal(plan.status, 200);
+        assert.equal(plan.body.data.feeStatus, 'Pending');
+
+        const payment = await app.request('POST', `/api/records/${student._id}/payments`, {
+            token: app.adminToken,
+            body: { amount: 300, method: 'Cash', receiptNumber: 'R-1' }
+        });
+        assert.equal(payment.status, 201);
+        assert.equal(payment.body.data.feeStatus, 'Partial');
+
+        const ledger = await app.request('GET', `/api/records/${student._id}/ledger`, { token: app.adminToken });
+        assert.equal(ledger.body.data.summary.balance, 500);
+
+        const payments = await app.request('GET', `/api/records/${student._id}/payments`, { token: app.adminToken });
+        assert.deepEqual(payments.body.data.map(p => p.receiptNumber), ['R-1']);
+    });
+
+    it('rejects invalid plans and payments', async () => {
+        const student = await app.createStudent();
+        const invalidPlan = await app.request('PUT', `/api/records/${student._id}/ledger`, {
+            token: app.adminToken,
+            body: { totalFee: 100, discount: 200 }
+        });
+        assert.equal(invalidPlan.status, 400);
+
+        const noPlan = await app.request('POST', `/api/records/${student._id}/payments`, {
+            token: app.adminToken,
+            body: { amount: 50, method: 'Cash' }
+        });
+        assert.equal(noPlan.status, 400);
+
+        const invalidPayment = await app.request('POST', `/api/records/${student._id}/payments`, {
+            token: app.adminToken,
+            body: { amount: -5, method: 'Barter' }
+        });
+        assert.equal(invalidPayment.status, 400);
+    });
+
+    it('rejects a receipt number that is already used', async () => {
+        const student = await app.createStudent();
+        await app.request('PUT', `/api/records/${student._id}/ledger`, { token: app.adminToken, body: { totalFee: 100 } });
+        const pay = () => app.request('POST', `/api/records/${student._id}/payments`, {
+            token: app.adminToken,
+            body: { amount: 10, method: 'Card', receiptNumber: 'DUP-1' }
+        });
+
+        assert.equal((await pay()).status, 201);
+        assert.equal((await pay()).status, 409);
+    });
+
+    it('returns 404 and keeps no payment when the student is trashed while paying', async () => {
+        const student = await app.createStudent();
+        await app.request('PUT', `/api/records/${student._id}/ledger`, { token: app.adminToken, body: { totalFee: 100 } });
+
+        // Trash the student after the payment is stored but before the ledger is saved
+        const listByStudent = app.storage.payments.listByStudent.bind(app.storage.payments);
+        const trashFirst = mock.method(app.storage.payments, 'listByStudent', async id => {
+            await app.storage.students.archive(id);
+            return listByStudent(id);
+        });
+        try {
+            const { status } = await app.request('POST', `/api/records/${student._id}/payments`, {
+                token: app.adminToken,
+                body: { amount: 10, method: 'Cash' }
+            });
+            assert.equal(status, 404);
+        } finally {
+            trashFirst.mock.restore();
+        }
+
+        assert.deepEqual(await app.storage.payments.listByStudent(student._id), []);
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        for (const path of ['ledger', 'payments']) {
+            assert.equal((await app.request('GET', `/api/records/nope/${path}`, { token: app.adminToken })).status, 400);
+            assert.equal((await app.request('GET', `/api/records/${MISSING_ID}/${path}`, { token: app.adminToken })).status, 404);
+        }
+    });
+});
+
+describe('GET /api/records/:id/attendance', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('returns the marks and rate of a student', async () => {
+        const student = await app.createStudent();
+        const { status, body } = await app.request('GET', `/api/records/${student._id}/attendance`, { token: app.adminToken });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.marks, []);
+        assert.equal(body.data.summary.rate, null);
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        assert.equal((await app.request('GET', '/api/records/nope/attendance', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', `/api/records/${MISSING_ID}/attendance`, { token: app.adminToken })).status, 404);
+    });
+});
+
+describe('Student notifications', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('sends a template by hand and lists the history', async () => {
+        const student = await app.createStudent({ name: 'Nia Notify', feeStatus: 'Partial' });
+        const sent = await app.request('POST', `/api/records/${student._id}/notifications`, {
+            token: app.adminToken,
+            body: { template: 'feeReminder', channels: ['email'] }
+        });
+        assert.equal(sent.status, 201);
+        assert.match(sent.body.data[0].body, /^Hi Nia,/);
+        assert.match(sent.body.data[0].body, /Web Development are Partial\./);
+
+        const { body } = await app.request('GET', `/api/records/${student._id}/notifications`, { token: app.adminToken });
+        assert.equal(body.data[0].template, 'feeReminder');
+        assert.equal(body.data[0].status, 'sent');
+    });
+
+    it('rejects unknown templates and channels', async () => {
+        const student = await app.createStudent();
+        const { status, body } = await app.request('POST', `/api/records/${student._id}/notifications`, {
+            token: app.adminToken,
+            body: { template: 'birthday', channels: ['fax'] }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.errors.length, 2);
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        assert.equal((await app.request('GET', '/api/records/nope/notifications', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', `/api/records/${MISSING_ID}/notifications`, { token: app.adminToken })).status, 404);
+        const send = await app.request('POST', `/api/records/${MISSING_ID}/notifications`, {
+            token: app.adminToken,
+            body: { template: 'welcome' }
+        });
+        assert.equal(send.status, 404);
+    });
+
+    it('does not let viewers send', async () => {
+        const student = await app.createStudent();
+        const token = await app.tokenFor('viewer');
+        const { status } = await app.request('POST', `/api/records/${student._id}/notifications`, {
+            token,
+            body: { template: 'welcome' }
+        });
+        assert.equal(status, 403);
+    });
+});
@@ -0,0 +1,493 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, studentInput } = require('./helpers');
+
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('POST /api/records', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('creates a student at version 1 and sends a welcome', async () => {
+        const input = studentInput({ courseId: app.course._id, email: 'Ada@Example.com' });
+        const { status, headers, body } = await app.request('POST', '/api/records', { token: app.adminToken, body: input });
+
+        assert.equal(status, 201);
+        assert.equal(body.data.email, 'ada@example.com');
+        assert.equal(body.data.course, 'Web Development');
+        assert.equal(body.data.version, 1);
+        assert.equal(headers.get('etag'), '"1"');
+
+        // The welcome is sent after the response, so give it a moment
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(app.transport.sent.map(m => [m.channel, m.to]), [['email', 'ada@example.com'], ['sms', '555-010-0100']]);
+    });
+
+    it('requires a token', async () => {
+        const { status } = await app.request('POST', '/api/records', { body: studentInput({ courseId: app.course._id }) });
+        assert.equal(status, 401);
+    });
+
+    it('is forbidden to viewers', async () => {
+        const token = await app.tokenFor('viewer');
+        const { status } = await app.request('POST', '/api/records', { token, body: studentInput({ courseId: app.course._id }) });
+        assert.equal(status, 403);
+    });
+
+    it('rejects missing and invalid fields per field', async () => {
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: { name: 'A', email: 'not-an-email', feeStatus: 'Overdue', joinDate: 'yesterday' }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Validation failed');
+        assert.deepEqual(Object.keys(body.errors).sort(), ['courseId', 'email', 'feeStatus', 'joinDate', 'name']);
+    });
+
+    it('accepts a select custom field option containing quotes', async () => {
+        const option = 'Laptop (15" screen, O\'Reilly kit)';
+        const field = await app.request('POST', '/api/custom-fields', {
+            token: app.adminToken,
+            body: { key: 'equipment', label: 'Equipment', type: 'select', options: ['None', option] }
+        });
+        assert.equal(field.status, 201);
+
+        const schema = await app.request('GET', '/api/schema');
+        assert.deepEqual(schema.body.data.student.custom.equipment.enum, ['None', option]);
+
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, custom: { equipment: option } })
+        });
+        assert.equal(status, 201);
+        assert.equal(body.data.custom.equipment, option);
+    });
+
+    it('rejects an unknown course', async () => {
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: MISSING_ID })
+        });
+        assert.equal(status, 400);
+        assert.equal(body.errors.courseId, 'Selected course does not exist');
+    });
+
+    it('rejects a full course with 409', async () => {
+        const course = await app.createCourse({ name: 'Tiny Class', code: 'TINY-1', capacity: 1 });
+        await app.createStudent({ courseId: course._id });
+
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: course._id })
+        });
+        assert.equal(status, 409);
+        assert.match(body.message, /is full/);
+    });
+
+    it('rejects a duplicate email regardless of case', async () => {
+        await app.createStudent({ email: 'twin@example.com' });
+
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, email: 'TWIN@example.com' })
+        });
+        assert.equal(status, 409);
+        assert.equal(body.errors.email, 'A student with this email already exists');
+    });
+
+    it('points to the trash when the email belongs to a trashed student', async () => {
+        const student = await app.createStudent({ email: 'gone@example.com' });
+        await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, email: 'gone@example.com' })
+        });
+        assert.equal(status, 409);
+        assert.match(body.message, /Restore it instead/);
+    });
+
+    it('rejects malformed JSON with 400', async () => {
+        const { status } = await app.request('POST', '/api/records', { token: app.adminToken, body: '{"name":' });
+        assert.equal(status, 400);
+    });
+});
+
+describe('GET /api/records', () => {
+    let app;
+    before(async () => {
+        app = await startTestApp();
+        await app.createStudent({ name: 'Alice Archer', feeStatus: 'Paid', joinDate: '2024-01-10' });
+        await app.createStudent({ name: 'Bob (Builder)', feeStatus: 'Pending', joinDate: '2024-02-10' });
+        await app.createStudent({ name: 'Carol Chen', feeStatus: 'Partial', joinDate: '2024-03-10' });
+    });
+    after(() => app.close());
+
+    it('pages results newest first by default', async () => {
+        const { status, body } = await app.request('GET', '/api/records?limit=2', { token: app.adminToken });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map(s => s.name), ['Carol Chen', 'Bob (Builder)']);
+        assert.equal(body.pagination.total, 3);
+        assert.equal(body.pagination.hasNext, true);
+        assert.match(body.links.next, /page=2/);
+    });
+
+    it('follows cursors in both directions', async () => {
+        const first = await app.request('GET', '/api/records?limit=2&sortBy=name&sortOrder=asc', { token: app.adminToken });
+        const next = await app.request('GET', `/api/records?limit=2&sortBy=name&sortOrder=asc&cursor=${first.body.pagination.nextCursor}`, { token: app.adminToken });
+        assert.deepEqual(next.body.data.map(s => s.name), ['Carol Chen']);
+
+        const prev = await app.request('GET', `/api/records?limit=2&sortBy=name&sortOrder=asc&cursor=${next.body.pagination.prevCursor}`, { token: app.adminToken });
+        assert.deepEqual(prev.body.data.map(s => s.name), ['Alice Archer', 'Bob (Builder)']);
+    });
+
+    it('filters by status, join date and literal search text', async () => {
+        const byStatus = await app.request('GET', '/api/records?status=Paid,Partial', { token: app.adminToken });
+        assert.deepEqual(byStatus.body.data.map(s => s.name).sort(), ['Alice Archer', 'Carol Chen']);
+
+        const byDate = await app.request('GET', '/api/records?joinDateFrom=2024-02-01&joinDateTo=2024-02-10', { token: app.adminToken });
+        assert.deepEqual(byDate.body.data.map(s => s.name), ['Bob (Builder)']);
+
+        const bySearch = await app.request('GET', `/api/records?search=${encodeURIComponent('(Builder)')}`, { token: app.adminToken });
+        assert.deepEqual(bySearch.body.data.map(s => s.name), ['Bob (Builder)']);
+    });
+
+    it('projects the requested fields', async () => {
+        const { body } = await app.request('GET', '/api/records?fields=name', { token: app.adminToken });
+        assert.deepEqual(Object.keys(body.data[0]).sort(), ['_id', 'joinDate', 'name']);
+    });
+
+    it('rejects bad paging, sorting, filters, cursors and fields with 400', async () => {
+        const queries = [
+            'limit=0',
+            'limit=101',
+            'page=0',
+            'sortBy=password',
+            'sortOrder=up',
+            'status=Overdue',
+            'course=not-an-id',
+            'joinDateFrom=2024-13-01',
+            'joinDateFrom=2024-03-01&joinDateTo=2024-01-01',
+            'cursor=garbage',
+            'fields=name,passwordHash'
+        ];
+        for (const query of queries) {
+            const { status } = await app.request('GET', `/api/records?${query}`, { token: app.adminToken });
+            assert.equal(status, 400, query);
+        }
+    });
+
+    it('rejects a cursor from a different sort order', async () => {
+        const first = await app.request('GET', '/api/records?limit=1&sortBy=name', { token: app.adminToken });
+        const { status, body } = await app.request('GET', `/api/records?limit=1&cursor=${first.body.pagination.nextCursor}`, { token: app.adminToken });
+        assert.equal(status, 400);
+        assert.equal(body.message, 'Cursor does not match the requested sort order');
+    });
+
+    it('requires a token', async () => {
+        const { status } = await app.request('GET', '/api/records');
+        assert.equal(status, 401);
+    });
+});
+
+describe('GET /api/records/:id', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('returns the student with its ETag', async () => {
+        const student = await app.createStudent();
+        const { status, headers, body } = await app.request('GET', `/api/records/${student._id}`, { token: app.adminToken });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.email, student.email);
+        assert.equal(headers.get('etag'), '"1"');
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        assert.equal((await app.request('GET', '/api/records/nope', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', `/api/records/${MISSING_ID}`, { token: app.adminToken })).status, 404);
+    });
+
+    it('hides trashed students', async () => {
+        const student = await app.createStudent();
+        await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+
+        const { status } = await app.request('GET', `/api/records/${student._id}`, { token: app.adminToken });
+        assert.equal(status, 404);
+    });
+});
+
+describe('PUT /api/records/:id', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('replaces the student and bumps the version', async () => {
+        const student = await app.createStudent();
+        const { status, headers, body } = await app.request('PUT', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"1"' },
+            body: studentInput({ courseId: app.course._id, name: 'Renamed Student', email: student.email })
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.name, 'Renamed Student');
+        assert.equal(body.data.version, 2);
+        assert.equal(headers.get('etag'), '"2"');
+    });
+
+    it('returns 412 with the current record for a stale If-Match', async () => {
+        const student = await app.createStudent();
+        await app.request('PATCH', `/api/records/${student._id}`, { token: app.adminToken, body: { notes: 'changed' } });
+
+        const { status, body } = await app.request('PUT', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"1"' },
+            body: studentInput({ courseId: app.course._id, email: student.email })
+        });
+        assert.equal(status, 412);
+        assert.equal(body.data.notes, 'changed');
+    });
+
+    it('keeps If-Match valid when only the course name changes', async () => {
+        const course = await app.createCourse({ name: 'Data Science', code: 'DS-101' });
+        const student = await app.createStudent({ courseId: course._id });
+        const renamed = await app.request('PUT', `/api/courses/${course._id}`, {
+            token: app.adminToken,
+            body: { name: 'Applied Data Science', code: 'DS-101' }
+        });
+        assert.equal(renamed.status, 200);
+
+        const { status, body } = await app.request('PUT', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"1"' },
+            body: studentInput({ courseId: course._id, email: student.email })
+        });
+        assert.equal(status, 200);
+        assert.equal(body.data.course, 'Applied Data Science');
+    });
+
+    it('rejects a malformed If-Match with 400', async () => {
+        const student = await app.createStudent();
+        const { status } = await app.request('PUT', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': 'version-1' },
+            body: studentInput({ courseId: app.course._id, email: student.email })
+        });
+        assert.equal(status, 400);
+    });
+
+    it('validates the whole record', async () => {
+        const student = await app.createStudent();
+        const { status, body } = await app.request('PUT', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            body: { name: 'Only A Name' }
+        });
+        assert.equal(status, 400);
+        assert.ok(body.errors.email);
+    });
+
+    it('rejects an email that belongs to another student', async () => {
+        const first = await app.createStudent();
+        const second = await app.createStudent();
+        const { status, body } = await app.request('PUT', `/api/records/${second._id}`, {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, email: first.email })
+        });
+        assert.equal(status, 409);
+        assert.equal(body.errors.email, 'A student with this email already exists');
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        const input = studentInput({ courseId: app.course._id });
+        assert.equal((await app.request('PUT', '/api/records/nope', { token: app.adminToken, body: input })).status, 400);
+        assert.equal((await app.request('PUT', `/api/records/${MISSING_ID}`, { token: app.adminToken, body: input })).status, 404);
+    });
+
+    it('is forbidden to viewers', async () => {
+        const student = await app.createStudent();
+        const token = await app.tokenFor('viewer');
+        const { status } = await app.request('PUT', `/api/records/${student._id}`, {
+            token,
+            body: studentInput({ courseId: app.course._id, email: student.email })
+        });
+        assert.equal(status, 403);
+    });
+});
+
+describe('PATCH /api/records/:id', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('changes only the fields sent', async () => {
+        const student = await app.createStudent();
+        const { status, body } = await app.request('PATCH', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            body: { feeStatus: 'Paid' }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.feeStatus, 'Paid');
+        assert.equal(body.data.name, student.name);
+        assert.equal(body.data.version, 2);
+    });
+
+    it('rejects an empty body, unknown fields and invalid values', async () => {
+        const student = await app.createStudent();
+        const bodies = [{}, [], { password: 'x' }, { feeStatus: 'Overdue' }, { email: 'nope' }];
+        for (const body of bodies) {
+            const { status } = await app.request('PATCH', `/api/records/${student._id}`, { token: app.adminToken, body });
+            assert.equal(status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('rejects an email that belongs to another student', async () => {
+        const first = await app.createStudent();
+        const second = await app.createStudent();
+        const { status } = await app.request('PATCH', `/api/records/${second._id}`, {
+            token: app.adminToken,
+            body: { email: first.email.toUpperCase() }
+        });
+        assert.equal(status, 409);
+    });
+
+    it('refuses to change a fee status derived from the ledger', async () => {
+        const student = await app.createStudent();
+        await app.request('PUT', `/api/records/${student._id}/ledger`, { token: app.adminToken, body: { totalFee: 1000 } });
+
+        const { status } = await app.request('PATCH', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            body: { feeStatus: 'Paid' }
+        });
+        assert.equal(status, 409);
+    });
+
+    it('returns 404 for an unknown student', async () => {
+        const { status } = await app.request('PATCH', `/api/records/${MISSING_ID}`, { token: app.adminToken, body: { notes: 'x' } });
+        assert.equal(status, 404);
+    });
+});
+
+describe('DELETE /api/records/:id and the trash', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('moves the student to the trash and restores it', async () => {
+        const student = await app.createStudent({ name: 'Trash Panda' });
+
+        const deleted = await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+        assert.equal(deleted.status, 200);
+        assert.ok(deleted.body.data.deletedAt);
+
+        const trash = await app.request('GET', '/api/records/trash?search=panda', { token: app.adminToken });
+        assert.deepEqual(trash.body.data.map(s => s._id), [student._id]);
+
+        const restored = await app.request('POST', `/api/records/${student._id}/restore`, { token: app.adminToken });
+        assert.equal(restored.status, 200);
+        assert.equal((await app.request('GET', `/api/records/${student._id}`, { token: app.adminToken })).status, 200);
+    });
+
+    it('returns 400 and 404 from delete and restore', async () => {
+        assert.equal((await app.request('DELETE', '/api/records/nope', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('DELETE', `/api/records/${MISSING_ID}`, { token: app.adminToken })).status, 404);
+        assert.equal((await app.request('POST', '/api/records/nope/restore', { token: app.adminToken })).status, 400);
+
+        const active = await app.createStudent();
+        const { status, body } = await app.request('POST', `/api/records/${active._id}/restore`, { token: app.adminToken });
+        assert.equal(status, 404);
+        assert.equal(body.message, 'Student not found in trash');
+    });
+
+    it('is limited to roles that may delete', async () => {
+        const student = await app.createStudent();
+        const token = await app.tokenFor('staff');
+
+        assert.equal((await app.request('DELETE', `/api/records/${student._id}`, { token })).status, 403);
+        assert.equal((await app.request('DELETE', '/api/records/trash', { token })).status, 403);
+    });
+
+    it('purges trashed students and their data', async () => {
+        const student = await app.createStudent();
+        await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+
+        assert.equal((await app.request('DELETE', '/api/records/trash?olderThanDays=-1', { token: app.adminToken })).status, 400);
+
+        const { status, body } = await app.request('DELETE', '/api/records/trash?olderThanDays=0', { token: app.adminToken });
+        assert.equal(status, 200);
+        assert.equal(body.count, 1);
+        assert.equal(await app.storage.students.findById(student._id, { includeArchived: true }), null);
+        assert.deepEqual(await app.storage.notifications.listByStudent(student._id), []);
+    });
+
+    it('rejects bad trash paging and filters', async () => {
+        assert.equal((await app.request('GET', '/api/records/trash?limit=0', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', '/api/records/trash?status=Overdue', { token: app.adminToken })).status, 400);
+    });
+
+    it('refuses to delete a student changed since the If-Match version', async () => {
+        const student = await app.createStudent();
+        await app.request('PATCH', `/api/records/${student._id}`, { token: app.adminToken, body: { notes: 'changed' } });
+
+        const stale = await app.request('DELETE', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"1"' }
+        });
+        assert.equal(stale.status, 412);
+        assert.equal(stale.body.data.notes, 'changed');
+
+        const current = await app.request('DELETE', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"2"' }
+        });
+        assert.equal(current.status, 200);
+    });
+
+    it('refuses to delete a student changed after the If-Match check', async () => {
+        const student = await app.createStudent();
+
+        // Another edit lands between reading the student and archiving it
+        const findById = app.storage.students.findById.bind(app.storage.students);
+        const editAfterRead = mock.method(app.storage.students, 'findById', async (id, options) => {
+            const found = await findById(id, options);
+            await app.storage.students.update(id, { notes: 'changed meanwhile' });
+            editAfterRead.mock.restore();
+            return found;
+        });
+
+        const { status, body } = await app.request('DELETE', `/api/records/${student._id}`, {
+            token: app.adminToken,
+            headers: { 'If-Match': '"1"' }
+        });
+        assert.equal(status, 412);
+        assert.equal(body.data.notes, 'changed meanwhile');
+        assert.equal((await app.request('GET', `/api/records/${student._id}`, { token: app.adminToken })).status, 200);
+    });
+});
+
+describe('GET /api/records/:id/history', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('lists changes newest first, including after deletion', async () => {
+        const student = await app.createStudent();
+        await app.request('PATCH', `/api/records/${student._id}`, { token: app.adminToken, body: { feeStatus: 'Paid' } });
+        await app.request('DELETE', `/api/records/${student._id}`, { token: app.adminToken });
+
+        const { status, body } = await app.request('GET', `/api/records/${student._id}/history`, { token: app.adminToken });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.map(entry => entry.action), ['archive', 'update', 'create']);
+        assert.deepEqual(body.data[1].changes, [{ field: 'feeStatus', from: 'Pending', to: 'Paid' }]);
+    });
+
+    it('returns 400 for a malformed ID and 404 for an unknown one', async () => {
+        assert.equal((await app.request('GET', '/api/records/nope/history', { token: app.adminToken })).status, 400);
+        assert.equal((await app.request('GET', `/api/records/${MISSING_ID}/history`, { token: app.adminToken })).status, 404);
+    });
+});
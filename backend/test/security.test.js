@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, studentInput } = require('./helpers');
+
+// Security events are JSON lines on console.warn, which the harness mocks
+function securityEvents(event) {
+    return console.warn.mock.calls
+        .map(call => call.arguments[0])
+        .filter(line => typeof line === 'string' && line.startsWith('{'))
+        .map(line => JSON.parse(line))
+        .filter(entry => entry.type === 'security' && entry.event === event);
+}
+
+describe('Security headers and CORS', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('sets the security headers and hides the framework', async () => {
+        const { headers } = await app.request('GET', '/api/records', { token: app.adminToken });
+        assert.equal(headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(headers.get('x-frame-options'), 'DENY');
+        assert.match(headers.get('content-security-policy'), /default-src 'none'/);
+        assert.equal(headers.get('cache-control'), 'no-store');
+        assert.equal(headers.get('x-powered-by'), null);
+    });
+
+    it('only answers CORS requests from configured origins', async () => {
+        const allowed = await app.request('GET', '/health', { headers: { Origin: 'http://localhost:5500' } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5500');
+
+        const rejected = await app.request('GET', '/health', { headers: { Origin: 'https://evil.example' } });
+        assert.equal(rejected.headers.get('access-control-allow-origin'), null);
+        assert.equal(securityEvents('cors_rejected').at(-1).origin, 'https://evil.example');
+    });
+});
+
+describe('Input sanitisation', () => {
+    let app;
+    before(async () => { app = await startTestApp(); });
+    after(() => app.close());
+
+    it('drops operator keys from the body', async () => {
+        const { status, body } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: { ...studentInput({ courseId: app.course._id }), $where: 'sleep(1000)', 'custom.x': 1 }
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.data.$where, undefined);
+        assert.deepEqual(securityEvents('input_sanitized').at(-1).removed, ['body.$where', 'body.custom.x']);
+    });
+
+    it('rejects query parameters that are not plain text', async () => {
+        const paths = [
+            '/api/records?sortBy[$ne]=name',
+            '/api/records?search[$regex]=.*',
+            '/api/records?status[$gt]=',
+            '/api/courses?search[$ne]=x'
+        ];
+        for (const path of paths) {
+            const { status } = await app.request('GET', path, { token: app.adminToken });
+            assert.equal(status, 400, path);
+        }
+    });
+
+    it('rejects oversized JSON bodies with 413', async () => {
+        const { status } = await app.request('POST', '/api/records', {
+            token: app.adminToken,
+            body: studentInput({ courseId: app.course._id, notes: 'x'.repeat(200 * 1024) })
+        });
+        assert.equal(status, 413);
+    });
+});
+
+describe('Write rate limits', () => {
+    it('limits writes per user and leaves reads and other users alone', async () => {
+        // Starting the app already spends one admin write on the test course
+        const app = await startTestApp({ rateLimits: { userMax: 4 } });
+        try {
+            const staffToken = await app.tokenFor('staff');
+            await app.createStudent();
+            await app.createStudent();
+
+            const limited = await app.request('POST', '/api/records', {
+                token: app.adminToken,
+                body: studentInput({ courseId: app.course._id })
+            });
+            assert.equal(limited.status, 429);
+            assert.ok(Number(limited.headers.get('retry-after')) > 0);
+            assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+            assert.equal(securityEvents('rate_limited').at(-1).limiter, 'user');
+
+            assert.equal((await app.request('GET', '/api/records', { token: app.adminToken })).status, 200);
+            const staffWrite = await app.request('POST', '/api/records', {
+                token: staffToken,
+                body: studentInput({ courseId: app.course._id })
+            });
+            assert.equal(staffWrite.status, 201);
+        } finally {
+            await app.close();
+        }
+    });
+
+    it('limits writes per IP, signed in or not', async () => {
+        // The admin login and the test course are the first two
+        const app = await startTestApp({ rateLimits: { ipMax: 3 } });
+        try {
+            const login = body => app.request('POST', '/api/auth/login', { body });
+            assert.equal((await login({ username: 'admin', password: 'wrong' })).status, 401);
+            assert.equal((await login({ username: 'admin', password: 'wrong' })).status, 429);
+            assert.equal(securityEvents('rate_limited').at(-1).limiter, 'ip');
+        } finally {
+            await app.close();
+        }
+    });
+});
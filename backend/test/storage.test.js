@@ -0,0 +1,47 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MemoryStorage } = require('../storage/memory');
+
+describe('File storage', () => {
+    let dir;
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'student-storage-'));
+    });
+    after(async () => {
+        mock.restoreAll();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('brings back Dates as Dates and text that looks like a date as text', async () => {
+        const file = path.join(dir, 'data.json');
+        const timestamp = '2024-09-01T10:00:00.000Z';
+
+        const writer = new MemoryStorage({ file });
+        await writer.connect();
+        await writer.customFields.create({ key: 'locker', label: 'Locker', type: 'text' });
+        await writer.customFields.create({ key: 'visaExpiry', label: 'Visa expiry', type: 'date' });
+        const { _id } = await writer.students.create({
+            name: 'Ada',
+            notes: timestamp,
+            joinDate: new Date(timestamp),
+            custom: { locker: timestamp, visaExpiry: new Date(timestamp) },
+            fees: { installments: [{ dueDate: new Date(timestamp), amount: 100 }] }
+        });
+        await writer.close();
+
+        const reader = new MemoryStorage({ file });
+        await reader.connect();
+        const student = await reader.students.findById(_id);
+        await reader.close();
+
+        assert.deepEqual(student.joinDate, new Date(timestamp));
+        assert.deepEqual(student.fees.installments[0].dueDate, new Date(timestamp));
+        assert.deepEqual(student.custom.visaExpiry, new Date(timestamp));
+        assert.equal(student.notes, timestamp);
+        assert.equal(student.custom.locker, timestamp);
+    });
+});
@@ -0,0 +1,32 @@
+const path = require('path');
+const { OutboxTransport } = require('./outbox');
+const { WebhookTransport } = require('./webhook');
+
+const TRANSPORTS = ['outbox', 'console', 'webhook'];
+
+// Every notification transport exposes the same surface:
+//   name
+//   send({ channel, to, subject, body, meta }) -> { messageId }
+//     resolves once the message is accepted and throws when it is not
+function createTransport(env = process.env) {
+    const name = (env.NOTIFY_TRANSPORT || 'outbox').toLowerCase();
+
+    switch (name) {
+        case 'outbox':
+            return new OutboxTransport({
+                file: path.resolve(env.OUTBOX_FILE || path.join(__dirname, '..', 'data', 'outbox.jsonl'))
+            });
+        case 'console':
+            return new OutboxTransport();
+        case 'webhook':
+            // [EXTERNAL — CONFIGURE VALUE] Endpoint that relays messages to the mail and SMS providers
+            if (!env.NOTIFY_WEBHOOK_URL) {
+                throw new Error('NOTIFY_WEBHOOK_URL is required when NOTIFY_TRANSPORT=webhook');
+            }
+            return new WebhookTransport({ url: env.NOTIFY_WEBHOOK_URL, token: env.NOTIFY_WEBHOOK_TOKEN || null });
+        default:
+            throw new Error(`Unknown NOTIFY_TRANSPORT "${name}". Expected one of: ${TRANSPORTS.join(', ')}`);
+    }
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../lib/logger');
+
+// ===== OUTBOX TRANSPORT =====
+// Development transport: nothing leaves the machine. Every message is logged
+// to the console and, when a file is given, appended to it as one JSON line.
+class OutboxTransport {
+    constructor({ file = null } = {}) {
+        this.name = file ? 'outbox' : 'console';
+        this.file = file;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async send(message) {
+        const entry = { messageId: crypto.randomUUID(), queuedAt: new Date(), ...message };
+        logger.info('Message written to outbox', { channel: message.channel, to: message.to, subject: message.subject || message.body.split('\n')[0] });
+
+        if (this.file) {
+            // Appends are serialised so concurrent sends never interleave lines
+            this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+            });
+            await this.writeQueue;
+        }
+
+        return { messageId: entry.messageId };
+    }
+}
+
+module.exports = { OutboxTransport };
@@ -0,0 +1,35 @@
+// ===== WEBHOOK TRANSPORT =====
+// Posts each message as JSON to an HTTP endpoint, typically a small relay in
+// front of the mail and SMS providers. Any non-2xx response is a failure.
+const TIMEOUT_MS = 10000;
+
+class WebhookTransport {
+    constructor({ url, token = null }) {
+        this.name = 'webhook';
+        this.url = url;
+        this.token = token;
+    }
+
+    async send(message) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with HTTP ${response.status}`);
+        }
+
+        // The relay may answer with the provider's message id
+        const result = await response.json().catch(() => ({}));
+        return { messageId: result.messageId || result.id || null };
+    }
+}
+
+module.exports = { WebhookTransport };
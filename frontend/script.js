@@ -5,26 +5,108 @@ const API_BASE_URL = 'http://localhost:3000/api'; // Development
 // const API_BASE_URL = '[¥¥¥¥¥¥¥¥Your Railway API URL¥¥¥¥¥¥¥¥]/api'; // Production
 
 // ===== GLOBAL STATE =====
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
 let currentStudents = [];
 let deleteId = null;
+let currentPage = 1;
+let pageSize = 25;
+let totalPages = 1;
+let searchDebounceTimer = null;
+let sortBy = 'joinDate';
+let sortOrder = 'desc';
+let courseFilter = new Set();
+let visibleColumns = null;
+let savedViews = [];
+let importCsvText = '';
+let importMapping = {};
+let panelStudentId = null;
+let courses = [];
+let studentSchema = null;
+let registerSessions = [];
+let customFields = [];
+let liveController = null;
+let liveRetryTimer = null;
+let liveRefreshTimer = null;
+let livePending = { records: false, schema: false, highlight: [] };
+let liveEditEvent = null;
+let editingStudent = null;
+let selectedIds = new Set();
+let selectAllMatching = false;
+let totalRecords = 0;
+let pendingConflict = null;
+let profileStudentId = null;
+let profileStudent = null;
+let outboxEntries = [];
+let outboxSyncing = false;
+let offlineSavedAt = null;
+
+// Identifies this tab to the server so it can skip live events for its own changes
+const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const LIVE_RETRY_MS = 5000;
+const DEFAULT_SORT_BY = 'joinDate';
+const DEFAULT_SORT_ORDER = 'desc';
+const DEFAULT_PAGE_SIZE = 25;
+const FILTER_PARAMS = ['search', 'status', 'course', 'joinDateFrom', 'joinDateTo'];
+const JOINED_PRESETS = ['thisMonth', 'last30Days', 'thisYear'];
+
+// Columns that can be hidden; name, selection and actions always show
+const OPTIONAL_COLUMNS = [
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'course', label: 'Course' },
+    { key: 'feeStatus', label: 'Fee Status' },
+    { key: 'attendance', label: 'Attendance' },
+    { key: 'joinDate', label: 'Join Date' },
+    { key: 'notes', label: 'Notes' }
+];
 
 // ===== DOM ELEMENTS =====
+const loginScreen = document.getElementById('loginScreen');
+const loginForm = document.getElementById('loginForm');
+const loginError = document.getElementById('loginError');
+const appContainer = document.getElementById('appContainer');
+const logoutBtn = document.getElementById('logoutBtn');
 const form = document.getElementById('studentForm');
 const tableBody = document.getElementById('tableBody');
 const searchInput = document.getElementById('searchInput');
-const filterStatus = document.getElementById('filterStatus');
+const advancedFilters = document.getElementById('advancedFilters');
 const submitBtn = document.getElementById('submitBtn');
 const formTitle = document.getElementById('form-title');
 const cancelEditBtn = document.getElementById('cancelEditBtn');
 const deleteModal = document.getElementById('deleteModal');
+const importModal = document.getElementById('importModal');
+const coursesModal = document.getElementById('coursesModal');
+const fieldsModal = document.getElementById('fieldsModal');
+const conflictModal = document.getElementById('conflictModal');
+const outboxModal = document.getElementById('outboxModal');
 const deleteStudentName = document.getElementById('deleteStudentName');
 const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
+const recordsSection = document.getElementById('recordsSection');
+const trashSection = document.getElementById('trashSection');
+const registerSection = document.getElementById('registerSection');
+const profileSection = document.getElementById('profileSection');
+const registerTableBody = document.getElementById('registerTableBody');
+const trashTableBody = document.getElementById('trashTableBody');
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+const messageList = document.getElementById('messageList');
+const paginationInfo = document.getElementById('paginationInfo');
+const paginationPages = document.getElementById('paginationPages');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const pageSizeSelect = document.getElementById('pageSize');
+const columnMenu = document.getElementById('columnMenu');
+const savedViewSelect = document.getElementById('savedViewSelect');
+const saveViewForm = document.getElementById('saveViewForm');
 
 // ===== INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', () => {
-    loadStudents();
     setupEventListeners();
     setDefaultJoinDate();
+    updateSortHeaders();
+    registerServiceWorker();
+    restoreSession();
 });
 
 function setDefaultJoinDate() {
@@ -33,17 +115,319 @@ function setDefaultJoinDate() {
 }
 
 function setupEventListeners() {
+    loginForm.addEventListener('submit', handleLogin);
+    logoutBtn.addEventListener('click', logout);
     form.addEventListener('submit', handleFormSubmit);
     searchInput.addEventListener('input', filterStudents);
-    filterStatus.addEventListener('change', filterStudents);
+    advancedFilters.addEventListener('change', handleFilterChange);
+    document.getElementById('toggleFiltersBtn').addEventListener('click', toggleAdvancedFilters);
+    document.getElementById('clearFiltersBtn').addEventListener('click', clearFilters);
+    document.querySelectorAll('th[data-sort] .sort-btn').forEach(button => {
+        button.addEventListener('click', () => sortRecords(button.parentElement.dataset.sort));
+    });
+    document.getElementById('columnsBtn').addEventListener('click', () => toggleColumnMenu());
+    columnMenu.addEventListener('change', handleColumnToggle);
+    savedViewSelect.addEventListener('change', applySavedView);
+    document.getElementById('saveViewBtn').addEventListener('click', openSaveViewForm);
+    document.getElementById('cancelSaveViewBtn').addEventListener('click', closeSaveViewForm);
+    document.getElementById('deleteViewBtn').addEventListener('click', deleteSavedView);
+    document.getElementById('copyViewLinkBtn').addEventListener('click', copyViewLink);
+    saveViewForm.addEventListener('submit', handleSaveView);
     confirmDeleteBtn.addEventListener('click', handleDelete);
+    document.getElementById('showTrashBtn').addEventListener('click', showTrashView);
+    document.getElementById('showImportBtn').addEventListener('click', openImportModal);
+    document.getElementById('sendRemindersBtn').addEventListener('click', sendFeeReminders);
+    document.getElementById('showCoursesBtn').addEventListener('click', openCoursesModal);
+    document.getElementById('course').addEventListener('input', resolveCourseInput);
+    document.getElementById('courseForm').addEventListener('submit', handleCourseSubmit);
+    document.getElementById('cancelCourseEditBtn').addEventListener('click', resetCourseForm);
+    document.getElementById('showFieldsBtn').addEventListener('click', openFieldsModal);
+    document.getElementById('fieldForm').addEventListener('submit', handleFieldSubmit);
+    document.getElementById('cancelFieldEditBtn').addEventListener('click', resetFieldForm);
+    document.getElementById('fieldType').addEventListener('change', updateFieldTypeOptions);
+    document.getElementById('editNoticeReloadBtn').addEventListener('click', loadEditedRecord);
+    document.getElementById('overwriteBtn').addEventListener('click', overwriteWithMine);
+    document.getElementById('useTheirsBtn').addEventListener('click', useTheirVersion);
+    document.getElementById('selectPageCheckbox').addEventListener('change', event => selectPage(event.target.checked));
+    document.getElementById('selectAllMatchingBtn').addEventListener('click', selectAllMatchingRecords);
+    document.getElementById('clearSelectionBtn').addEventListener('click', clearSelection);
+    document.getElementById('bulkFeeStatusBtn').addEventListener('click', bulkSetFeeStatus);
+    document.getElementById('bulkCourseBtn').addEventListener('click', bulkChangeCourse);
+    document.getElementById('bulkArchiveBtn').addEventListener('click', bulkArchive);
+    document.getElementById('exportBtn').addEventListener('click', exportRecords);
+    document.getElementById('importFile').addEventListener('change', handleImportFile);
+    document.getElementById('revalidateImportBtn').addEventListener('click', () => runImport(true));
+    document.getElementById('confirmImportBtn').addEventListener('click', () => runImport(false));
+    document.getElementById('showRecordsBtn').addEventListener('click', showRecordsView);
+    document.getElementById('purgeTrashBtn').addEventListener('click', purgeTrash);
+    document.getElementById('showRegisterBtn').addEventListener('click', showRegisterView);
+    document.getElementById('registerBackBtn').addEventListener('click', showRecordsView);
+    document.getElementById('registerCourse').addEventListener('change', () => loadSessions());
+    document.getElementById('registerSession').addEventListener('change', loadRegister);
+    document.getElementById('sessionForm').addEventListener('submit', createSession);
+    document.getElementById('deleteSessionBtn').addEventListener('click', deleteSession);
+    document.getElementById('markAllPresentBtn').addEventListener('click', markAllPresent);
+    document.getElementById('saveRegisterBtn').addEventListener('click', saveRegister);
+    document.getElementById('feePlanForm').addEventListener('submit', saveFeePlan);
+    document.getElementById('paymentForm').addEventListener('submit', recordPayment);
+    document.getElementById('profileBackBtn').addEventListener('click', leaveStudentProfile);
+    document.getElementById('profilePrevBtn').addEventListener('click', () => showAdjacentStudent(-1));
+    document.getElementById('profileNextBtn').addEventListener('click', () => showAdjacentStudent(1));
+    document.getElementById('profileEditBtn').addEventListener('click', () => editStudent(profileStudentId));
+    document.getElementById('profileDeleteBtn').addEventListener('click', () => showDeleteModal(profileStudentId, profileStudent?.name || ''));
+    document.getElementById('profileFeeStatus').addEventListener('change', changeProfileFeeStatus);
+    document.getElementById('syncOutboxBtn').addEventListener('click', syncOutbox);
+    document.getElementById('reviewOutboxBtn').addEventListener('click', openOutboxModal);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', updateOfflineNotice);
+    document.getElementById('profilePanelBtn').addEventListener('click', () => {
+        if (!profileStudent) return;
+        renderStudentDetails(profileStudent);
+        openHistoryPanel(profileStudent._id, profileStudent.name);
+    });
+    prevPageBtn.addEventListener('click', () => goToPage(currentPage - 1));
+    nextPageBtn.addEventListener('click', () => goToPage(currentPage + 1));
+    document.addEventListener('keydown', (event) => {
+        // Before the panel closes, so Escape closes the panel rather than the profile
+        handleProfileKeydown(event);
+        if (event.key === 'Escape' && historyPanel.classList.contains('show')) {
+            closeHistoryPanel();
+        }
+        if (event.key === 'Escape' && !columnMenu.hidden) {
+            toggleColumnMenu(false);
+        }
+    });
+    window.addEventListener('popstate', handlePopState);
+    document.addEventListener('click', (event) => {
+        if (!columnMenu.hidden && !event.target.closest('.column-picker')) {
+            toggleColumnMenu(false);
+        }
+    });
+    pageSizeSelect.addEventListener('change', () => {
+        pageSize = parseInt(pageSizeSelect.value, 10);
+        currentPage = 1;
+        loadStudents({ notify: false });
+    });
+}
+
+// ===== AUTHENTICATION =====
+// Wraps fetch with the bearer token; a 401 ends the session and shows the login screen.
+// Reads the dashboard needs offline are saved on this device and answered from
+// there when the API cannot be reached (see OFFLINE SUPPORT).
+async function apiFetch(url, options = {}) {
+    const headers = { 'X-Client-Id': CLIENT_ID, ...options.headers };
+    if (authToken) {
+        headers.Authorization = `Bearer ${authToken}`;
+    }
+    
+    const cacheKey = offlineCacheKey(url, options);
+    let response;
+    try {
+        response = await fetch(url, { ...options, headers });
+    } catch (error) {
+        const saved = cacheKey && await readOfflineResponse(cacheKey);
+        if (saved) return saved;
+        throw error;
+    }
+    
+    if (response.status === 401 && currentUser) {
+        endSession();
+        showToast('Your session has expired. Please sign in again.', 'warning');
+    }
+    
+    // 503: the API is up but cannot reach its database
+    if (response.status === 503 && cacheKey) {
+        const saved = await readOfflineResponse(cacheKey);
+        if (saved) return saved;
+    }
+    
+    if (response.ok && cacheKey) {
+        saveOfflineResponse(cacheKey, response.clone());
+    }
+    
+    return response;
+}
+
+async function restoreSession() {
+    if (!authToken) {
+        showLoginScreen();
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/auth/me`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        startSession(authToken, data.data);
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        endSession();
+    }
+}
+
+async function handleLogin(event) {
+    event.preventDefault();
+    loginError.textContent = '';
+    
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    
+    if (!username || !password) {
+        loginError.textContent = 'Please enter your username and password';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        loginForm.reset();
+        startSession(result.data.token, result.data.user);
+    } catch (error) {
+        console.error('Error logging in:', error);
+        loginError.textContent = error.message;
+    }
+}
+
+function startSession(token, user) {
+    authToken = token;
+    currentUser = user;
+    localStorage.setItem('authToken', token);
+    
+    document.getElementById('currentUserName').textContent = user.name || user.username;
+    document.getElementById('currentUserRole').textContent = user.role;
+    applyPermissions();
+    
+    loginScreen.hidden = true;
+    appContainer.hidden = false;
+    // A shared link or bookmark reopens the same view
+    const params = new URLSearchParams(location.search);
+    applyViewState(params);
+    // Queued offline changes are shown in the table, so read them first
+    loadOutbox().then(() => {
+        loadStudents();
+        syncOutbox();
+    });
+    if (params.get('student')) {
+        openStudentProfile(params.get('student'), { push: false });
+    }
+    loadStats();
+    loadCourses();
+    loadSchema();
+    loadSavedViews();
+    connectLiveUpdates();
+}
+
+function endSession() {
+    disconnectLiveUpdates();
+    authToken = null;
+    currentUser = null;
+    currentStudents = [];
+    selectedIds = new Set();
+    selectAllMatching = false;
+    savedViews = [];
+    profileStudentId = null;
+    profileStudent = null;
+    // Queued changes stay on the device for the next sign-in; saved records do not
+    outboxEntries = [];
+    offlineSavedAt = null;
+    clearOfflineResponses();
+    updateOfflineNotice();
+    localStorage.removeItem('authToken');
+    resetForm();
+    showRecordsView();
+    showLoginScreen();
+}
+
+function logout() {
+    if (outboxEntries.length > 0
+        && !confirm(`${outboxEntries.length} change(s) made offline have not been synced. Sign out and discard them?`)) {
+        return;
+    }
+    discardOutbox();
+    endSession();
+    showToast('You have been signed out', 'info');
+}
+
+function showLoginScreen() {
+    appContainer.hidden = true;
+    loginScreen.hidden = false;
+    document.getElementById('loginUsername').focus();
+}
+
+function hasPermission(permission) {
+    return !!currentUser && currentUser.permissions.includes(permission);
+}
+
+// Hides controls the current role cannot use; the API enforces the same rules
+function applyPermissions() {
+    const canWrite = hasPermission('records:create') || hasPermission('records:update');
+    document.querySelector('.form-section').hidden = !canWrite;
+    document.getElementById('showTrashBtn').hidden = !hasPermission('records:delete');
+    document.getElementById('showImportBtn').hidden = !hasPermission('records:create');
+    document.getElementById('showCoursesBtn').hidden = !hasPermission('courses:manage');
+    document.getElementById('showFieldsBtn').hidden = !hasPermission('fields:manage');
+    document.getElementById('sendRemindersBtn').hidden = !hasPermission('notifications:manage');
+    document.getElementById('messageActions').hidden = !hasPermission('notifications:send');
+    document.getElementById('sessionForm').hidden = !hasPermission('attendance:mark');
+    document.getElementById('selectHeader').hidden = !canSelectRows();
+    document.getElementById('bulkFeeStatusAction').hidden = !hasPermission('records:update');
+    document.getElementById('bulkCourseAction').hidden = !hasPermission('records:update');
+    document.getElementById('bulkArchiveBtn').hidden = !hasPermission('records:delete');
 }
 
 // ===== API FUNCTIONS =====
-async function loadStudents() {
+// Search and filter parameters shared by the table and exports
+// The API filter for the current view, with a relative join date preset turned into dates
+function buildFilterParams() {
+    const state = buildViewState();
+    const params = new URLSearchParams();
+    FILTER_PARAMS.filter(key => state.has(key)).forEach(key => params.set(key, state.get(key)));
+    
+    const range = joinedPresetRange(state.get('joined'));
+    if (range) {
+        params.set('joinDateFrom', range.from);
+        params.set('joinDateTo', range.to);
+    }
+    
+    return params;
+}
+
+function buildSortParams(params) {
+    params.set('sortBy', sortBy);
+    params.set('sortOrder', sortOrder);
+    return params;
+}
+
+function buildRecordsQuery() {
+    const params = buildSortParams(buildFilterParams());
+    params.set('page', currentPage);
+    params.set('limit', pageSize);
+    return params.toString();
+}
+
+// `loading: false` keeps the current rows on screen while refreshing (live updates)
+async function loadStudents({ notify = true, loading = true } = {}) {
+    syncUrl();
     try {
-        showLoading();
-        const response = await fetch(`${API_BASE_URL}/records`);
+        if (loading) {
+            showLoading();
+        }
+        const response = await apiFetch(`${API_BASE_URL}/records?${buildRecordsQuery()}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -52,18 +436,35 @@ async function loadStudents() {
         const data = await response.json();
         
         if (data.success) {
-            currentStudents = data.data || [];
+            currentStudents = applyOutbox(data.data || []);
+            offlineSavedAt = response.headers.get('X-Offline-Saved-At');
+            
+            // Step back if the current page was emptied by a delete
+            if (currentStudents.length === 0 && currentPage > 1 && data.pagination?.total > 0) {
+                currentPage = Math.max(1, data.pagination.totalPages);
+                return loadStudents({ notify, loading });
+            }
+            
             renderTable(currentStudents);
-            showToast('Records loaded successfully', 'success');
+            renderPagination(data.pagination);
+            updateProfileNav();
+            updateOfflineNotice();
+            if (notify && offlineSavedAt) {
+                showToast('The server cannot be reached. Showing the records saved on this device.', 'warning');
+            } else if (notify) {
+                showToast('Records loaded successfully', 'success');
+            }
         } else {
             throw new Error(data.message || 'Failed to load records');
         }
     } catch (error) {
         console.error('Error loading students:', error);
-        showToast('Failed to load records. Please try again.', 'error');
+        showToast(isNetworkError(error)
+            ? 'The server cannot be reached and these records are not saved on this device.'
+            : 'Failed to load records. Please try again.', 'error');
         tableBody.innerHTML = `
             <tr>
-                <td colspan="8" class="no-results">
+                <td colspan="${tableColumnCount()}" class="no-results">
                     <i class="fas fa-exclamation-circle" style="color: var(--danger);"></i>
                     Error loading records. Please refresh the page.
                 </td>
@@ -75,22 +476,17 @@ async function loadStudents() {
 async function handleFormSubmit(event) {
     event.preventDefault();
     
-    if (!validateForm()) {
+    const studentData = readStudentForm();
+    
+    if (!validateForm(studentData)) {
         showToast('Please fix validation errors', 'error');
         return;
     }
     
-    const formData = new FormData(form);
-    const studentData = {
-        name: formData.get('name').trim(),
-        email: formData.get('email').trim(),
-        phone: formData.get('phone')?.trim() || '',
-        course: formData.get('course').trim(),
-        feeStatus: formData.get('feeStatus'),
-        joinDate: formData.get('joinDate'),
-        notes: formData.get('notes')?.trim() || ''
-    };
-    
+    await saveStudent(studentData);
+}
+
+async function saveStudent(studentData) {
     const studentId = document.getElementById('studentId').value;
     const isEditing = !!studentId;
     
@@ -100,17 +496,48 @@ async function handleFormSubmit(event) {
             : `${API_BASE_URL}/records`;
             
         const method = isEditing ? 'PUT' : 'POST';
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        // Only save over the version that was loaded into the form
+        if (isEditing && editingStudent) {
+            headers['If-Match'] = `"${editingStudent.version || 0}"`;
+        }
         
-        const response = await fetch(url, {
+        const response = await apiWrite(url, {
             method: method,
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers,
             body: JSON.stringify(studentData)
         });
         
+        // Offline: keep the change on this device and send it later
+        if (!response) {
+            await queueOfflineWrite({
+                method,
+                path: isEditing ? `/records/${studentId}` : '/records',
+                body: studentData,
+                ifMatch: headers['If-Match'],
+                recordId: studentId || null,
+                base: isEditing ? editingStudent : null,
+                label: studentData.name
+            });
+            showToast('The server cannot be reached. The student is saved on this device and will be sent when the connection is back.', 'warning', 5000);
+            resetForm();
+            return;
+        }
+        
+        if (response.status === 412) {
+            const conflict = await response.json();
+            resolveEditConflict(studentData, conflict.data);
+            return;
+        }
+        
         if (!response.ok) {
             const errorData = await response.json();
+            // Field-keyed errors from the server land on the matching inputs
+            if (errorData.errors) {
+                showFieldErrors(errorData.errors);
+            }
             throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
         }
         
@@ -122,7 +549,12 @@ async function handleFormSubmit(event) {
                 'success'
             );
             resetForm();
+            loadStats();
+            loadCourses();
             await loadStudents();
+            if (isEditing && studentId === profileStudentId) {
+                refreshStudentProfile();
+            }
         } else {
             throw new Error(result.message || 'Operation failed');
         }
@@ -134,7 +566,7 @@ async function handleFormSubmit(event) {
 
 async function fetchStudentById(id) {
     try {
-        const response = await fetch(`${API_BASE_URL}/records/${id}`);
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}`);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -148,6 +580,12 @@ async function fetchStudentById(id) {
             throw new Error(data.message || 'Failed to fetch student');
         }
     } catch (error) {
+        // Offline without a saved copy of this student: edit the row the table shows
+        const row = isNetworkError(error) && currentStudents.find(s => s._id === id);
+        if (row) {
+            populateFormForEdit(row);
+            return;
+        }
         console.error('Error fetching student:', error);
         showToast('Failed to load student details', 'error');
     }
@@ -173,11 +611,29 @@ function closeDeleteModal() {
 async function handleDelete() {
     if (!deleteId) return;
     
+    const id = deleteId;
+    
     try {
-        const response = await fetch(`${API_BASE_URL}/records/${deleteId}`, {
+        const response = await apiWrite(`${API_BASE_URL}/records/${id}`, {
             method: 'DELETE'
         });
         
+        if (!response) {
+            const student = currentStudents.find(s => s._id === id) || (id === profileStudentId ? profileStudent : null);
+            await queueOfflineWrite({
+                method: 'DELETE',
+                path: `/records/${id}`,
+                // Only delete the version the user saw; a later change is a conflict
+                ifMatch: student ? `"${student.version || 0}"` : undefined,
+                recordId: id,
+                base: student,
+                label: student ? student.name : deleteStudentName.textContent
+            });
+            showToast('The server cannot be reached. The student will be moved to the trash when the connection is back.', 'warning', 5000);
+            closeDeleteModal();
+            return;
+        }
+        
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -185,9 +641,17 @@ async function handleDelete() {
         const result = await response.json();
         
         if (result.success) {
-            showToast('Student deleted successfully', 'success');
+            showToast('Student moved to trash', 'success', 6000, {
+                label: 'Undo',
+                onClick: () => restoreStudent(id)
+            });
             closeDeleteModal();
-            await loadStudents();
+            if (id === profileStudentId) {
+                closeStudentProfile();
+            }
+            loadStats();
+            loadCourses();
+            await loadStudents({ notify: false });
         } else {
             throw new Error(result.message || 'Delete failed');
         }
@@ -198,232 +662,3576 @@ async function handleDelete() {
     }
 }
 
-function viewStudent(id) {
-    const student = currentStudents.find(s => s._id === id);
-    if (!student) return;
-    
-    const message = `
-        Name: ${student.name}
-        Email: ${student.email}
-        Phone: ${student.phone || 'N/A'}
-        Course: ${student.course}
-        Fee Status: ${student.feeStatus}
-        Join Date: ${new Date(student.joinDate).toLocaleDateString()}
-        Notes: ${student.notes || 'No notes'}
-    `;
-    
-    showToast(message, 'info', 5000);
-}
-
-// ===== FORM FUNCTIONS =====
-function populateFormForEdit(student) {
-    document.getElementById('studentId').value = student._id;
-    document.getElementById('name').value = student.name;
-    document.getElementById('email').value = student.email;
-    document.getElementById('phone').value = student.phone || '';
-    document.getElementById('course').value = student.course;
-    document.getElementById('feeStatus').value = student.feeStatus;
-    
-    // Format date for input
-    const joinDate = new Date(student.joinDate);
-    const formattedDate = joinDate.toISOString().split('T')[0];
-    document.getElementById('joinDate').value = formattedDate;
-    
-    document.getElementById('notes').value = student.notes || '';
-    
-    formTitle.textContent = 'Edit Student';
-    submitBtn.innerHTML = '<i class="fas fa-save"></i> Update Student';
-    cancelEditBtn.style.display = 'inline-flex';
-    
-    // Scroll to form
-    document.querySelector('.form-section').scrollIntoView({ behavior: 'smooth' });
+// ===== TRASH =====
+function showTrashView() {
+    recordsSection.hidden = true;
+    registerSection.hidden = true;
+    profileSection.hidden = true;
+    trashSection.hidden = false;
+    loadTrash();
 }
 
-function resetForm() {
-    form.reset();
-    document.getElementById('studentId').value = '';
-    formTitle.textContent = 'Add New Student';
-    submitBtn.innerHTML = '<i class="fas fa-save"></i> Save Student';
-    cancelEditBtn.style.display = 'none';
-    setDefaultJoinDate();
-    clearValidationErrors();
+function showRecordsView() {
+    trashSection.hidden = true;
+    registerSection.hidden = true;
+    profileSection.hidden = true;
+    recordsSection.hidden = false;
 }
 
-// ===== VALIDATION =====
-function validateForm() {
-    let isValid = true;
-    clearValidationErrors();
-    
-    const name = document.getElementById('name').value.trim();
-    const email = document.getElementById('email').value.trim();
-    const course = document.getElementById('course').value.trim();
-    const feeStatus = document.getElementById('feeStatus').value;
-    const joinDate = document.getElementById('joinDate').value;
-    
-    if (!name) {
-        showError('name', 'Name is required');
-        isValid = false;
-    } else if (name.length < 2) {
-        showError('name', 'Name must be at least 2 characters');
-        isValid = false;
-    }
-    
-    if (!email) {
-        showError('email', 'Email is required');
-        isValid = false;
-    } else if (!isValidEmail(email)) {
-        showError('email', 'Please enter a valid email address');
-        isValid = false;
-    }
-    
-    const phone = document.getElementById('phone').value.trim();
-    if (phone && !isValidPhone(phone)) {
-        showError('phone', 'Please enter a valid phone number');
-        isValid = false;
-    }
-    
-    if (!course) {
-        showError('course', 'Course/Service is required');
-        isValid = false;
-    }
-    
-    if (!feeStatus) {
-        showError('feeStatus', 'Please select fee status');
-        isValid = false;
-    }
-    
-    if (!joinDate) {
-        showError('joinDate', 'Join date is required');
-        isValid = false;
-    }
+async function loadTrash() {
+    trashTableBody.innerHTML = `
+        <tr>
+            <td colspan="6" class="loading-message">
+                <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading trash...
+            </td>
+        </tr>
+    `;
     
-    return isValid;
-}
-
-function isValidEmail(email) {
-    const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return re.test(email);
-}
-
-function isValidPhone(phone) {
-    const re = /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/;
-    return re.test(phone);
-}
-
-function showError(fieldId, message) {
-    const input = document.getElementById(fieldId);
-    const errorDiv = document.getElementById(`${fieldId}Error`);
-    if (input && errorDiv) {
-        input.classList.add('error');
-        errorDiv.textContent = message;
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/trash?limit=100`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        document.getElementById('trashRetentionNote').textContent =
+            `Items older than ${data.retentionDays} days are removed by "Purge Old Items". Showing ${data.count} of ${data.pagination.total}.`;
+        renderTrash(data.data || []);
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showToast('Failed to load trash', 'error');
     }
 }
 
-function clearValidationErrors() {
-    document.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
-    document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
-}
-
-// ===== RENDERING =====
-function renderTable(students) {
-    if (!students || students.length === 0) {
-        tableBody.innerHTML = `
+function renderTrash(students) {
+    if (students.length === 0) {
+        trashTableBody.innerHTML = `
             <tr>
-                <td colspan="8" class="no-results">
-                    <i class="fas fa-user-slash" style="color: var(--gray);"></i>
-                    No students found
+                <td colspan="6" class="no-results">
+                    <i class="fas fa-trash" style="color: var(--gray);"></i>
+                    Trash is empty
                 </td>
             </tr>
         `;
         return;
     }
     
-    const rows = students.map(student => `
+    trashTableBody.innerHTML = students.map(student => `
         <tr>
             <td><strong>${escapeHtml(student.name)}</strong></td>
             <td>${escapeHtml(student.email)}</td>
-            <td>${escapeHtml(student.phone) || '-'}</td>
             <td>${escapeHtml(student.course)}</td>
-            <td>
-                <span class="status-badge status-${getStatusClass(student.feeStatus)}">
-                    ${escapeHtml(student.feeStatus)}
-                </span>
-            </td>
-            <td>${formatDate(student.joinDate)}</td>
-            <td>${escapeHtml(student.notes) || '-'}</td>
+            <td>${formatDate(student.deletedAt)}</td>
+            <td>${escapeHtml(student.deletedBy?.username) || '-'}</td>
             <td>
                 <div class="action-buttons">
-                    <button class="btn-icon view" onclick="viewStudent('${student._id}')" title="View Details">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                    <button class="btn-icon edit" onclick="editStudent('${student._id}')" title="Edit Student">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn-icon delete" onclick="showDeleteModal('${student._id}', '${escapeHtml(student.name)}')" title="Delete Student">
-                        <i class="fas fa-trash"></i>
+                    <button class="btn-icon restore" onclick="restoreStudent('${student._id}')" title="Restore Student">
+                        <i class="fas fa-undo"></i>
                     </button>
                 </div>
             </td>
         </tr>
     `).join('');
-    
-    tableBody.innerHTML = rows;
 }
 
-function getStatusClass(status) {
-    switch (status?.toLowerCase()) {
-        case 'paid': return 'paid';
-        case 'pending': return 'pending';
-        case 'partial': return 'partial';
-        case 'scholarship': return 'scholarship';
-        default: return 'pending';
+async function restoreStudent(id) {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/restore`, {
+            method: 'POST'
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast('Student restored successfully', 'success');
+        loadStats();
+        loadCourses();
+        await loadStudents({ notify: false });
+        if (!trashSection.hidden) {
+            await loadTrash();
+        }
+    } catch (error) {
+        console.error('Error restoring student:', error);
+        showToast(`Failed to restore: ${error.message}`, 'error');
     }
 }
 
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'short', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString(undefined, options);
-}
-
-function escapeHtml(text) {
-    if (!text) return text;
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-// ===== SEARCH & FILTER =====
-function filterStudents() {
-    const searchTerm = searchInput.value.toLowerCase().trim();
-    const statusFilter = filterStatus.value;
+async function purgeTrash() {
+    if (!confirm('Permanently delete trashed records past the retention period? This cannot be undone.')) {
+        return;
+    }
     
-    const filtered = currentStudents.filter(student => {
-        const matchesSearch = searchTerm === '' || 
-            student.name.toLowerCase().includes(searchTerm) ||
-            student.email.toLowerCase().includes(searchTerm) ||
-            student.course.toLowerCase().includes(searchTerm);
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/trash`, {
+            method: 'DELETE'
+        });
         
-        const matchesStatus = statusFilter === '' || 
-            student.feeStatus === statusFilter;
+        const result = await response.json();
         
-        return matchesSearch && matchesStatus;
-    });
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(result.message, 'success');
+        await loadTrash();
+    } catch (error) {
+        console.error('Error purging trash:', error);
+        showToast(`Failed to purge trash: ${error.message}`, 'error');
+    }
+}
+
+// ===== CLASS REGISTER =====
+function showRegisterView() {
+    recordsSection.hidden = true;
+    trashSection.hidden = true;
+    profileSection.hidden = true;
+    registerSection.hidden = false;
+    
+    const select = document.getElementById('registerCourse');
+    const selected = select.value;
+    select.replaceChildren(...courses.map(course => {
+        const option = document.createElement('option');
+        option.value = course._id;
+        option.textContent = course.active ? courseLabel(course) : `${courseLabel(course)} - inactive`;
+        return option;
+    }));
+    if (courses.some(c => c._id === selected)) {
+        select.value = selected;
+    }
     
-    renderTable(filtered);
+    document.getElementById('sessionDate').value = new Date().toISOString().split('T')[0];
+    loadSessions();
+}
+
+// Formats an attendance summary as a coloured percentage, or '-' before the first mark
+function formatAttendance(attendance) {
+    if (!attendance || attendance.rate === null || attendance.rate === undefined) {
+        return '<span class="attendance-none">-</span>';
+    }
+    
+    const level = attendance.rate >= 85 ? 'good' : attendance.rate >= 70 ? 'fair' : 'poor';
+    const attended = attendance.present + attendance.late;
+    return `<span class="attendance-rate attendance-${level}" title="Attended ${attended} of ${attendance.total} sessions (${attendance.late} late)">${attendance.rate}%</span>`;
+}
+
+function describeSession(session) {
+    const date = formatDate(session.date);
+    const topic = session.topic ? ` - ${session.topic}` : '';
+    const marked = session.summary.total > 0 ? ` (${session.summary.present + session.summary.late}/${session.summary.total} attended)` : ' (not marked)';
+    return `${date}${topic}${marked}`;
+}
+
+async function loadSessions(selectId = null) {
+    const courseId = document.getElementById('registerCourse').value;
+    const select = document.getElementById('registerSession');
+    const previous = selectId || select.value;
+    registerSessions = [];
+    
+    if (!courseId) {
+        select.replaceChildren();
+        renderRegister(null, []);
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/courses/${courseId}/sessions`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        registerSessions = data.data || [];
+        select.replaceChildren(...registerSessions.map(session => {
+            const option = document.createElement('option');
+            option.value = session._id;
+            option.textContent = describeSession(session);
+            return option;
+        }));
+        if (registerSessions.some(s => s._id === previous)) {
+            select.value = previous;
+        }
+        
+        await loadRegister();
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        showToast('Failed to load sessions', 'error');
+    }
+}
+
+async function loadRegister() {
+    const sessionId = document.getElementById('registerSession').value;
+    if (!sessionId) {
+        renderRegister(null, []);
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sessions/${sessionId}/register`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        renderRegister(data.data.session, data.data.students);
+    } catch (error) {
+        console.error('Error loading register:', error);
+        showToast('Failed to load the class register', 'error');
+    }
+}
+
+function renderRegister(session, students) {
+    const canMark = hasPermission('attendance:mark');
+    const note = document.getElementById('registerNote');
+    document.getElementById('deleteSessionBtn').hidden = !session || !canMark;
+    document.getElementById('registerActions').hidden = !session || !canMark || students.length === 0;
+    
+    if (!session) {
+        note.textContent = canMark ? 'No sessions yet. Add a session date to start taking attendance.' : 'No sessions yet.';
+        registerTableBody.innerHTML = '';
+        return;
+    }
+    
+    const { present, late, absent } = session.summary;
+    note.textContent = `${students.length} student(s) enrolled · ${present} present, ${late} late, ${absent} absent`;
+    
+    if (students.length === 0) {
+        registerTableBody.innerHTML = `
+            <tr>
+                <td colspan="4" class="no-results">
+                    <i class="fas fa-user-slash" style="color: var(--gray);"></i>
+                    No students are enrolled on this course
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    registerTableBody.innerHTML = students.map(student => `
+        <tr>
+            <td><strong>${escapeHtml(student.name)}</strong></td>
+            <td>${escapeHtml(student.email)}</td>
+            <td>${formatAttendance(student.attendance)}</td>
+            <td>
+                <div class="register-marks" data-student-id="${student._id}">
+                    ${['present', 'late', 'absent'].map(status => `
+                        <label>
+                            <input type="radio" name="mark-${student._id}" value="${status}"
+                                ${student.status === status ? 'checked' : ''} ${canMark ? '' : 'disabled'}>
+                            ${status[0].toUpperCase()}${status.slice(1)}
+                        </label>
+                    `).join('')}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Fills in "present" for every student; marks already chosen are overwritten
+function markAllPresent() {
+    registerTableBody.querySelectorAll('input[type="radio"][value="present"]').forEach(input => {
+        input.checked = true;
+    });
+}
+
+async function saveRegister() {
+    const sessionId = document.getElementById('registerSession').value;
+    const marks = [...registerTableBody.querySelectorAll('.register-marks')]
+        .map(group => ({
+            studentId: group.dataset.studentId,
+            status: group.querySelector('input:checked')?.value
+        }))
+        .filter(mark => mark.status);
+    
+    if (marks.length === 0) {
+        showToast('Mark at least one student before saving', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sessions/${sessionId}/attendance`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ marks })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        await Promise.all([loadSessions(sessionId), loadStudents({ notify: false })]);
+    } catch (error) {
+        console.error('Error saving attendance:', error);
+        showToast(`Failed to save attendance: ${error.message}`, 'error', 5000);
+    }
+}
+
+async function createSession(event) {
+    event.preventDefault();
+    
+    const courseId = document.getElementById('registerCourse').value;
+    if (!courseId) {
+        showToast('Add a course to the catalogue first', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/courses/${courseId}/sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                date: document.getElementById('sessionDate').value,
+                topic: document.getElementById('sessionTopic').value.trim()
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        document.getElementById('sessionTopic').value = '';
+        await loadSessions(result.data._id);
+    } catch (error) {
+        console.error('Error creating session:', error);
+        showToast(`Failed to create session: ${escapeHtml(error.message)}`, 'error', 5000);
+    }
+}
+
+async function deleteSession() {
+    const sessionId = document.getElementById('registerSession').value;
+    const session = registerSessions.find(s => s._id === sessionId);
+    if (!session || !confirm(`Delete the session on ${formatDate(session.date)} and all of its attendance marks?`)) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sessions/${sessionId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(result.message, 'success');
+        await Promise.all([loadSessions(), loadStudents({ notify: false })]);
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        showToast(`Failed to delete session: ${error.message}`, 'error');
+    }
+}
+
+// ===== EXPORT =====
+// Downloads go through fetch so the auth header is sent, then are handed to
+// the browser as a blob. The print report opens in a new tab instead.
+async function exportRecords() {
+    const format = document.getElementById('exportFormat').value;
+    const params = buildSortParams(buildFilterParams());
+    params.set('format', format);
+    
+    // Open the tab synchronously so popup blockers allow it
+    const reportWindow = format === 'html' ? window.open('', '_blank') : null;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/export?${params}`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        
+        if (reportWindow) {
+            reportWindow.location.href = url;
+        } else {
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `students.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        }
+        
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Error exporting records:', error);
+        reportWindow?.close();
+        showToast('Failed to export records', 'error');
+    }
+}
+
+// ===== CSV IMPORT =====
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'course', 'feeStatus', 'joinDate', 'notes'];
+
+function openImportModal() {
+    importCsvText = '';
+    importMapping = {};
+    document.getElementById('importFile').value = '';
+    document.getElementById('importMappingStep').hidden = true;
+    document.getElementById('importPreviewStep').hidden = true;
+    document.getElementById('confirmImportBtn').disabled = true;
+    importModal.classList.add('show');
+}
+
+function closeImportModal() {
+    importModal.classList.remove('show');
+}
+
+function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        importCsvText = reader.result;
+        importMapping = {};
+        runImport(true);
+    };
+    reader.onerror = () => showToast('Could not read the selected file', 'error');
+    reader.readAsText(file);
+}
+
+// Sends the CSV to the import endpoint; dry runs only validate and report
+async function runImport(dryRun) {
+    if (!importCsvText) return;
+    
+    const params = new URLSearchParams({ dryRun: String(dryRun) });
+    if (Object.keys(importMapping).length > 0) {
+        params.set('mapping', JSON.stringify(importMapping));
+    }
+    
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/import?${params}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'text/csv'
+            },
+            body: importCsvText
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        if (!dryRun) {
+            showToast(result.message, result.summary.rejected > 0 ? 'warning' : 'success');
+            closeImportModal();
+            loadStats();
+            loadCourses();
+            await loadStudents({ notify: false });
+            return;
+        }
+        
+        importMapping = result.mapping;
+        renderImportMapping(result.headers);
+        renderImportPreview(result);
+    } catch (error) {
+        console.error('Error importing students:', error);
+        showToast(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+function renderImportMapping(headers) {
+    const options = headers.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+    
+    const fields = [...IMPORT_FIELDS, ...customFieldEntries().map(([key]) => `custom.${key}`)];
+    document.getElementById('importMapping').innerHTML = fields.map(field => `
+        <div class="form-group">
+            <label for="importMap-${field}">${fieldLabel(field)}</label>
+            <select id="importMap-${field}" data-field="${field}">
+                <option value="">&mdash; Not mapped &mdash;</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+    
+    document.querySelectorAll('#importMapping select').forEach(select => {
+        select.value = importMapping[select.dataset.field] || '';
+        select.addEventListener('change', () => {
+            if (select.value) {
+                importMapping[select.dataset.field] = select.value;
+            } else {
+                delete importMapping[select.dataset.field];
+            }
+        });
+    });
+    
+    document.getElementById('importMappingStep').hidden = false;
+}
+
+function renderImportPreview(result) {
+    const { summary, rows } = result;
+    
+    document.getElementById('importSummary').textContent =
+        `${summary.accepted} of ${summary.total} rows will be imported; ${summary.rejected} rejected.`;
+    
+    document.getElementById('importPreviewBody').innerHTML = rows.map(row => `
+        <tr>
+            <td>${row.row}</td>
+            <td>${escapeHtml(row.data.name) || '-'}</td>
+            <td>${escapeHtml(row.data.email) || '-'}</td>
+            <td>
+                ${row.status === 'accepted'
+                    ? '<span class="import-result-accepted"><i class="fas fa-check"></i> Accepted</span>'
+                    : `<ul class="import-errors">${row.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>`}
+            </td>
+        </tr>
+    `).join('');
+    
+    const confirmBtn = document.getElementById('confirmImportBtn');
+    confirmBtn.disabled = summary.accepted === 0;
+    confirmBtn.innerHTML = `<i class="fas fa-check"></i> Import ${summary.accepted} row${summary.accepted === 1 ? '' : 's'}`;
+    
+    document.getElementById('importPreviewStep').hidden = false;
+}
+
+// ===== STUDENT PROFILE =====
+// A page of its own for one student, linkable as ?student=<id>. Previous and
+// next follow the filtered, sorted list behind it, across pages.
+function viewStudent(id) {
+    openStudentProfile(id);
+    profileSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// `push: false` replaces the history entry instead (previous/next, back/forward, reloads)
+async function openStudentProfile(id, { push = true } = {}) {
+    profileStudentId = id;
+    recordsSection.hidden = true;
+    trashSection.hidden = true;
+    registerSection.hidden = true;
+    profileSection.hidden = false;
+    syncUrl({ push });
+    updateProfileNav();
+    
+    document.getElementById('profileName').textContent = currentStudents.find(s => s._id === id)?.name || 'Student';
+    document.getElementById('profileFields').innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading student...
+        </p>
+    `;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}`);
+        
+        if (response.status === 404 || response.status === 400) {
+            if (id === profileStudentId) {
+                showToast('That student no longer exists or is in the trash', 'warning');
+                closeStudentProfile();
+            }
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        // Ignore responses for a student the profile has since moved away from
+        if (id !== profileStudentId) return;
+        
+        renderStudentProfile(data.data);
+        loadProfilePayments(id);
+        loadProfileHistory(id);
+    } catch (error) {
+        console.error('Error loading student profile:', error);
+        document.getElementById('profileFields').innerHTML = '<p class="no-results">Failed to load student</p>';
+    }
+}
+
+function closeStudentProfile() {
+    profileStudentId = null;
+    profileStudent = null;
+    showRecordsView();
+    syncUrl();
+}
+
+// Steps back through the browser history when the profile was opened from the list,
+// so Back to Records and the browser's back button agree
+function leaveStudentProfile() {
+    if (history.state?.profile) {
+        history.back();
+    } else {
+        closeStudentProfile();
+    }
+}
+
+// Reloads the open profile after a change made elsewhere on the page
+function refreshStudentProfile() {
+    if (profileStudentId) {
+        openStudentProfile(profileStudentId, { push: false });
+    }
+}
+
+function renderStudentProfile(student) {
+    profileStudent = student;
+    const canUpdate = hasPermission('records:update');
+    
+    document.getElementById('profileName').textContent = student.name;
+    document.getElementById('profileSubtitle').innerHTML = `
+        ${escapeHtml(student.course)}
+        <span class="status-badge status-${getStatusClass(student.feeStatus)}">${escapeHtml(student.feeStatus)}</span>
+    `;
+    
+    document.getElementById('profileEditBtn').hidden = !canUpdate;
+    document.getElementById('profileDeleteBtn').hidden = !hasPermission('records:delete');
+    document.getElementById('profileFeeStatusControl').hidden = !canUpdate;
+    const feeStatus = document.getElementById('profileFeeStatus');
+    feeStatus.value = student.feeStatus;
+    // With a fee plan the status follows the payments
+    feeStatus.disabled = !!student.fees;
+    feeStatus.title = student.fees ? 'Set by the fee plan and payments' : '';
+    
+    const fields = [
+        ['Email', `<a href="mailto:${escapeHtml(student.email)}">${escapeHtml(student.email)}</a>`],
+        ['Phone', student.phone ? `<a href="tel:${escapeHtml(student.phone)}">${escapeHtml(student.phone)}</a>` : '-'],
+        ['Course', escapeHtml(student.course)],
+        ['Fee Status', escapeHtml(student.feeStatus)],
+        ['Join Date', formatDate(student.joinDate)],
+        ['Attendance', formatAttendance(student.attendance)],
+        ...customFieldEntries().map(([key, rules]) => [escapeHtml(rules.label), formatCustomValue(rules, student.custom?.[key])]),
+        ['Created', student.createdAt ? new Date(student.createdAt).toLocaleString() : '-'],
+        ['Last Updated', student.updatedAt ? new Date(student.updatedAt).toLocaleString() : '-'],
+        ['Version', student.version || 0]
+    ];
+    document.getElementById('profileFields').innerHTML = fields.map(([label, value]) => `
+        <div>
+            <dt>${label}</dt>
+            <dd>${value}</dd>
+        </div>
+    `).join('');
+    
+    document.getElementById('profileNotes').innerHTML = formatNotes(student.notes);
+    updateProfileNav();
+}
+
+// Escaped notes with their line breaks kept: blank lines start a new paragraph
+function formatNotes(notes) {
+    if (!notes || !notes.trim()) {
+        return '<p class="no-results">No notes</p>';
+    }
+    return notes.trim().split(/\n\s*\n/)
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+async function loadProfilePayments(id) {
+    const container = document.getElementById('profilePayments');
+    container.innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading fees...
+        </p>
+    `;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/ledger`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const { data } = await response.json();
+        if (id !== profileStudentId) return;
+        
+        const { summary, payments } = data;
+        container.innerHTML = `
+            ${summary ? `
+                <dl class="ledger-summary">
+                    <div><dt>Total fee</dt><dd>${formatMoney(summary.totalFee)}</dd></div>
+                    <div><dt>Discount</dt><dd>${formatMoney(summary.discount)}</dd></div>
+                    <div><dt>Paid</dt><dd>${formatMoney(summary.amountPaid)}</dd></div>
+                    <div><dt>Balance</dt><dd class="ledger-balance">${formatMoney(summary.balance)}</dd></div>
+                </dl>
+            ` : '<p class="no-results">No fee plan yet</p>'}
+            ${payments.length > 0 ? `
+                <table class="ledger-table">
+                    <thead><tr><th>Date</th><th>Amount</th><th>Method</th><th>Receipt</th></tr></thead>
+                    <tbody>
+                        ${payments.map(p => `
+                            <tr>
+                                <td>${formatDate(p.date)}</td>
+                                <td>${formatMoney(p.amount)}</td>
+                                <td>${escapeHtml(p.method)}</td>
+                                <td>${escapeHtml(p.receiptNumber)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="no-results">No payments recorded</p>'}
+        `;
+    } catch (error) {
+        console.error('Error loading profile fees:', error);
+        container.innerHTML = '<p class="no-results">Failed to load fees</p>';
+    }
+}
+
+async function loadProfileHistory(id) {
+    const container = document.getElementById('profileHistory');
+    container.innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading history...
+        </p>
+    `;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/history`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (id === profileStudentId) {
+            renderHistory(data.data || [], container);
+        }
+    } catch (error) {
+        console.error('Error loading profile history:', error);
+        container.innerHTML = '<p class="no-results">Failed to load history</p>';
+    }
+}
+
+// Position in the current list; -1 when the student is not on the loaded page
+function profileIndex() {
+    return currentStudents.findIndex(s => s._id === profileStudentId);
+}
+
+function updateProfileNav() {
+    const index = profileIndex();
+    const position = index === -1 ? 0 : (currentPage - 1) * pageSize + index + 1;
+    
+    document.getElementById('profilePosition').textContent = position ? `${position} of ${totalRecords}` : '';
+    document.getElementById('profilePrevBtn').disabled = position <= 1;
+    document.getElementById('profileNextBtn').disabled = position === 0 || position >= totalRecords;
+}
+
+// Moves to the previous (-1) or next (1) student, loading the neighbouring page when needed
+async function showAdjacentStudent(offset) {
+    const index = profileIndex();
+    if (index === -1) return;
+    
+    let target = index + offset;
+    if (target < 0 || target >= currentStudents.length) {
+        const page = currentPage + offset;
+        if (page < 1 || page > totalPages) return;
+        
+        currentPage = page;
+        await loadStudents({ notify: false });
+        target = offset > 0 ? 0 : currentStudents.length - 1;
+    }
+    
+    const student = currentStudents[target];
+    if (student) {
+        openStudentProfile(student._id, { push: false });
+    }
+}
+
+async function changeProfileFeeStatus() {
+    const student = profileStudent;
+    const select = document.getElementById('profileFeeStatus');
+    if (!student || select.value === student.feeStatus) return;
+    
+    select.disabled = true;
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${student._id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'If-Match': `"${student.version || 0}"`
+            },
+            body: JSON.stringify({ feeStatus: select.value })
+        });
+        
+        const result = await response.json();
+        
+        if (response.status === 412) {
+            showToast('Someone else changed this student; showing their version', 'warning', 5000);
+            renderStudentProfile(result.data);
+            return;
+        }
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(`Fee status set to ${result.data.feeStatus}`, 'success');
+        renderStudentProfile(result.data);
+        patchStudentRow(result.data);
+        loadProfileHistory(student._id);
+        loadStats();
+    } catch (error) {
+        console.error('Error changing fee status:', error);
+        showToast(`Failed to change fee status: ${error.message}`, 'error');
+        select.value = student.feeStatus;
+    } finally {
+        select.disabled = !!profileStudent?.fees;
+    }
+}
+
+function handleProfileKeydown(event) {
+    if (profileSection.hidden || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (event.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal.show') || historyPanel.classList.contains('show')) return;
+    
+    if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        showAdjacentStudent(-1);
+    } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        showAdjacentStudent(1);
+    } else if (event.key === 'Escape') {
+        leaveStudentProfile();
+    }
+}
+
+// Back and forward move between the list and profiles
+function handlePopState() {
+    if (!currentUser) return;
+    
+    const id = new URLSearchParams(location.search).get('student');
+    if (id) {
+        openStudentProfile(id, { push: false });
+    } else if (profileStudentId) {
+        closeStudentProfile();
+    }
+}
+
+// ===== COURSE CATALOGUE =====
+async function loadCourses() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/courses`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        courses = data.data || [];
+        renderCourseOptions();
+        renderBulkCourseOptions();
+        renderCourseFilterOptions();
+        if (coursesModal.classList.contains('show')) {
+            renderCoursesTable();
+        }
+    } catch (error) {
+        console.error('Error loading courses:', error);
+        showToast('Failed to load the course catalogue', 'error');
+    }
+}
+
+function courseLabel(course) {
+    return `${course.name} (${course.code})`;
+}
+
+function describeSeats(course) {
+    if (!course.active) return 'Not accepting enrolments';
+    if (!course.capacity) return `${course.enrolled} enrolled`;
+    return course.seatsLeft > 0
+        ? `${course.seatsLeft} of ${course.capacity} seats left`
+        : `Full (${course.capacity} seats)`;
+}
+
+// The picker is a native datalist, so typing filters the catalogue by name or code
+function renderCourseOptions() {
+    const options = document.getElementById('courseOptions');
+    options.replaceChildren(...courses.filter(c => c.active).map(course => {
+        const option = document.createElement('option');
+        option.value = courseLabel(course);
+        option.textContent = describeSeats(course);
+        return option;
+    }));
+}
+
+// Maps the picker text to a catalogue id; accepts the full label, the name or the code
+function resolveCourseInput() {
+    const value = document.getElementById('course').value.trim().toLowerCase();
+    const course = courses.find(c =>
+        courseLabel(c).toLowerCase() === value || c.name.toLowerCase() === value || c.code.toLowerCase() === value
+    );
+    
+    document.getElementById('courseId').value = course ? course._id : '';
+    updateCourseHint(course);
+}
+
+function updateCourseHint(course, student = null) {
+    const hint = document.getElementById('courseHint');
+    if (!course) {
+        hint.textContent = '';
+        return;
+    }
+    
+    // Students already on a course keep their place even if it is now full or closed
+    const alreadyEnrolled = student && student.courseId === course._id;
+    hint.textContent = alreadyEnrolled ? `Currently enrolled · ${describeSeats(course)}` : describeSeats(course);
+}
+
+function openCoursesModal() {
+    resetCourseForm();
+    renderCoursesTable();
+    coursesModal.classList.add('show');
+    loadCourses();
+}
+
+function closeCoursesModal() {
+    coursesModal.classList.remove('show');
+}
+
+function renderCoursesTable() {
+    const body = document.getElementById('coursesTableBody');
+    
+    if (courses.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="no-results">No courses yet</td></tr>';
+        return;
+    }
+    
+    body.innerHTML = courses.map(course => `
+        <tr>
+            <td>${escapeHtml(course.code)}</td>
+            <td>${escapeHtml(course.name)}</td>
+            <td>${course.durationMonths ? `${course.durationMonths} mo` : '&ndash;'}</td>
+            <td>${course.fee !== null ? formatMoney(course.fee) : '&ndash;'}</td>
+            <td>${course.enrolled}${course.capacity ? ` / ${course.capacity}` : ''}</td>
+            <td>
+                <span class="status-badge ${course.active ? 'status-paid' : 'status-scholarship'}">
+                    ${course.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-icon edit" onclick="editCourse('${course._id}')" title="Edit course" aria-label="Edit course">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button class="btn-icon delete" onclick="deleteCourse('${course._id}')" title="Delete course" aria-label="Delete course">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function editCourse(id) {
+    const course = courses.find(c => c._id === id);
+    if (!course) return;
+    
+    document.getElementById('courseFormId').value = course._id;
+    document.getElementById('courseName').value = course.name;
+    document.getElementById('courseCode').value = course.code;
+    document.getElementById('courseDuration').value = course.durationMonths ?? '';
+    document.getElementById('courseFee').value = course.fee ?? '';
+    document.getElementById('courseCapacity').value = course.capacity ?? '';
+    document.getElementById('courseActive').checked = course.active;
+    document.getElementById('courseFormTitle').textContent = `Edit ${course.name}`;
+    document.getElementById('cancelCourseEditBtn').hidden = false;
+}
+
+function resetCourseForm() {
+    document.getElementById('courseForm').reset();
+    document.getElementById('courseFormId').value = '';
+    document.getElementById('courseFormTitle').textContent = 'Add Course';
+    document.getElementById('cancelCourseEditBtn').hidden = true;
+}
+
+// Empty number inputs mean "not set"
+function readOptionalNumber(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+}
+
+async function handleCourseSubmit(event) {
+    event.preventDefault();
+    
+    const id = document.getElementById('courseFormId').value;
+    const course = {
+        name: document.getElementById('courseName').value.trim(),
+        code: document.getElementById('courseCode').value.trim(),
+        durationMonths: readOptionalNumber('courseDuration'),
+        fee: readOptionalNumber('courseFee'),
+        capacity: readOptionalNumber('courseCapacity'),
+        active: document.getElementById('courseActive').checked
+    };
+    
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/courses/${id}` : `${API_BASE_URL}/courses`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(course)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        resetCourseForm();
+        // A rename changes the course shown on every enrolled student
+        await Promise.all([loadCourses(), loadStudents({ notify: false }), loadStats()]);
+    } catch (error) {
+        console.error('Error saving course:', error);
+        showToast(`Failed to save course: ${error.message}`, 'error', 5000);
+    }
+}
+
+async function deleteCourse(id) {
+    const course = courses.find(c => c._id === id);
+    if (!course || !confirm(`Delete ${course.name}? This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/courses/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(result.message, 'success');
+        await loadCourses();
+    } catch (error) {
+        console.error('Error deleting course:', error);
+        showToast(`Failed to delete course: ${error.message}`, 'error', 5000);
+    }
+}
+
+// ===== CUSTOM FIELDS =====
+// Admin-defined fields come with the schema (studentSchema.custom, in display
+// order) and are stored on the student under `custom`.
+function customFieldEntries() {
+    return studentSchema ? Object.entries(studentSchema.custom || {}) : [];
+}
+
+function customInputId(key) {
+    return `custom-${key}`;
+}
+
+function tableCustomColumns() {
+    return customFieldEntries().filter(([, rules]) => rules.showInTable);
+}
+
+// Name and actions, the visible optional columns and the selection column
+function tableColumnCount() {
+    return 2 + columnOptions().filter(column => isColumnVisible(column.key)).length + (canSelectRows() ? 1 : 0);
+}
+
+function formatCustomValue(rules, value) {
+    if (value === undefined || value === null || value === '') return '-';
+    if (rules.control === 'checkbox') return value ? 'Yes' : 'No';
+    if (rules.control === 'date') return formatDate(value);
+    return escapeHtml(String(value));
+}
+
+function renderCustomFieldInputs() {
+    const container = document.getElementById('customFieldInputs');
+    const values = readCustomValues();
+    
+    container.innerHTML = customFieldEntries().map(([key, rules]) => {
+        const id = customInputId(key);
+        const required = rules.required ? ' <span class="required">*</span>' : '';
+        let input;
+        
+        switch (rules.control) {
+            case 'checkbox':
+                return `
+                    <div class="form-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="${id}" data-custom-key="${key}"> ${escapeHtml(rules.label)}
+                        </label>
+                        <div class="error-message" id="${id}Error"></div>
+                    </div>
+                `;
+            case 'select':
+                input = `<select id="${id}" data-custom-key="${key}" ${rules.required ? 'required' : ''}>
+                    <option value="">Select ${escapeHtml(rules.label.toLowerCase())}</option>
+                    ${rules.enum.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+                </select>`;
+                break;
+            case 'number':
+                input = `<input type="number" id="${id}" data-custom-key="${key}" step="${rules.integer ? 1 : 'any'}"
+                    ${rules.min !== undefined ? `min="${rules.min}"` : ''} ${rules.max !== undefined ? `max="${rules.max}"` : ''}
+                    ${rules.required ? 'required' : ''}>`;
+                break;
+            case 'date':
+                input = `<input type="date" id="${id}" data-custom-key="${key}" ${rules.required ? 'required' : ''}>`;
+                break;
+            default:
+                input = `<input type="text" id="${id}" data-custom-key="${key}" maxlength="${rules.maxLength}"
+                    ${rules.required ? 'required' : ''}>`;
+        }
+        
+        return `
+            <div class="form-group">
+                <label for="${id}">${escapeHtml(rules.label)}${required}</label>
+                ${input}
+                <div class="error-message" id="${id}Error"></div>
+            </div>
+        `;
+    }).join('');
+    
+    container.hidden = customFieldEntries().length === 0;
+    setCustomValues(values);
+}
+
+// Empty inputs are left out so optional fields stay unset
+function readCustomValues() {
+    const values = {};
+    document.querySelectorAll('#customFieldInputs [data-custom-key]').forEach(input => {
+        const key = input.dataset.customKey;
+        if (input.type === 'checkbox') {
+            values[key] = input.checked;
+        } else if (input.value.trim() !== '') {
+            values[key] = input.type === 'number' ? Number(input.value) : input.value.trim();
+        }
+    });
+    return values;
+}
+
+function setCustomValues(values) {
+    document.querySelectorAll('#customFieldInputs [data-custom-key]').forEach(input => {
+        const value = values[input.dataset.customKey];
+        if (input.type === 'checkbox') {
+            input.checked = value === true;
+        } else if (input.type === 'date') {
+            input.value = value ? new Date(value).toISOString().split('T')[0] : '';
+        } else {
+            input.value = value ?? '';
+        }
+    });
+}
+
+// Adds a header cell per custom field shown in the table, before Actions
+function renderTableHeader() {
+    const actionsHeader = document.getElementById('actionsHeader');
+    actionsHeader.parentElement.querySelectorAll('.custom-column').forEach(th => th.remove());
+    tableCustomColumns().forEach(([key, rules]) => {
+        const th = document.createElement('th');
+        th.className = 'custom-column';
+        th.dataset.column = `custom.${key}`;
+        th.textContent = rules.label;
+        actionsHeader.before(th);
+    });
+    actionsHeader.parentElement.querySelectorAll('th[data-column]').forEach(th => {
+        th.hidden = !isColumnVisible(th.dataset.column);
+    });
+}
+
+function renderStudentDetails(student) {
+    const entries = customFieldEntries();
+    document.getElementById('detailsSection').hidden = entries.length === 0;
+    document.getElementById('customDetails').innerHTML = entries.map(([key, rules]) => `
+        <div>
+            <dt>${escapeHtml(rules.label)}</dt>
+            <dd>${formatCustomValue(rules, student.custom?.[key])}</dd>
+        </div>
+    `).join('');
+}
+
+// ----- Field definitions (admin) -----
+async function loadCustomFields() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/custom-fields`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        customFields = data.data || [];
+        renderFieldsTable();
+    } catch (error) {
+        console.error('Error loading custom fields:', error);
+        showToast('Failed to load custom fields', 'error');
+    }
+}
+
+function openFieldsModal() {
+    resetFieldForm();
+    fieldsModal.classList.add('show');
+    loadCustomFields();
+}
+
+function closeFieldsModal() {
+    fieldsModal.classList.remove('show');
+}
+
+function describeFieldRules(field) {
+    const rules = [];
+    if (field.required) rules.push('required');
+    if (field.minLength !== null && field.minLength !== undefined) rules.push(`min ${field.minLength} chars`);
+    if (field.maxLength !== null && field.maxLength !== undefined) rules.push(`max ${field.maxLength} chars`);
+    if (field.pattern) rules.push(`pattern ${field.pattern}`);
+    if (field.integer) rules.push('whole numbers');
+    if (field.min !== null && field.min !== undefined) rules.push(`min ${field.min}`);
+    if (field.max !== null && field.max !== undefined) rules.push(`max ${field.max}`);
+    if (field.options) rules.push(field.options.join(' / '));
+    return rules.length > 0 ? escapeHtml(rules.join(', ')) : '&ndash;';
+}
+
+function renderFieldsTable() {
+    const body = document.getElementById('fieldsTableBody');
+    
+    if (customFields.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="no-results">No custom fields yet</td></tr>';
+        return;
+    }
+    
+    body.innerHTML = customFields.map(field => `
+        <tr>
+            <td>${field.order}</td>
+            <td>${escapeHtml(field.label)}</td>
+            <td><code>${escapeHtml(field.key)}</code></td>
+            <td>${escapeHtml(field.type)}</td>
+            <td>${describeFieldRules(field)}</td>
+            <td>${field.showInTable ? 'Yes' : 'No'}</td>
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-icon edit" onclick="editField('${field._id}')" title="Edit field" aria-label="Edit field">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button class="btn-icon delete" onclick="deleteField('${field._id}')" title="Delete field" aria-label="Delete field">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Shows only the rule inputs that apply to the selected type
+function updateFieldTypeOptions() {
+    const type = document.getElementById('fieldType').value;
+    document.querySelectorAll('#fieldForm [data-field-types]').forEach(el => {
+        el.hidden = !el.dataset.fieldTypes.split(' ').includes(type);
+    });
+}
+
+function editField(id) {
+    const field = customFields.find(f => f._id === id);
+    if (!field) return;
+    
+    resetFieldForm();
+    document.getElementById('fieldFormId').value = field._id;
+    document.getElementById('fieldLabel').value = field.label;
+    document.getElementById('fieldKey').value = field.key;
+    document.getElementById('fieldType').value = field.type;
+    document.getElementById('fieldOrder').value = field.order;
+    document.getElementById('fieldMinLength').value = field.minLength ?? '';
+    document.getElementById('fieldMaxLength').value = field.maxLength ?? '';
+    document.getElementById('fieldPattern').value = field.pattern ?? '';
+    document.getElementById('fieldMin').value = field.min ?? '';
+    document.getElementById('fieldMax').value = field.max ?? '';
+    document.getElementById('fieldInteger').checked = !!field.integer;
+    document.getElementById('fieldOptions').value = (field.options || []).join('\n');
+    document.getElementById('fieldRequired').checked = field.required;
+    document.getElementById('fieldShowInTable').checked = field.showInTable;
+    // Existing values were validated against the key and type, so both are fixed
+    document.getElementById('fieldKey').disabled = true;
+    document.getElementById('fieldType').disabled = true;
+    document.getElementById('fieldFormTitle').textContent = `Edit ${field.label}`;
+    document.getElementById('cancelFieldEditBtn').hidden = false;
+    updateFieldTypeOptions();
+}
+
+function resetFieldForm() {
+    document.getElementById('fieldForm').reset();
+    document.getElementById('fieldFormId').value = '';
+    document.getElementById('fieldKey').disabled = false;
+    document.getElementById('fieldType').disabled = false;
+    document.getElementById('fieldFormTitle').textContent = 'Add Field';
+    document.getElementById('cancelFieldEditBtn').hidden = true;
+    updateFieldTypeOptions();
+}
+
+async function handleFieldSubmit(event) {
+    event.preventDefault();
+    
+    const id = document.getElementById('fieldFormId').value;
+    const type = document.getElementById('fieldType').value;
+    const field = {
+        key: document.getElementById('fieldKey').value.trim(),
+        label: document.getElementById('fieldLabel').value.trim(),
+        type,
+        order: readOptionalNumber('fieldOrder') ?? 0,
+        showInTable: document.getElementById('fieldShowInTable').checked
+    };
+    
+    if (type !== 'checkbox') {
+        field.required = document.getElementById('fieldRequired').checked;
+    }
+    if (type === 'text') {
+        field.minLength = readOptionalNumber('fieldMinLength');
+        field.maxLength = readOptionalNumber('fieldMaxLength');
+        field.pattern = document.getElementById('fieldPattern').value || null;
+    }
+    if (type === 'number') {
+        field.min = readOptionalNumber('fieldMin');
+        field.max = readOptionalNumber('fieldMax');
+        field.integer = document.getElementById('fieldInteger').checked;
+    }
+    if (type === 'select') {
+        field.options = document.getElementById('fieldOptions').value
+            .split('\n')
+            .map(option => option.trim())
+            .filter(Boolean);
+    }
+    
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/custom-fields/${id}` : `${API_BASE_URL}/custom-fields`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(field)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        resetFieldForm();
+        await Promise.all([loadCustomFields(), loadSchema()]);
+    } catch (error) {
+        console.error('Error saving custom field:', error);
+        showToast(`Failed to save field: ${escapeHtml(error.message)}`, 'error', 5000);
+    }
+}
+
+async function deleteField(id) {
+    const field = customFields.find(f => f._id === id);
+    if (!field || !confirm(`Delete ${field.label}? Its value is removed from every student. This cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/custom-fields/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(result.message, 'success');
+        await Promise.all([loadCustomFields(), loadSchema()]);
+        await loadStudents({ notify: false });
+    } catch (error) {
+        console.error('Error deleting custom field:', error);
+        showToast(`Failed to delete field: ${error.message}`, 'error', 5000);
+    }
+}
+
+// ===== FEE LEDGER =====
+function formatMoney(amount) {
+    return Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+async function loadLedger(id) {
+    const ledgerSummary = document.getElementById('ledgerSummary');
+    ledgerSummary.innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading ledger...
+        </p>
+    `;
+    document.getElementById('ledgerPayments').innerHTML = '';
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/ledger`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        // Ignore responses for a student the panel has since moved away from
+        if (id === panelStudentId) {
+            renderLedger(data.data);
+        }
+    } catch (error) {
+        console.error('Error loading ledger:', error);
+        ledgerSummary.innerHTML = '<p class="no-results">Failed to load fee ledger</p>';
+    }
+}
+
+function renderLedger(ledger) {
+    const { summary, payments } = ledger;
+    const canEdit = hasPermission('records:update');
+    
+    document.getElementById('feePlanEditor').hidden = !canEdit;
+    document.getElementById('paymentEditor').hidden = !canEdit || !summary;
+    populateFeePlanForm(summary);
+    
+    document.getElementById('ledgerSummary').innerHTML = summary ? `
+        <dl class="ledger-summary">
+            <div><dt>Total fee</dt><dd>${formatMoney(summary.totalFee)}</dd></div>
+            <div><dt>Discount</dt><dd>${formatMoney(summary.discount)}</dd></div>
+            <div><dt>Paid</dt><dd>${formatMoney(summary.amountPaid)}</dd></div>
+            <div><dt>Balance</dt><dd class="ledger-balance">${formatMoney(summary.balance)}</dd></div>
+        </dl>
+        <p>
+            <span class="status-badge status-${getStatusClass(summary.feeStatus)}">${escapeHtml(summary.feeStatus)}</span>
+            ${summary.overdueAmount > 0 ? `<span class="ledger-overdue">${formatMoney(summary.overdueAmount)} overdue</span>` : ''}
+            ${summary.nextDue ? `<span class="ledger-next">Next: ${formatMoney(summary.nextDue.amount)} due ${formatDate(summary.nextDue.dueDate)}</span>` : ''}
+        </p>
+        ${summary.installments.length > 0 ? `
+            <table class="ledger-table">
+                <thead><tr><th>Due</th><th>Amount</th><th>Paid</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${summary.installments.map(i => `
+                        <tr class="installment-${i.status}">
+                            <td>${formatDate(i.dueDate)}</td>
+                            <td>${formatMoney(i.amount)}</td>
+                            <td>${formatMoney(i.paid)}</td>
+                            <td>${i.status}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    ` : `<p class="no-results">No fee plan yet. Fee status is ${escapeHtml(ledger.feeStatus)} (set by hand).</p>`;
+    
+    document.getElementById('ledgerPayments').innerHTML = payments.length > 0 ? `
+        <table class="ledger-table">
+            <thead><tr><th>Date</th><th>Amount</th><th>Method</th><th>Receipt</th></tr></thead>
+            <tbody>
+                ${payments.map(p => `
+                    <tr>
+                        <td>${formatDate(p.date)}</td>
+                        <td>${formatMoney(p.amount)}</td>
+                        <td>${escapeHtml(p.method)}</td>
+                        <td>
+                            ${escapeHtml(p.receiptNumber)}
+                            ${p.note ? `<small class="ledger-note">${escapeHtml(p.note)}</small>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    ` : (summary ? '<p class="no-results">No payments recorded</p>' : '');
+}
+
+function populateFeePlanForm(summary) {
+    // New plans start from the course's standard fee
+    const student = currentStudents.find(s => s._id === panelStudentId);
+    const courseFee = courses.find(c => c._id === student?.courseId)?.fee;
+    
+    document.getElementById('planTotalFee').value = summary ? summary.totalFee : (courseFee ?? '');
+    document.getElementById('planDiscount').value = summary ? summary.discount : 0;
+    document.getElementById('installmentRows').innerHTML = '';
+    (summary?.installments || []).forEach(i => addInstallmentRow(i.dueDate.split('T')[0], i.amount));
+}
+
+function addInstallmentRow(dueDate = '', amount = '') {
+    const row = document.createElement('div');
+    row.className = 'form-row installment-row';
+    row.innerHTML = `
+        <input type="date" class="installment-due" aria-label="Installment due date" required>
+        <input type="number" class="installment-amount" aria-label="Installment amount" min="0.01" step="0.01" required>
+        <button type="button" class="btn-icon delete" title="Remove installment" aria-label="Remove installment">
+            <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+    `;
+    row.querySelector('.installment-due').value = dueDate;
+    row.querySelector('.installment-amount').value = amount;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('installmentRows').appendChild(row);
+}
+
+async function saveFeePlan(event) {
+    event.preventDefault();
+    
+    const plan = {
+        totalFee: parseFloat(document.getElementById('planTotalFee').value),
+        discount: parseFloat(document.getElementById('planDiscount').value) || 0,
+        installments: [...document.querySelectorAll('#installmentRows .installment-row')].map(row => ({
+            dueDate: row.querySelector('.installment-due').value,
+            amount: parseFloat(row.querySelector('.installment-amount').value)
+        }))
+    };
+    
+    await submitLedgerChange(`${API_BASE_URL}/records/${panelStudentId}/ledger`, 'PUT', plan);
+}
+
+async function recordPayment(event) {
+    event.preventDefault();
+    
+    const payment = {
+        amount: parseFloat(document.getElementById('paymentAmount').value),
+        method: document.getElementById('paymentMethod').value
+    };
+    const date = document.getElementById('paymentDate').value;
+    const receiptNumber = document.getElementById('paymentReceipt').value.trim();
+    const note = document.getElementById('paymentNote').value.trim();
+    if (date) payment.date = date;
+    if (receiptNumber) payment.receiptNumber = receiptNumber;
+    if (note) payment.note = note;
+    
+    if (await submitLedgerChange(`${API_BASE_URL}/records/${panelStudentId}/payments`, 'POST', payment)) {
+        document.getElementById('paymentForm').reset();
+    }
+}
+
+// Sends a fee plan or payment, then refreshes the panel and table with the derived status
+async function submitLedgerChange(url, method, body) {
+    const id = panelStudentId;
+    
+    try {
+        const response = await apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        await Promise.all([loadLedger(id), loadHistory(id), loadStudents({ notify: false }), loadStats()]);
+        return true;
+    } catch (error) {
+        console.error('Error saving ledger:', error);
+        showToast(`Failed to save: ${error.message}`, 'error', 5000);
+        return false;
+    }
+}
+
+// ===== CHANGE HISTORY =====
+const FIELD_LABELS = {
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    course: 'Course',
+    feeStatus: 'Fee Status',
+    joinDate: 'Join Date',
+    notes: 'Notes',
+    fees: 'Fees'
+};
+
+async function openHistoryPanel(id, name) {
+    panelStudentId = id;
+    document.getElementById('historyStudentName').textContent = name;
+    historyPanel.classList.add('show');
+    historyPanel.setAttribute('aria-hidden', 'false');
+    
+    await Promise.all([loadLedger(id), loadMessages(id), loadHistory(id)]);
+}
+
+async function loadHistory(id) {
+    historyList.innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading history...
+        </p>
+    `;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/history`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (id === panelStudentId) {
+            renderHistory(data.data || []);
+        }
+    } catch (error) {
+        console.error('Error loading history:', error);
+        historyList.innerHTML = '<p class="no-results">Failed to load history</p>';
+    }
+}
+
+function closeHistoryPanel() {
+    panelStudentId = null;
+    historyPanel.classList.remove('show');
+    historyPanel.setAttribute('aria-hidden', 'true');
+}
+
+function renderHistory(entries, container = historyList) {
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="no-results">No changes recorded yet</p>';
+        return;
+    }
+    
+    const actionLabels = {
+        create: 'Created',
+        update: 'Updated',
+        delete: 'Deleted',
+        archive: 'Moved to trash',
+        restore: 'Restored from trash',
+        purge: 'Permanently deleted',
+        payment: 'Payment recorded'
+    };
+    
+    container.innerHTML = entries.map(entry => `
+        <div class="history-entry action-${entry.action}">
+            <div class="history-meta">
+                ${new Date(entry.timestamp).toLocaleString()} &middot;
+                ${escapeHtml(entry.actor?.username) || 'system'}
+            </div>
+            <div class="history-action">${actionLabels[entry.action] || escapeHtml(entry.action)}</div>
+            ${entry.details?.receiptNumber ? `
+                <div class="history-details">
+                    ${formatMoney(entry.details.amount)} by ${escapeHtml(entry.details.method)} &middot;
+                    receipt ${escapeHtml(entry.details.receiptNumber)}
+                </div>
+            ` : ''}
+            ${entry.action === 'update' || entry.action === 'payment' ? `
+                <ul class="history-changes">
+                    ${entry.changes.map(change => `
+                        <li>
+                            <strong>${fieldLabel(change.field)}:</strong>
+                            <span class="change-from">${formatHistoryValue(change.field, change.from)}</span>
+                            &rarr;
+                            <span class="change-to">${formatHistoryValue(change.field, change.to)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+// ===== MESSAGES =====
+const TEMPLATE_LABELS = {
+    welcome: 'Welcome',
+    feeReminder: 'Fee reminder'
+};
+
+async function loadMessages(id) {
+    messageList.innerHTML = `
+        <p class="loading-message">
+            <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading messages...
+        </p>
+    `;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/notifications`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (id === panelStudentId) {
+            renderMessages(data.data || []);
+        }
+    } catch (error) {
+        console.error('Error loading messages:', error);
+        messageList.innerHTML = '<p class="no-results">Failed to load messages</p>';
+    }
+}
+
+function renderMessages(entries) {
+    if (entries.length === 0) {
+        messageList.innerHTML = '<p class="no-results">No messages sent yet</p>';
+        return;
+    }
+    
+    messageList.innerHTML = entries.map(entry => `
+        <div class="history-entry message-${entry.status}">
+            <div class="history-meta">
+                ${new Date(entry.createdAt).toLocaleString()} &middot;
+                ${escapeHtml(entry.actor?.username) || 'system'} &middot; ${escapeHtml(entry.trigger)}
+            </div>
+            <div class="history-action">
+                ${escapeHtml(TEMPLATE_LABELS[entry.template] || entry.template)}
+                ${entry.channel === 'sms' ? 'SMS' : 'email'} to ${escapeHtml(entry.to)}
+            </div>
+            ${entry.status === 'failed' ? `
+                <div class="history-details message-error">Not sent: ${escapeHtml(entry.error)}</div>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+async function sendStudentMessage(template) {
+    const id = panelStudentId;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/${id}/notifications`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, result.success ? 'success' : 'warning', 5000);
+        await loadMessages(id);
+    } catch (error) {
+        console.error('Error sending message:', error);
+        showToast(`Failed to send message: ${error.message}`, 'error', 5000);
+    }
+}
+
+// Checks who is due with a dry run before sending anything
+async function sendFeeReminders() {
+    try {
+        const preview = await runFeeReminders(true);
+        if (preview.due === 0) {
+            showToast('No students are due a fee reminder', 'info');
+            return;
+        }
+        if (!confirm(`Send fee reminders to ${preview.due} student(s) with Pending or Partial fees?`)) {
+            return;
+        }
+        
+        const result = await runFeeReminders(false);
+        showToast(`Reminded ${result.due} student(s): ${result.sent} message(s) sent, ${result.failed} failed`,
+            result.failed > 0 ? 'warning' : 'success', 5000);
+        if (panelStudentId) {
+            await loadMessages(panelStudentId);
+        }
+    } catch (error) {
+        console.error('Error sending fee reminders:', error);
+        showToast(`Failed to send fee reminders: ${error.message}`, 'error', 5000);
+    }
+}
+
+async function runFeeReminders(dryRun) {
+    const response = await apiFetch(`${API_BASE_URL}/notifications/reminders/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dryRun })
+    });
+    const result = await response.json();
+    
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    return result.data;
+}
+
+// Custom fields are labelled from the schema; fields deleted since show their key
+function fieldLabel(field) {
+    if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+    const rules = field.startsWith('custom.') ? studentSchema?.custom?.[field.slice('custom.'.length)] : null;
+    return escapeHtml(rules ? rules.label : field);
+}
+
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined) return '<em>empty</em>';
+    if (field === 'joinDate') return formatDate(value);
+    if (field === 'fees') return `balance ${formatMoney(value.balance)} of ${formatMoney(value.netFee)}`;
+    const rules = field.startsWith('custom.') ? studentSchema?.custom?.[field.slice('custom.'.length)] : null;
+    if (rules) return formatCustomValue(rules, value);
+    return escapeHtml(String(value));
+}
+
+// ===== LIVE UPDATES =====
+// Changes made in other tabs arrive over Server-Sent Events from GET /api/events.
+// fetch() is used rather than EventSource so the bearer token goes in a header.
+async function connectLiveUpdates() {
+    disconnectLiveUpdates();
+    const controller = new AbortController();
+    liveController = controller;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/events`, {
+            headers: { Accept: 'text/event-stream' },
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        setLiveStatus(true);
+        // Connected again: send anything queued while offline
+        syncOutbox();
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            // Messages are separated by a blank line; keep any partial one for the next chunk
+            buffer += value;
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            messages.forEach(handleLiveMessage);
+        }
+        
+        throw new Error('Live updates stream closed');
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        
+        console.error('Live updates disconnected:', error);
+        setLiveStatus(false);
+        if (currentUser) {
+            liveRetryTimer = setTimeout(reconnectLiveUpdates, LIVE_RETRY_MS);
+        }
+    }
+}
+
+// Events sent while disconnected are lost, so catch up before listening again
+function reconnectLiveUpdates() {
+    loadStudents({ notify: false, loading: false });
+    connectLiveUpdates();
+}
+
+function disconnectLiveUpdates() {
+    clearTimeout(liveRetryTimer);
+    clearTimeout(liveRefreshTimer);
+    livePending = { records: false, schema: false, highlight: [] };
+    if (liveController) {
+        liveController.abort();
+        liveController = null;
+    }
+    setLiveStatus(false);
+}
+
+function setLiveStatus(connected) {
+    const status = document.getElementById('liveStatus');
+    status.classList.toggle('connected', connected);
+    status.title = connected ? 'Live updates are on' : 'Live updates are off; reconnecting...';
+}
+
+function handleLiveMessage(message) {
+    const data = message.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice('data:'.length).trim())
+        .join('\n');
+    if (!data) return; // comments and retry hints
+    
+    try {
+        handleLiveEvent(JSON.parse(data));
+    } catch (error) {
+        console.error('Error handling live event:', error);
+    }
+}
+
+function handleLiveEvent(event) {
+    // This tab already shows its own changes
+    if (event.origin === CLIENT_ID) return;
+    
+    switch (event.type) {
+        case 'record.created':
+            // Whether and where it shows depends on the filters, sort and page
+            scheduleLiveRefresh({ records: true, highlight: event.record._id });
+            break;
+        case 'record.updated':
+            patchStudentRow(event.record);
+            noticeEditConflict(event, event.record._id);
+            if (event.record._id === profileStudentId) {
+                renderStudentProfile(event.record);
+                loadProfilePayments(profileStudentId);
+                loadProfileHistory(profileStudentId);
+            }
+            scheduleLiveRefresh();
+            break;
+        case 'record.deleted':
+            markRowRemoved(event.id);
+            noticeEditConflict(event, event.id);
+            if (event.id === profileStudentId) {
+                showToast('This student was moved to the trash', 'warning');
+                closeStudentProfile();
+            }
+            scheduleLiveRefresh({ records: true });
+            break;
+        case 'records.changed':
+            scheduleLiveRefresh({ records: true });
+            break;
+        case 'schema.changed':
+            scheduleLiveRefresh({ records: true, schema: true });
+            break;
+    }
+}
+
+// Bursts of events (an import, a whole register) are merged into one refresh
+function scheduleLiveRefresh({ records = false, schema = false, highlight = null } = {}) {
+    livePending.records = livePending.records || records;
+    livePending.schema = livePending.schema || schema;
+    if (highlight) {
+        livePending.highlight.push(highlight);
+    }
+    
+    clearTimeout(liveRefreshTimer);
+    liveRefreshTimer = setTimeout(runLiveRefresh, 800);
+}
+
+// Reloads without the spinner so the table does not flicker, then highlights new rows
+async function runLiveRefresh() {
+    const pending = livePending;
+    livePending = { records: false, schema: false, highlight: [] };
+    
+    if (pending.schema) {
+        await loadSchema();
+    }
+    if (pending.records) {
+        await loadStudents({ notify: false, loading: false });
+        pending.highlight.forEach(highlightRow);
+    }
+    loadStats();
+}
+
+function findRow(id) {
+    return tableBody.querySelector(`tr[data-id="${id}"]`);
+}
+
+function highlightRow(id) {
+    const row = findRow(id);
+    if (!row) return;
+    
+    row.classList.remove('row-changed');
+    void row.offsetWidth; // restart the animation
+    row.classList.add('row-changed');
+}
+
+// Replaces the student in place, keeping the page, sort and scroll position
+function patchStudentRow(student) {
+    const index = currentStudents.findIndex(s => s._id === student._id);
+    if (index === -1) return;
+    
+    currentStudents[index] = student;
+    renderTable(currentStudents);
+    highlightRow(student._id);
+}
+
+function markRowRemoved(id) {
+    const row = findRow(id);
+    if (row) {
+        row.classList.add('row-removed');
+    }
+}
+
+// Warns when someone else changes or deletes the student open in the form
+function noticeEditConflict(event, id) {
+    if (document.getElementById('studentId').value !== id) return;
+    
+    const who = event.actor ? escapeHtml(event.actor.username) : 'Someone';
+    const deleted = event.type === 'record.deleted';
+    liveEditEvent = deleted ? null : event;
+    
+    document.getElementById('editNoticeText').innerHTML = deleted
+        ? `<strong>${who}</strong> moved this student to the trash. Saving will fail; cancel the edit.`
+        : `<strong>${who}</strong> changed this student while you were editing. You will be asked to review their changes when you save.`;
+    document.getElementById('editNoticeReloadBtn').hidden = deleted;
+    document.getElementById('editNotice').hidden = false;
+}
+
+function hideEditNotice() {
+    liveEditEvent = null;
+    document.getElementById('editNotice').hidden = true;
+}
+
+// Discards the local edits and loads the other user's version into the form
+function loadEditedRecord() {
+    if (!liveEditEvent) return;
+    populateFormForEdit(liveEditEvent.record);
+    showToast('Loaded the latest version of this student', 'info');
+}
+
+// ===== BULK ACTIONS =====
+// Rows are picked with checkboxes, across pages. "Select all matching" switches
+// to the current search/filter instead of ids, so it covers every page.
+function canSelectRows() {
+    return hasPermission('records:update') || hasPermission('records:delete');
+}
+
+function toggleRowSelection(id, selected) {
+    selectAllMatching = false;
+    if (selected) {
+        selectedIds.add(id);
+    } else {
+        selectedIds.delete(id);
+    }
+    findRow(id)?.classList.toggle('selected', selected);
+    updateBulkToolbar();
+}
+
+function selectPage(selected) {
+    selectAllMatching = false;
+    currentStudents.forEach(student => {
+        if (selected) {
+            selectedIds.add(student._id);
+        } else {
+            selectedIds.delete(student._id);
+        }
+    });
+    renderTable(currentStudents);
+}
+
+function selectAllMatchingRecords() {
+    selectAllMatching = true;
+    currentStudents.forEach(student => selectedIds.add(student._id));
+    renderTable(currentStudents);
+}
+
+function clearSelection() {
+    selectedIds = new Set();
+    selectAllMatching = false;
+    if (currentStudents.length > 0) {
+        renderTable(currentStudents);
+    } else {
+        updateBulkToolbar();
+    }
+}
+
+function selectionCount() {
+    return selectAllMatching ? totalRecords : selectedIds.size;
+}
+
+function updateBulkToolbar() {
+    const count = selectionCount();
+    const pageSelected = currentStudents.length > 0 && currentStudents.every(s => selectedIds.has(s._id));
+    const pageCheckbox = document.getElementById('selectPageCheckbox');
+    pageCheckbox.checked = pageSelected;
+    pageCheckbox.indeterminate = !pageSelected && currentStudents.some(s => selectedIds.has(s._id));
+    
+    document.getElementById('bulkToolbar').hidden = count === 0;
+    document.getElementById('bulkSelectionText').textContent = selectAllMatching
+        ? `All ${count} matching students selected`
+        : `${count} selected`;
+    
+    const matchingBtn = document.getElementById('selectAllMatchingBtn');
+    matchingBtn.hidden = selectAllMatching || !pageSelected || totalRecords <= currentStudents.length;
+    matchingBtn.textContent = `Select all ${totalRecords} matching students`;
+}
+
+function renderBulkCourseOptions() {
+    const select = document.getElementById('bulkCourse');
+    select.replaceChildren(select.options[0], ...courses.filter(c => c.active).map(course => {
+        const option = document.createElement('option');
+        option.value = course._id;
+        option.textContent = `${courseLabel(course)} - ${describeSeats(course)}`;
+        return option;
+    }));
+}
+
+// Sends the action for the selection and reports what happened to each student
+async function runBulkAction(action, value) {
+    const body = { action, value };
+    if (selectAllMatching) {
+        body.filter = Object.fromEntries(buildFilterParams());
+    } else {
+        body.ids = [...selectedIds];
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/records/bulk`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        const problems = result.results
+            .filter(r => r.status !== 'done')
+            .slice(0, 5)
+            .map(r => `<br>${escapeHtml(r.name || r.id)}: ${escapeHtml(r.message)}`)
+            .join('');
+        showToast(
+            `${result.message}${problems}`,
+            result.summary.failed > 0 ? 'warning' : 'success',
+            problems ? 8000 : 3000
+        );
+        
+        clearSelection();
+        loadStats();
+        loadCourses();
+        await loadStudents({ notify: false });
+    } catch (error) {
+        console.error('Error applying bulk action:', error);
+        showToast(`Bulk action failed: ${escapeHtml(error.message)}`, 'error', 5000);
+    }
+}
+
+function bulkSetFeeStatus() {
+    const status = document.getElementById('bulkFeeStatus').value;
+    if (!status) {
+        showToast('Choose a fee status first', 'warning');
+        return;
+    }
+    runBulkAction('setFeeStatus', status);
+}
+
+function bulkChangeCourse() {
+    const courseId = document.getElementById('bulkCourse').value;
+    if (!courseId) {
+        showToast('Choose a course first', 'warning');
+        return;
+    }
+    
+    const course = courses.find(c => c._id === courseId);
+    if (!confirm(`Move ${selectionCount()} student(s) to ${course.name}?`)) return;
+    runBulkAction('changeCourse', courseId);
+}
+
+function bulkArchive() {
+    if (!confirm(`Move ${selectionCount()} student(s) to the trash? They can be restored later.`)) return;
+    runBulkAction('archive');
+}
+
+// ===== EDIT CONFLICTS =====
+// Saves send If-Match with the version loaded into the form. When someone else
+// saved in between, the server answers 412 with its copy and the user compares
+// their edits against it before deciding which version to keep.
+function editableValues(student) {
+    const values = {
+        name: (student.name || '').trim(),
+        email: (student.email || '').trim().toLowerCase(),
+        phone: (student.phone || '').trim(),
+        courseId: student.courseId || '',
+        feeStatus: student.feeStatus || '',
+        joinDate: student.joinDate ? new Date(student.joinDate).toISOString().split('T')[0] : '',
+        notes: (student.notes || '').trim()
+    };
+    
+    customFieldEntries().forEach(([key, rules]) => {
+        const value = student.custom?.[key];
+        if (rules.control === 'checkbox') {
+            values[`custom.${key}`] = value === true ? 'Yes' : 'No';
+        } else if (rules.control === 'date') {
+            values[`custom.${key}`] = value ? new Date(value).toISOString().split('T')[0] : '';
+        } else {
+            values[`custom.${key}`] = value === undefined || value === null ? '' : String(value).trim();
+        }
+    });
+    
+    return values;
+}
+
+// Fields where the user's edits, the server copy, or both differ from the version they loaded
+function compareVersions(base, mine, theirs) {
+    const baseValues = editableValues(base);
+    const myValues = editableValues(mine);
+    const theirValues = editableValues(theirs);
+    
+    // The ledger owns the fee status once a plan exists, so it is not the user's to resolve
+    if (theirs.fees) {
+        delete baseValues.feeStatus;
+    }
+    
+    return Object.keys(baseValues)
+        .map(field => ({
+            field,
+            mine: myValues[field],
+            theirs: theirValues[field],
+            mineChanged: myValues[field] !== baseValues[field],
+            theirsChanged: theirValues[field] !== baseValues[field]
+        }))
+        .filter(row => row.mineChanged || row.theirsChanged);
+}
+
+function formatConflictValue(field, value) {
+    if (value === '') return '<em>empty</em>';
+    if (field === 'courseId') {
+        const course = courses.find(c => c._id === value);
+        return escapeHtml(course ? course.name : value);
+    }
+    if (field === 'joinDate' || studentSchema?.custom?.[field.slice('custom.'.length)]?.control === 'date') {
+        return formatDate(value);
+    }
+    return escapeHtml(value);
+}
+
+function resolveEditConflict(studentData, serverStudent) {
+    const rows = compareVersions(editingStudent, studentData, serverStudent);
+    
+    // Their save only touched fields the form does not edit (attendance, payments):
+    // nothing to resolve, so save again on top of their version
+    if (!rows.some(row => row.theirsChanged)) {
+        editingStudent = serverStudent;
+        saveStudent(studentData);
+        return;
+    }
+    
+    pendingConflict = { studentData, serverStudent };
+    document.getElementById('conflictSummary').innerHTML =
+        `<strong>${escapeHtml(serverStudent.name)}</strong> was saved by someone else at ${new Date(serverStudent.updatedAt).toLocaleString()}, after you started editing.`;
+    document.getElementById('conflictTableBody').innerHTML = rows.map(row => `
+        <tr class="${row.mineChanged && row.theirsChanged && row.mine !== row.theirs ? 'conflict-both' : ''}">
+            <td>${fieldLabel(row.field)}</td>
+            <td class="${row.mineChanged ? '' : 'unchanged'}">${formatConflictValue(row.field, row.mine)}</td>
+            <td class="${row.theirsChanged ? '' : 'unchanged'}">${formatConflictValue(row.field, row.theirs)}</td>
+        </tr>
+    `).join('');
+    conflictModal.classList.add('show');
+}
+
+function closeConflictModal() {
+    conflictModal.classList.remove('show');
+    pendingConflict = null;
+}
+
+// Saves the form as it is over the other user's version
+function overwriteWithMine() {
+    if (!pendingConflict) return;
+    
+    const { studentData, serverStudent } = pendingConflict;
+    closeConflictModal();
+    editingStudent = serverStudent;
+    saveStudent(studentData);
+}
+
+// Drops the user's edits and loads the other user's version into the form
+function useTheirVersion() {
+    if (!pendingConflict) return;
+    
+    const { serverStudent } = pendingConflict;
+    closeConflictModal();
+    populateFormForEdit(serverStudent);
+    showToast('Loaded the latest version; your edits were discarded', 'info');
+}
+
+// ===== OFFLINE SUPPORT =====
+// sw.js caches the page itself so the dashboard opens without a connection.
+// Here, IndexedDB keeps the last copy of the reads the dashboard needs (records,
+// courses, schema, stats) and an outbox of creates, edits and deletes made
+// while offline. The outbox is replayed in order on reconnect; changes the
+// server refuses (someone else changed a field they edit or deleted the student,
+// or validation fails) stay in the outbox for the user to review.
+const OFFLINE_DB_NAME = 'student-dashboard';
+const OFFLINE_DB_VERSION = 1;
+const MAX_OFFLINE_RESPONSES = 50;
+// Times a queued change is sent again over writes to fields it does not edit
+const MAX_OUTBOX_REPLAYS = 3;
+// API reads answered from this device when offline, matched against the path after API_BASE_URL
+const OFFLINE_READS = [/^\/auth\/me$/, /^\/records(\?|$)/, /^\/records\/[^/?]+$/, /^\/courses$/, /^\/custom-fields$/, /^\/schema$/, /^\/stats$/, /^\/views$/];
+let offlineDbPromise = null;
+
+function registerServiceWorker() {
+    // Service workers need http(s); opening index.html from disk still works, online only
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Error registering service worker:', error);
+    });
+}
+
+// fetch() rejects with a TypeError when the request never reaches the server
+function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+function openOfflineDb() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('responses', { keyPath: 'key' }).createIndex('savedAt', 'savedAt');
+                db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Private browsing can refuse IndexedDB; try again next time rather than caching the failure
+        offlineDbPromise.catch(() => { offlineDbPromise = null; });
+    }
+    return offlineDbPromise;
+}
+
+// Runs `action(store)` in a transaction and resolves with its request's result once committed
+async function offlineStore(name, mode, action) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(name, mode);
+        const request = action(transaction.objectStore(name));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function offlineCacheKey(url, options) {
+    if (!authToken || (options.method || 'GET') !== 'GET' || !url.startsWith(API_BASE_URL)) return null;
+    
+    const path = url.slice(API_BASE_URL.length);
+    return OFFLINE_READS.some(pattern => pattern.test(path)) ? path : null;
+}
+
+async function saveOfflineResponse(key, response) {
+    try {
+        const body = await response.text();
+        await offlineStore('responses', 'readwrite', store => {
+            store.put({ key, body, savedAt: new Date().toISOString() });
+            
+            // Keep the most recent responses only; each filter and page is its own entry
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - MAX_OFFLINE_RESPONSES;
+                if (excess <= 0) return;
+                store.index('savedAt').openCursor().onsuccess = event => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess <= 0) return;
+                    cursor.delete();
+                    excess -= 1;
+                    cursor.continue();
+                };
+            };
+        });
+    } catch (error) {
+        console.error('Error saving data for offline use:', error);
+    }
+}
+
+// A stand-in Response for the saved copy; X-Offline-Saved-At tells callers how old it is
+async function readOfflineResponse(key) {
+    try {
+        const saved = await offlineStore('responses', 'readonly', store => store.get(key));
+        if (!saved) return null;
+        
+        return new Response(saved.body, {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'X-Offline-Saved-At': saved.savedAt }
+        });
+    } catch (error) {
+        console.error('Error reading offline data:', error);
+        return null;
+    }
+}
+
+function clearOfflineResponses() {
+    offlineStore('responses', 'readwrite', store => store.clear()).catch(error => {
+        console.error('Error clearing offline data:', error);
+    });
+}
+
+// apiFetch for writes that can be queued: resolves to null when the change
+// cannot be saved now (no connection, or the API answers 503)
+async function apiWrite(url, options) {
+    try {
+        const response = await apiFetch(url, options);
+        return response.status === 503 ? null : response;
+    } catch (error) {
+        if (isNetworkError(error)) return null;
+        throw error;
+    }
+}
+
+// ----- Outbox -----
+// Entries: { id, username, method, path, body, ifMatch, recordId, base, label,
+// queuedAt, status: 'pending' | 'conflict' | 'rejected', message, errors, server }.
+// `base` is the student as it was when the offline change was made.
+async function loadOutbox() {
+    try {
+        const entries = await offlineStore('outbox', 'readonly', store => store.getAll());
+        outboxEntries = entries.filter(entry => entry.username === currentUser.username);
+    } catch (error) {
+        console.error('Error reading offline changes:', error);
+        outboxEntries = [];
+    }
+    updateOfflineNotice();
+}
+
+// Another change to a student that already has one waiting replaces it, keeping
+// the version the first change started from so the server can spot conflicts
+async function queueOfflineWrite(change) {
+    const queuedAt = new Date().toISOString();
+    const existing = change.recordId && outboxEntries.find(entry => entry.recordId === change.recordId && entry.status === 'pending');
+    const entry = existing
+        ? { ...existing, method: change.method, path: change.path, body: change.body, label: change.label, queuedAt }
+        : { ...change, username: currentUser.username, status: 'pending', queuedAt };
+    
+    entry.id = await offlineStore('outbox', 'readwrite', store => store.put(entry));
+    outboxEntries = existing
+        ? outboxEntries.map(other => (other.id === entry.id ? entry : other))
+        : [...outboxEntries, entry];
+    
+    currentStudents = applyOutbox(currentStudents);
+    renderTable(currentStudents);
+    updateOfflineNotice();
+}
+
+async function updateOutboxEntry(entry) {
+    await offlineStore('outbox', 'readwrite', store => store.put(entry));
+    outboxEntries = outboxEntries.map(other => (other.id === entry.id ? entry : other));
+    updateOfflineNotice();
+}
+
+async function removeOutboxEntry(id) {
+    await offlineStore('outbox', 'readwrite', store => store.delete(id));
+    outboxEntries = outboxEntries.filter(entry => entry.id !== id);
+    updateOfflineNotice();
+}
+
+function discardOutbox() {
+    const ids = outboxEntries.map(entry => entry.id);
+    outboxEntries = [];
+    offlineStore('outbox', 'readwrite', store => { ids.forEach(id => store.delete(id)); }).catch(error => {
+        console.error('Error discarding offline changes:', error);
+    });
+}
+
+// Shows queued edits and deletes on the rows they apply to. Offline additions
+// have no row yet; they are listed in the Offline Changes dialog.
+function applyOutbox(students) {
+    return students.map(student => {
+        const entry = outboxEntries.find(e => e.recordId === student._id);
+        if (!entry) return student;
+        if (entry.method === 'DELETE') return { ...student, pendingSync: 'delete' };
+        
+        const course = courses.find(c => c._id === entry.body.courseId);
+        return { ...student, ...entry.body, course: course ? course.name : student.course, pendingSync: 'update' };
+    });
+}
+
+// Resolves to { response, result }, both null when the change cannot be sent now
+async function sendOutboxEntry(entry) {
+    const headers = {};
+    if (entry.body) headers['Content-Type'] = 'application/json';
+    if (entry.ifMatch) headers['If-Match'] = entry.ifMatch;
+    
+    const response = await apiWrite(`${API_BASE_URL}${entry.path}`, {
+        method: entry.method,
+        headers,
+        body: entry.body ? JSON.stringify(entry.body) : undefined
+    });
+    const result = response ? await response.json().catch(() => ({})) : null;
+    return { response, result };
+}
+
+// Like resolveEditConflict: true when the newer server copy only differs from the
+// change's starting point in fields the change does not edit (attendance, payments)
+function canReplayOver(entry, serverStudent) {
+    if (!entry.base || !serverStudent) return false;
+    return !compareVersions(entry.base, entry.body || entry.base, serverStudent).some(row => row.theirsChanged);
+}
+
+// Sends queued changes oldest first. Stops at the first one that cannot get
+// through (still offline, server trouble) and tries again on the next reconnect.
+async function syncOutbox() {
+    if (outboxSyncing || !currentUser || !outboxEntries.some(entry => entry.status === 'pending')) return;
+    
+    outboxSyncing = true;
+    let synced = 0;
+    let refused = 0;
+    
+    try {
+        for (let entry of outboxEntries.filter(e => e.status === 'pending')) {
+            // Later changes to a student wait until an earlier refused one is resolved
+            const blocked = entry.recordId && outboxEntries.some(other =>
+                other.id < entry.id && other.recordId === entry.recordId && other.status !== 'pending');
+            if (blocked) continue;
+            
+            let { response, result } = await sendOutboxEntry(entry);
+            // Nothing the user touched has changed: send it again on top of their version
+            for (let replay = 0; response?.status === 412 && replay < MAX_OUTBOX_REPLAYS && canReplayOver(entry, result.data); replay++) {
+                entry = { ...entry, ifMatch: `"${result.data.version || 0}"`, base: result.data };
+                ({ response, result } = await sendOutboxEntry(entry));
+            }
+            if (!response || response.status === 401 || response.status === 429 || response.status >= 500) break;
+            
+            // Already in the trash counts as done
+            if (response.ok || (entry.method === 'DELETE' && response.status === 404)) {
+                await removeOutboxEntry(entry.id);
+                synced += 1;
+                continue;
+            }
+            
+            refused += 1;
+            const conflict = response.status === 412 || response.status === 404;
+            await updateOutboxEntry({
+                ...entry,
+                status: conflict ? 'conflict' : 'rejected',
+                message: response.status === 404
+                    ? 'Someone else moved this student to the trash while you were offline.'
+                    : result.message || `HTTP error! status: ${response.status}`,
+                errors: result.errors || null,
+                server: response.status === 412 ? result.data : null
+            });
+        }
+    } catch (error) {
+        console.error('Error syncing offline changes:', error);
+    } finally {
+        outboxSyncing = false;
+    }
+    
+    if (synced > 0) {
+        showToast(`${synced} offline change(s) synced`, 'success');
+        loadStats();
+        loadCourses();
+        await loadStudents({ notify: false, loading: false });
+    }
+    if (refused > 0) {
+        showToast(`${refused} offline change(s) could not be saved and need your review`, 'warning', 8000, {
+            label: 'Review',
+            onClick: openOutboxModal
+        });
+    }
+}
+
+async function handleOnline() {
+    updateOfflineNotice();
+    if (!currentUser) return;
+    
+    await syncOutbox();
+    // Swap the saved copy for the live records
+    if (offlineSavedAt) {
+        loadStudents({ notify: false, loading: false });
+    }
+}
+
+function updateOfflineNotice() {
+    const pending = outboxEntries.filter(entry => entry.status === 'pending').length;
+    const refused = outboxEntries.length - pending;
+    const parts = [];
+    
+    if (offlineSavedAt) {
+        parts.push(`Working offline: showing records saved ${new Date(offlineSavedAt).toLocaleString()}.`);
+    } else if (!navigator.onLine) {
+        parts.push('You are offline.');
+    }
+    if (pending > 0) {
+        parts.push(`${pending} change(s) waiting to sync.`);
+    }
+    if (refused > 0) {
+        parts.push(`${refused} change(s) could not be saved and need your review.`);
+    }
+    
+    document.getElementById('offlineStatus').hidden = navigator.onLine && !offlineSavedAt;
+    document.getElementById('offlineNoticeText').textContent = parts.join(' ');
+    document.getElementById('offlineNotice').hidden = parts.length === 0;
+    document.getElementById('syncOutboxBtn').hidden = pending === 0;
+    document.getElementById('reviewOutboxBtn').hidden = outboxEntries.length === 0;
+    
+    if (outboxModal.classList.contains('show')) {
+        renderOutbox();
+    }
+}
+
+function openOutboxModal() {
+    renderOutbox();
+    outboxModal.classList.add('show');
+}
+
+function closeOutboxModal() {
+    outboxModal.classList.remove('show');
+}
+
+function describeOutboxEntry(entry) {
+    const name = `<strong>${escapeHtml(entry.label) || 'a student'}</strong>`;
+    switch (entry.method) {
+        case 'POST': return `Add ${name}`;
+        case 'DELETE': return `Move ${name} to the trash`;
+        default: return `Edit ${name}`;
+    }
+}
+
+function outboxActions(entry) {
+    const button = (action, label, style = 'btn-secondary') =>
+        `<button type="button" class="btn btn-sm ${style}" onclick="handleOutboxAction(${entry.id}, '${action}')">${label}</button>`;
+    const actions = [];
+    
+    if (entry.server && entry.method === 'DELETE') {
+        actions.push(button('force', '<i class="fas fa-trash"></i> Delete Anyway', 'btn-danger'));
+    } else if (entry.server) {
+        actions.push(button('review', '<i class="fas fa-code-branch"></i> Compare Versions'));
+    } else if (entry.status === 'rejected' && entry.method !== 'DELETE') {
+        actions.push(button('edit', '<i class="fas fa-pen"></i> Fix in Form'));
+    }
+    if (entry.status !== 'pending' && !entry.server) {
+        actions.push(button('retry', '<i class="fas fa-redo"></i> Retry'));
+    }
+    actions.push(button('discard', '<i class="fas fa-times"></i> Discard'));
+    
+    return actions.join('');
+}
+
+function renderOutbox() {
+    const list = document.getElementById('outboxList');
+    if (outboxEntries.length === 0) {
+        list.innerHTML = '<li class="outbox-empty">All changes are synced.</li>';
+        return;
+    }
+    
+    list.innerHTML = outboxEntries.map(entry => `
+        <li class="outbox-entry ${entry.status}">
+            <div class="outbox-summary">
+                <span>${describeOutboxEntry(entry)}</span>
+                <small>Changed offline ${new Date(entry.queuedAt).toLocaleString()}${entry.status === 'pending' ? ' &middot; waiting to sync' : ''}</small>
+                ${entry.status !== 'pending' ? `<p class="outbox-problem">${escapeHtml(entry.message)}</p>` : ''}
+            </div>
+            <div class="outbox-actions">${outboxActions(entry)}</div>
+        </li>
+    `).join('');
+}
+
+// Loads a queued change into the form: an edit over the version it started from, or a new student
+function loadOutboxEntryIntoForm(entry) {
+    if (entry.recordId) {
+        populateFormForEdit({ ...entry.base, ...entry.body, _id: entry.recordId });
+        editingStudent = entry.base;
+    } else {
+        resetForm();
+        fillStudentForm(entry.body);
+        document.querySelector('.form-section').scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+async function handleOutboxAction(id, action) {
+    const entry = outboxEntries.find(e => e.id === id);
+    if (!entry) return;
+    
+    try {
+        switch (action) {
+            case 'discard':
+                if (!confirm('Discard this offline change? It cannot be recovered.')) return;
+                await removeOutboxEntry(id);
+                // Drop the pending marks from the table
+                loadStudents({ notify: false, loading: false });
+                break;
+            case 'retry':
+                await updateOutboxEntry({ ...entry, status: 'pending', message: null, errors: null });
+                await syncOutbox();
+                break;
+            case 'force':
+                // Delete the version the server has now
+                await updateOutboxEntry({ ...entry, status: 'pending', ifMatch: `"${entry.server.version || 0}"`, message: null, server: null });
+                await syncOutbox();
+                break;
+            case 'review':
+            case 'edit':
+                // The form takes over: saving it sends the change (or queues it again if still offline)
+                await removeOutboxEntry(id);
+                closeOutboxModal();
+                loadOutboxEntryIntoForm(entry);
+                if (action === 'review') {
+                    resolveEditConflict(entry.body, entry.server);
+                } else if (entry.errors) {
+                    showFieldErrors(entry.errors);
+                }
+                break;
+        }
+    } catch (error) {
+        console.error('Error updating offline changes:', error);
+        showToast('Failed to update the offline changes', 'error');
+    }
+}
+
+// ===== FORM FUNCTIONS =====
+function populateFormForEdit(student) {
+    editingStudent = student;
+    document.getElementById('studentId').value = student._id;
+    fillStudentForm(student);
+    hideEditNotice();
+    
+    formTitle.textContent = 'Edit Student';
+    submitBtn.innerHTML = '<i class="fas fa-save"></i> Update Student';
+    cancelEditBtn.style.display = 'inline-flex';
+    
+    // Scroll to form
+    document.querySelector('.form-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Sets the inputs from a student record or a saved readStudentForm() result
+function fillStudentForm(student) {
+    document.getElementById('name').value = student.name;
+    document.getElementById('email').value = student.email;
+    document.getElementById('phone').value = student.phone || '';
+    const course = courses.find(c => c._id === student.courseId);
+    document.getElementById('course').value = course ? courseLabel(course) : student.course || '';
+    document.getElementById('courseId').value = student.courseId || '';
+    updateCourseHint(course, student);
+    document.getElementById('feeStatus').value = student.feeStatus;
+    setFeeStatusDerived(!!student.fees);
+    
+    // Format date for input
+    const joinDate = new Date(student.joinDate);
+    const formattedDate = joinDate.toISOString().split('T')[0];
+    document.getElementById('joinDate').value = formattedDate;
+    
+    document.getElementById('notes').value = student.notes || '';
+    setCustomValues(student.custom || {});
+}
+
+function resetForm() {
+    editingStudent = null;
+    form.reset();
+    document.getElementById('studentId').value = '';
+    formTitle.textContent = 'Add New Student';
+    submitBtn.innerHTML = '<i class="fas fa-save"></i> Save Student';
+    cancelEditBtn.style.display = 'none';
+    setFeeStatusDerived(false);
+    document.getElementById('courseId').value = '';
+    updateCourseHint(null);
+    setDefaultJoinDate();
+    clearValidationErrors();
+    hideEditNotice();
+}
+
+// Students with a fee plan get their status from the ledger, so it is shown read-only
+function setFeeStatusDerived(derived) {
+    document.getElementById('feeStatus').disabled = derived;
+    document.getElementById('feeStatusHint').hidden = !derived;
+}
+
+// ===== VALIDATION =====
+// Rules come from GET /api/schema, the same schema the server validates against
+async function loadSchema() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/schema`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        studentSchema = data.data.student;
+        applySchemaToForm();
+    } catch (error) {
+        // The server still validates every submission, so the form keeps working
+        console.error('Error loading validation schema:', error);
+    }
+}
+
+// Schema fields whose input has a different id
+const FIELD_INPUTS = {
+    courseId: 'course'
+};
+
+function inputIdFor(field) {
+    if (field.startsWith('custom.')) return customInputId(field.slice('custom.'.length));
+    return FIELD_INPUTS[field] || field;
+}
+
+// Mirrors required/maxlength onto the inputs so the browser hints match the
+// rules, and renders the custom field inputs and table columns
+function applySchemaToForm() {
+    Object.entries(studentSchema.fields).forEach(([field, rules]) => {
+        const input = document.getElementById(inputIdFor(field));
+        if (!input) return;
+        
+        input.required = !!rules.required;
+        if (rules.maxLength !== undefined && field !== 'courseId') {
+            input.maxLength = rules.maxLength;
+        }
+    });
+    
+    renderCustomFieldInputs();
+    renderTableHeader();
+    if (currentStudents.length > 0) {
+        renderTable(currentStudents);
+    }
+}
+
+function readStudentForm() {
+    const formData = new FormData(form);
+    return {
+        name: formData.get('name').trim(),
+        email: formData.get('email').trim(),
+        phone: formData.get('phone')?.trim() || '',
+        courseId: formData.get('courseId'),
+        // Read directly: a disabled select is left out of FormData
+        feeStatus: document.getElementById('feeStatus').value,
+        joinDate: formData.get('joinDate'),
+        notes: formData.get('notes')?.trim() || '',
+        custom: readCustomValues()
+    };
+}
+
+function validateForm(studentData) {
+    clearValidationErrors();
+    if (!studentSchema) return true;
+    
+    const errors = validateRecord(studentSchema, studentData);
+    
+    // The picker only sets courseId for text that matches a catalogue course
+    if (errors.courseId && document.getElementById('course').value.trim()) {
+        errors.courseId = 'Please choose a course from the list';
+    }
+    
+    showFieldErrors(errors);
+    return Object.keys(errors).length === 0;
+}
+
+// Same rule semantics as validateField() in backend/lib/schema.js
+function validateField(rules, raw) {
+    const value = typeof raw === 'string' && rules.trim ? raw.trim() : raw;
+    
+    if (value === undefined || value === null || value === '') {
+        return rules.required ? rules.messages.required : null;
+    }
+    
+    if (rules.type === 'string' && typeof value !== 'string') {
+        return rules.messages.type;
+    }
+    
+    if (rules.type === 'date' && isNaN(new Date(value).getTime())) {
+        return rules.messages.type;
+    }
+    
+    if (rules.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+        return rules.messages.type;
+    }
+    
+    if (rules.type === 'boolean' && typeof value !== 'boolean') {
+        return rules.messages.type;
+    }
+    
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return rules.messages.minLength;
+    }
+    
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return rules.messages.maxLength;
+    }
+    
+    if (rules.integer && !Number.isInteger(value)) {
+        return rules.messages.integer;
+    }
+    
+    if (rules.min !== undefined && value < rules.min) {
+        return rules.messages.min;
+    }
+    
+    if (rules.max !== undefined && value > rules.max) {
+        return rules.messages.max;
+    }
+    
+    if (rules.enum && !rules.enum.includes(value)) {
+        return rules.messages.enum;
+    }
+    
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+        return rules.messages.pattern;
+    }
+    
+    return null;
+}
+
+function validateRecord(schema, data) {
+    const errors = {};
+    Object.entries(schema.fields).forEach(([field, rules]) => {
+        const message = validateField(rules, data[field]);
+        if (message) errors[field] = message;
+    });
+    Object.entries(schema.custom || {}).forEach(([key, rules]) => {
+        const message = validateField(rules, data.custom?.[key]);
+        if (message) errors[`custom.${key}`] = message;
+    });
+    return errors;
+}
+
+function showFieldErrors(errors) {
+    Object.entries(errors).forEach(([field, message]) => showError(inputIdFor(field), message));
+}
+
+function showError(fieldId, message) {
+    const input = document.getElementById(fieldId);
+    const errorDiv = document.getElementById(`${fieldId}Error`);
+    if (input && errorDiv) {
+        input.classList.add('error');
+        errorDiv.textContent = message;
+    }
+}
+
+function clearValidationErrors() {
+    document.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+    document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
+}
+
+// ===== RENDERING =====
+function renderTable(students) {
+    if (!students || students.length === 0) {
+        tableBody.innerHTML = `
+            <tr>
+                <td colspan="${tableColumnCount()}" class="no-results">
+                    <i class="fas fa-user-slash" style="color: var(--gray);"></i>
+                    No students found
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    const canEdit = hasPermission('records:update');
+    const canDelete = hasPermission('records:delete');
+    const canSelect = canSelectRows();
+    
+    const rows = students.map(student => `
+        <tr data-id="${student._id}" class="${selectedIds.has(student._id) ? 'selected' : ''}${student.pendingSync ? ` pending-${student.pendingSync}` : ''}">
+            ${canSelect ? `<td class="select-column">
+                <input type="checkbox" aria-label="Select ${escapeHtml(student.name)}" ${selectedIds.has(student._id) ? 'checked' : ''}
+                    onchange="toggleRowSelection('${student._id}', this.checked)">
+            </td>` : ''}
+            <td>
+                <strong>${escapeHtml(student.name)}</strong>
+                ${student.pendingSync ? `<span class="sync-badge" title="Changed offline; not sent yet">
+                    <i class="fas fa-cloud-upload-alt" aria-hidden="true"></i> ${student.pendingSync === 'delete' ? 'Deleting' : 'Not synced'}
+                </span>` : ''}
+            </td>
+            ${columnCell('email', escapeHtml(student.email))}
+            ${columnCell('phone', escapeHtml(student.phone) || '-')}
+            ${columnCell('course', escapeHtml(student.course))}
+            ${columnCell('feeStatus', `
+                <span class="status-badge status-${getStatusClass(student.feeStatus)}">
+                    ${escapeHtml(student.feeStatus)}
+                </span>
+            `)}
+            ${columnCell('attendance', formatAttendance(student.attendance))}
+            ${columnCell('joinDate', formatDate(student.joinDate))}
+            ${columnCell('notes', escapeHtml(student.notes) || '-')}
+            ${tableCustomColumns().map(([key, rules]) => columnCell(`custom.${key}`, formatCustomValue(rules, student.custom?.[key]))).join('')}
+            <td>
+                <div class="action-buttons">
+                    <button class="btn-icon view" onclick="viewStudent('${student._id}')" title="View Details">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    ${canEdit ? `<button class="btn-icon edit" onclick="editStudent('${student._id}')" title="Edit Student">
+                        <i class="fas fa-edit"></i>
+                    </button>` : ''}
+                    ${canDelete ? `<button class="btn-icon delete" data-id="${student._id}" title="Delete Student">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+    
+    tableBody.innerHTML = rows;
+    // Bound here rather than inline, so the name never passes through HTML into script
+    tableBody.querySelectorAll('.btn-icon.delete').forEach(button => {
+        button.addEventListener('click', () => {
+            const student = currentStudents.find(s => s._id === button.dataset.id);
+            showDeleteModal(button.dataset.id, student?.name || '');
+        });
+    });
+    updateBulkToolbar();
+}
+
+function getStatusClass(status) {
+    switch (status?.toLowerCase()) {
+        case 'paid': return 'paid';
+        case 'pending': return 'pending';
+        case 'partial': return 'partial';
+        case 'scholarship': return 'scholarship';
+        default: return 'pending';
+    }
+}
+
+function formatDate(dateString) {
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+}
+
+function escapeHtml(text) {
+    if (!text) return text;
+    const div = document.createElement('div');
+    div.textContent = text;
+    // innerHTML leaves quotes alone, which would end attribute values early
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ===== DASHBOARD STATS =====
+// Charts are plain SVG strings so the dashboard has no charting dependency
+const STATUS_ORDER = ['Paid', 'Pending', 'Partial', 'Scholarship'];
+const MAX_COURSE_BARS = 6;
+
+async function loadStats() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stats`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        renderStats(data.data);
+    } catch (error) {
+        // The table still works without the summary strip, so fail quietly
+        console.error('Error loading stats:', error);
+    }
+}
+
+function renderStats(stats) {
+    const paid = stats.byFeeStatus.find(s => s.feeStatus === 'Paid')?.count || 0;
+    const { outstanding } = stats;
+    
+    document.getElementById('kpiTotal').textContent = stats.total.toLocaleString();
+    document.getElementById('kpiPaid').textContent = stats.total > 0
+        ? `${paid} (${Math.round(paid / stats.total * 100)}%)`
+        : '0';
+    document.getElementById('kpiCollected').textContent = formatMoney(outstanding.collected);
+    document.getElementById('kpiOutstanding').textContent = formatMoney(outstanding.balance);
+    document.getElementById('kpiOutstandingNote').textContent =
+        `${outstanding.studentsWithBalance} of ${outstanding.studentsWithPlan} students with a fee plan`;
+    
+    document.getElementById('feeStatusChart').innerHTML = renderDonutChart(stats.byFeeStatus);
+    document.getElementById('courseChart').innerHTML = renderBarChart(groupSmallCourses(stats.byCourse));
+    document.getElementById('joinsChart').innerHTML = renderColumnChart(stats.monthlyJoins);
+}
+
+// Keeps the chart readable by folding the long tail of courses into "Other"
+function groupSmallCourses(courses) {
+    if (courses.length <= MAX_COURSE_BARS) return courses;
+    
+    const top = courses.slice(0, MAX_COURSE_BARS - 1);
+    const other = courses.slice(MAX_COURSE_BARS - 1).reduce((sum, c) => sum + c.count, 0);
+    return [...top, { course: 'Other', count: other }];
+}
+
+function renderDonutChart(segments) {
+    const total = segments.reduce((sum, s) => sum + s.count, 0);
+    if (total === 0) return '<p class="chart-empty">No students yet</p>';
+    
+    const radius = 40;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    
+    const arcs = segments.filter(s => s.count > 0).map(s => {
+        const length = s.count / total * circumference;
+        const arc = `
+            <circle class="chart-status-${getStatusClass(s.feeStatus)}" cx="60" cy="60" r="${radius}"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}">
+                <title>${escapeHtml(s.feeStatus)}: ${s.count}</title>
+            </circle>
+        `;
+        offset += length;
+        return arc;
+    }).join('');
+    
+    const legend = segments.map(s => `
+        <li><span class="legend-swatch chart-status-${getStatusClass(s.feeStatus)}"></span>${escapeHtml(s.feeStatus)} <strong>${s.count}</strong></li>
+    `).join('');
+    
+    return `
+        <div class="donut-chart">
+            <svg viewBox="0 0 120 120" role="img" aria-label="Students by fee status">
+                <g transform="rotate(-90 60 60)">${arcs}</g>
+                <text x="60" y="60" class="donut-total">${total}</text>
+            </svg>
+            <ul class="chart-legend">${legend}</ul>
+        </div>
+    `;
+}
+
+function renderBarChart(bars) {
+    if (bars.length === 0) return '<p class="chart-empty">No students yet</p>';
+    
+    const max = Math.max(...bars.map(b => b.count));
+    const rowHeight = 22;
+    
+    const rows = bars.map((b, i) => {
+        const width = b.count / max * 100;
+        const y = i * rowHeight;
+        return `
+            <g>
+                <title>${escapeHtml(b.course)}: ${b.count}</title>
+                <text x="0" y="${y + 14}" class="bar-label">${escapeHtml(truncate(b.course, 18))}</text>
+                <rect x="120" y="${y + 4}" width="${width * 1.4}" height="14" rx="3" class="bar"></rect>
+                <text x="${124 + width * 1.4}" y="${y + 15}" class="bar-value">${b.count}</text>
+            </g>
+        `;
+    }).join('');
+    
+    return `
+        <svg viewBox="0 0 300 ${bars.length * rowHeight}" role="img" aria-label="Enrolments by course">
+            ${rows}
+        </svg>
+    `;
+}
+
+function renderColumnChart(columns) {
+    const max = Math.max(1, ...columns.map(c => c.count));
+    const chartHeight = 100;
+    const columnWidth = 300 / columns.length;
+    
+    const bars = columns.map((c, i) => {
+        const height = c.count / max * chartHeight;
+        const x = i * columnWidth;
+        const [year, month] = c.month.split('-');
+        const label = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, { month: 'short', timeZone: 'UTC' });
+        return `
+            <g>
+                <title>${c.month}: ${c.count} joined</title>
+                <rect x="${x + 3}" y="${chartHeight - height}" width="${columnWidth - 6}" height="${height}" rx="2" class="bar"></rect>
+                <text x="${x + columnWidth / 2}" y="${chartHeight + 14}" class="column-label">${label}</text>
+            </g>
+        `;
+    }).join('');
+    
+    return `
+        <svg viewBox="0 0 300 ${chartHeight + 20}" role="img" aria-label="Students joined per month">
+            ${bars}
+        </svg>
+    `;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// ===== SEARCH & FILTER =====
+// Filtering happens server-side; debounce typing so each keystroke
+// doesn't trigger a request.
+function filterStudents() {
+    clearSelection();
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => {
+        currentPage = 1;
+        loadStudents({ notify: false });
+    }, 300);
+}
+
+function checkedValues(name) {
+    return [...advancedFilters.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+}
+
+function toggleAdvancedFilters() {
+    const button = document.getElementById('toggleFiltersBtn');
+    advancedFilters.hidden = !advancedFilters.hidden;
+    button.setAttribute('aria-expanded', String(!advancedFilters.hidden));
+}
+
+function handleFilterChange(event) {
+    // Course ticks are kept in `courseFilter` so a link can select courses before the catalogue loads
+    if (event.target.name === 'filterCourse') {
+        courseFilter = new Set(checkedValues('filterCourse'));
+    }
+    
+    updateDateInputs();
+    updateFilterCount();
+    filterStudents();
+}
+
+// Shows the date inputs for a custom range and keeps the range the right way
+// round; the server rejects an inverted one
+function updateDateInputs() {
+    const joinedFrom = document.getElementById('filterJoinedFrom');
+    const joinedTo = document.getElementById('filterJoinedTo');
+    const custom = document.getElementById('filterJoinedPreset').value === 'custom';
+    
+    document.getElementById('filterDates').hidden = !custom;
+    if (!custom) {
+        joinedFrom.value = '';
+        joinedTo.value = '';
+    }
+    if (joinedFrom.value && joinedTo.value && joinedFrom.value > joinedTo.value) {
+        joinedTo.value = joinedFrom.value;
+    }
+    joinedTo.min = joinedFrom.value;
+    joinedFrom.max = joinedTo.value;
+}
+
+// Number of active advanced filters, shown on the Filters button while the panel is closed
+function updateFilterCount() {
+    const preset = document.getElementById('filterJoinedPreset').value;
+    const dates = ['filterJoinedFrom', 'filterJoinedTo'].filter(id => document.getElementById(id).value).length;
+    const count = checkedValues('filterStatus').length
+        + courseFilter.size
+        + (preset === 'custom' ? dates : (preset ? 1 : 0));
+    const badge = document.getElementById('filterCount');
+    badge.textContent = count;
+    badge.hidden = count === 0;
+}
+
+function clearFilters() {
+    advancedFilters.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+    courseFilter = new Set();
+    document.getElementById('filterJoinedPreset').value = '';
+    updateDateInputs();
+    updateFilterCount();
+    filterStudents();
+}
+
+// YYYY-MM-DD in local time, so "this month" follows the user's calendar
+function toDayString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Turns a relative preset into a from/to range as of today
+function joinedPresetRange(preset, today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    switch (preset) {
+        case 'thisMonth':
+            return { from: toDayString(new Date(year, month, 1)), to: toDayString(new Date(year, month + 1, 0)) };
+        case 'last30Days':
+            return { from: toDayString(new Date(year, month, today.getDate() - 29)), to: toDayString(today) };
+        case 'thisYear':
+            return { from: `${year}-01-01`, to: `${year}-12-31` };
+        default:
+            return null;
+    }
+}
+
+// Includes inactive courses, which can still have students
+function renderCourseFilterOptions() {
+    const container = document.getElementById('filterCourses');
+    
+    if (courses.length === 0) {
+        container.innerHTML = '<p class="section-note">No courses in the catalogue yet.</p>';
+        return;
+    }
+    
+    container.innerHTML = courses.map(course => `
+        <label class="checkbox-label">
+            <input type="checkbox" name="filterCourse" value="${course._id}" ${courseFilter.has(course._id) ? 'checked' : ''}>
+            ${escapeHtml(courseLabel(course))}
+        </label>
+    `).join('');
+}
+
+// ===== SORTING =====
+// Text columns start A-Z, join date starts newest first; clicking the sorted column flips it
+function sortRecords(field) {
+    if (field === sortBy) {
+        sortOrder = sortOrder === 'asc' ? 'desc' : 'asc';
+    } else {
+        sortBy = field;
+        sortOrder = field === 'joinDate' ? 'desc' : 'asc';
+    }
+    
+    updateSortHeaders();
+    currentPage = 1;
+    loadStudents({ notify: false });
+}
+
+function updateSortHeaders() {
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        const active = th.dataset.sort === sortBy;
+        th.setAttribute('aria-sort', active ? (sortOrder === 'asc' ? 'ascending' : 'descending') : 'none');
+        th.querySelector('i').className = `fas ${active ? (sortOrder === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}`;
+    });
+}
+
+// ===== TABLE COLUMNS =====
+// `visibleColumns` is null while every column shows, otherwise the set of shown column keys
+function columnOptions() {
+    return [
+        ...OPTIONAL_COLUMNS,
+        ...tableCustomColumns().map(([key, rules]) => ({ key: `custom.${key}`, label: rules.label }))
+    ];
+}
+
+function isColumnVisible(key) {
+    return !visibleColumns || visibleColumns.has(key);
+}
+
+function columnCell(key, html) {
+    return isColumnVisible(key) ? `<td>${html}</td>` : '';
+}
+
+function renderColumnMenu() {
+    columnMenu.innerHTML = columnOptions().map(column => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${escapeHtml(column.key)}" ${isColumnVisible(column.key) ? 'checked' : ''}>
+            ${escapeHtml(column.label)}
+        </label>
+    `).join('');
+}
+
+function toggleColumnMenu(open = columnMenu.hidden) {
+    if (open) renderColumnMenu();
+    columnMenu.hidden = !open;
+    document.getElementById('columnsBtn').setAttribute('aria-expanded', String(open));
+}
+
+function handleColumnToggle() {
+    const shown = [...columnMenu.querySelectorAll('input:checked')].map(input => input.value);
+    visibleColumns = shown.length === columnOptions().length ? null : new Set(shown);
+    renderTableHeader();
+    renderTable(currentStudents);
+    syncUrl();
+}
+
+// ===== VIEW STATE =====
+// The table state kept in the URL and in saved views. Defaults are left out
+// to keep links short; the page number is added by syncUrl only.
+function buildViewState() {
+    const params = new URLSearchParams();
+    
+    const searchTerm = searchInput.value.trim();
+    if (searchTerm) params.set('search', searchTerm);
+    
+    // Multi-value filters go as one comma-separated parameter so bulk actions can reuse them as an object
+    const statuses = checkedValues('filterStatus');
+    if (statuses.length > 0) params.set('status', statuses.join(','));
+    if (courseFilter.size > 0) params.set('course', [...courseFilter].sort().join(','));
+    
+    const preset = document.getElementById('filterJoinedPreset').value;
+    if (preset === 'custom') {
+        const joinedFrom = document.getElementById('filterJoinedFrom').value;
+        const joinedTo = document.getElementById('filterJoinedTo').value;
+        if (joinedFrom) params.set('joinDateFrom', joinedFrom);
+        if (joinedTo) params.set('joinDateTo', joinedTo);
+    } else if (preset) {
+        params.set('joined', preset);
+    }
+    
+    if (sortBy !== DEFAULT_SORT_BY || sortOrder !== DEFAULT_SORT_ORDER) {
+        params.set('sortBy', sortBy);
+        params.set('sortOrder', sortOrder);
+    }
+    if (pageSize !== DEFAULT_PAGE_SIZE) params.set('limit', pageSize);
+    if (visibleColumns) params.set('columns', [...visibleColumns].join(','));
+    
+    return params;
+}
+
+// Restores the controls from URL parameters or a saved view; unknown values fall back to defaults
+function applyViewState(params) {
+    searchInput.value = params.get('search') || '';
+    
+    const statuses = (params.get('status') || '').split(',');
+    advancedFilters.querySelectorAll('input[name="filterStatus"]').forEach(input => {
+        input.checked = statuses.includes(input.value);
+    });
+    courseFilter = new Set((params.get('course') || '').split(',').filter(Boolean));
+    renderCourseFilterOptions();
+    
+    const joinedFrom = params.get('joinDateFrom') || '';
+    const joinedTo = params.get('joinDateTo') || '';
+    const preset = JOINED_PRESETS.includes(params.get('joined')) ? params.get('joined') : '';
+    document.getElementById('filterJoinedPreset').value = preset || (joinedFrom || joinedTo ? 'custom' : '');
+    document.getElementById('filterJoinedFrom').value = joinedFrom;
+    document.getElementById('filterJoinedTo').value = joinedTo;
+    updateDateInputs();
+    updateFilterCount();
+    
+    const sortable = [...document.querySelectorAll('th[data-sort]')].map(th => th.dataset.sort);
+    sortBy = sortable.includes(params.get('sortBy')) ? params.get('sortBy') : DEFAULT_SORT_BY;
+    sortOrder = ['asc', 'desc'].includes(params.get('sortOrder')) ? params.get('sortOrder') : DEFAULT_SORT_ORDER;
+    updateSortHeaders();
+    
+    const pageSizes = [...pageSizeSelect.options].map(option => parseInt(option.value, 10));
+    const limit = parseInt(params.get('limit'), 10);
+    pageSize = pageSizes.includes(limit) ? limit : DEFAULT_PAGE_SIZE;
+    pageSizeSelect.value = pageSize;
+    currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    
+    visibleColumns = params.get('columns') ? new Set(params.get('columns').split(',')) : null;
+    renderTableHeader();
+}
+
+// Mirrors the table state into the address bar so the page can be bookmarked or shared.
+// `push` adds a history entry, so Back returns from a student profile to the list.
+function syncUrl({ push = false } = {}) {
+    const params = buildViewState();
+    if (currentPage > 1) params.set('page', currentPage);
+    if (profileStudentId) params.set('student', profileStudentId);
+    
+    const query = params.toString();
+    const url = query ? `?${query}` : location.pathname;
+    if (push) {
+        history.pushState({ profile: true }, '', url);
+    } else {
+        history.replaceState(history.state, '', url);
+    }
+    updateSavedViewSelect();
+}
+
+async function copyViewLink() {
+    syncUrl();
+    try {
+        await navigator.clipboard.writeText(location.href);
+        showToast('Link to this view copied', 'success');
+    } catch (error) {
+        showToast('Could not copy the link; copy it from the address bar instead', 'error');
+    }
+}
+
+// ===== SAVED VIEWS =====
+async function loadSavedViews() {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/views`);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        savedViews = data.data || [];
+        renderSavedViewOptions();
+    } catch (error) {
+        console.error('Error loading saved views:', error);
+    }
+}
+
+function renderSavedViewOptions() {
+    savedViewSelect.replaceChildren(savedViewSelect.options[0], ...savedViews.map(view => {
+        const option = document.createElement('option');
+        option.value = view._id;
+        option.textContent = view.name;
+        return option;
+    }));
+    updateSavedViewSelect();
+}
+
+// Same parameters in any order give the same key
+function viewStateKey(params) {
+    return [...params.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+}
+
+// Shows the saved view that matches the current state, if any
+function updateSavedViewSelect() {
+    const current = viewStateKey(buildViewState());
+    const match = savedViews.find(view => viewStateKey(new URLSearchParams(view.state)) === current);
+    savedViewSelect.value = match ? match._id : '';
+    document.getElementById('deleteViewBtn').hidden = !match;
+}
+
+function applySavedView() {
+    const view = savedViews.find(v => v._id === savedViewSelect.value);
+    if (!view) {
+        updateSavedViewSelect();
+        return;
+    }
+    
+    applyViewState(new URLSearchParams(view.state));
+    clearSelection();
+    loadStudents({ notify: false });
+}
+
+function openSaveViewForm() {
+    const current = savedViews.find(v => v._id === savedViewSelect.value);
+    document.getElementById('viewName').value = current ? current.name : '';
+    document.getElementById('saveViewBtn').hidden = true;
+    saveViewForm.hidden = false;
+    document.getElementById('viewName').focus();
+}
+
+function closeSaveViewForm() {
+    saveViewForm.hidden = true;
+    document.getElementById('saveViewBtn').hidden = false;
+}
+
+// Saving under the name of an existing view replaces that view
+async function handleSaveView(event) {
+    event.preventDefault();
+    
+    const name = document.getElementById('viewName').value.trim().replace(/\s+/g, ' ');
+    if (!name) {
+        showToast('Enter a name for the view', 'error');
+        return;
+    }
+    
+    const existing = savedViews.find(v => v.name.toLowerCase() === name.toLowerCase());
+    if (existing && existing._id !== savedViewSelect.value && !confirm(`Replace your saved view "${existing.name}"?`)) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(existing ? `${API_BASE_URL}/views/${existing._id}` : `${API_BASE_URL}/views`, {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, state: Object.fromEntries(buildViewState()) })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = result.errors ? `: ${result.errors.join(', ')}` : '';
+            throw new Error(`${result.message || `HTTP error! status: ${response.status}`}${details}`);
+        }
+        
+        showToast(result.message, 'success');
+        closeSaveViewForm();
+        await loadSavedViews();
+    } catch (error) {
+        console.error('Error saving view:', error);
+        showToast(`Failed to save view: ${error.message}`, 'error', 5000);
+    }
+}
+
+async function deleteSavedView() {
+    const view = savedViews.find(v => v._id === savedViewSelect.value);
+    if (!view || !confirm(`Delete your saved view "${view.name}"? The table keeps its current filters.`)) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/views/${view._id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToast(result.message, 'success');
+        await loadSavedViews();
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        showToast(`Failed to delete view: ${error.message}`, 'error', 5000);
+    }
+}
+
+// ===== PAGINATION =====
+function goToPage(page) {
+    if (page < 1 || page > totalPages || page === currentPage) return;
+    currentPage = page;
+    loadStudents({ notify: false });
+}
+
+function renderPagination(pagination) {
+    if (!pagination) return;
+    
+    totalPages = Math.max(1, pagination.totalPages);
+    totalRecords = pagination.total;
+    
+    const start = pagination.total === 0 ? 0 : (currentPage - 1) * pagination.limit + 1;
+    const end = Math.min(currentPage * pagination.limit, pagination.total);
+    paginationInfo.textContent = `Showing ${start}-${end} of ${pagination.total} students`;
+    
+    prevPageBtn.disabled = !pagination.hasPrev;
+    nextPageBtn.disabled = !pagination.hasNext;
+    
+    paginationPages.innerHTML = getPageWindow(currentPage, totalPages).map(page => page === null
+        ? '<span class="pagination-ellipsis">&hellip;</span>'
+        : `<button type="button" class="page-btn${page === currentPage ? ' active' : ''}" onclick="goToPage(${page})"${page === currentPage ? ' aria-current="page"' : ''}>${page}</button>`
+    ).join('');
+}
+
+// Returns page numbers around the current page, with null marking gaps
+function getPageWindow(page, total) {
+    const pages = [];
+    for (let i = 1; i <= total; i++) {
+        if (i === 1 || i === total || Math.abs(i - page) <= 2) {
+            pages.push(i);
+        } else if (pages[pages.length - 1] !== null) {
+            pages.push(null);
+        }
+    }
+    return pages;
 }
 
 // ===== UI UTILITIES =====
 function showLoading() {
     tableBody.innerHTML = `
         <tr>
-            <td colspan="8" class="loading-message">
+            <td colspan="${tableColumnCount()}" class="loading-message">
                 <i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Loading records...
             </td>
         </tr>
     `;
 }
 
-function showToast(message, type = 'info', duration = 3000) {
+function showToast(message, type = 'info', duration = 3000, action = null) {
     const toastContainer = document.getElementById('toastContainer');
     
     const toast = document.createElement('div');
@@ -449,13 +4257,28 @@ function showToast(message, type = 'info', duration = 3000) {
         </div>
         <div class="toast-content">
             <div class="toast-title">${titles[type] || 'Info'}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-message"></div>
         </div>
         <button class="toast-close" onclick="this.parentElement.remove()">
             <i class="fas fa-times"></i>
         </button>
     `;
     
+    // Set as text so names and server messages cannot inject markup
+    toast.querySelector('.toast-message').textContent = message;
+    
+    // Optional inline action, e.g. "Undo"
+    if (action) {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'toast-action';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.insertBefore(actionBtn, toast.querySelector('.toast-close'));
+    }
+    
     toastContainer.appendChild(toast);
     
     setTimeout(() => {
@@ -469,4 +4292,20 @@ window.editStudent = editStudent;
 window.viewStudent = viewStudent;
 window.showDeleteModal = showDeleteModal;
 window.closeDeleteModal = closeDeleteModal;
-window.resetForm = resetForm;
\ No newline at end of file
+window.resetForm = resetForm;
+window.goToPage = goToPage;
+window.closeHistoryPanel = closeHistoryPanel;
+window.sendStudentMessage = sendStudentMessage;
+window.addInstallmentRow = addInstallmentRow;
+window.closeCoursesModal = closeCoursesModal;
+window.closeFieldsModal = closeFieldsModal;
+window.closeConflictModal = closeConflictModal;
+window.closeOutboxModal = closeOutboxModal;
+window.handleOutboxAction = handleOutboxAction;
+window.toggleRowSelection = toggleRowSelection;
+window.editField = editField;
+window.deleteField = deleteField;
+window.editCourse = editCourse;
+window.deleteCourse = deleteCourse;
+window.restoreStudent = restoreStudent;
+window.closeImportModal = closeImportModal;
\ No newline at end of file
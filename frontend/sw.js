@@ -0,0 +1,69 @@
+// ===== SERVICE WORKER =====
+// Caches the dashboard shell (page, styles, script, icons and the CDN fonts)
+// so it opens without a network. API responses are never cached here: the page
+// keeps the last records it loaded, and the writes waiting to be sent, in
+// IndexedDB (see OFFLINE SUPPORT in script.js).
+// Bump when SHELL_FILES changes so old caches are dropped on activation.
+const CACHE_NAME = 'student-dashboard-v1';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+// [EXTERNAL — CONFIGURE VALUE] Hosts of the stylesheets and fonts linked from index.html
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin && !url.pathname.includes('/api/');
+    if (!isShell && !CDN_HOSTS.includes(url.hostname)) return;
+    
+    event.respondWith(staleWhileRevalidate(event, request));
+});
+
+// Answers from the cache straight away, so a flaky connection does not hold up
+// the page, and refreshes the cache in the background for the next load
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    // Views and profiles are bookmarked with a query string; they all load the same page
+    const key = request.mode === 'navigate' ? new URL(request.url).pathname : request;
+    const cached = await cache.match(key);
+    
+    const update = fetch(request)
+        .then(response => {
+            // Cross-origin stylesheets without CORS come back opaque, which is still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+    
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}